@@ -1,6 +1,27 @@
 // dice.js
 // Серверная функция генерации значений кубиков для игры Чаупар
 
+/**
+ * Режимы броска: два кубика или ракушки каури
+ */
+const THROW_MODES = {
+    DICE: 'dice',
+    COWRIE: 'cowrie'
+};
+
+/**
+ * Очки броска каури по числу ракушек, упавших ртом вверх (индекс массива)
+ * Ни одной - 25, одна - 10, от двух до шести - по числу ракушек, все семь - 30
+ */
+const COWRIE_SCORES = [25, 10, 2, 3, 4, 5, 6, 30];
+
+/**
+ * Допустимое число ракушек каури в броске
+ */
+const COWRIE_COUNTS = [6, 7];
+
+const DEFAULT_COWRIE_COUNT = 7;
+
 /**
  * Функция генерации случайных значений кубиков
  * Возвращает объект с двумя значениями от 1 до 6
@@ -11,7 +32,7 @@ function generateDiceValues() {
     const dice1 = Math.floor(Math.random() * 6) + 1;
     const dice2 = Math.floor(Math.random() * 6) + 1;
     const sum = dice1 + dice2;
-    
+
     return {
         dice1: dice1,
         dice2: dice2,
@@ -19,7 +40,131 @@ function generateDiceValues() {
     };
 }
 
-// Экспорт функции для использования в других файлах
+/**
+ * Функция броска ракушек каури
+ * Каждая ракушка падает ртом вверх с вероятностью 1/2, очки берутся из COWRIE_SCORES
+ * @param {number} shells - Число ракушек (6 или 7)
+ * @returns {Object} Объект с полями dice1, sum, shells, mouthsUp (бросок дает одно значение - оно хранится в dice1)
+ */
+function generateCowrieThrow(shells = DEFAULT_COWRIE_COUNT) {
+    let mouthsUp = 0;
+    for (let i = 0; i < shells; i++) {
+        if (Math.random() < 0.5) {
+            mouthsUp++;
+        }
+    }
+
+    const score = COWRIE_SCORES[mouthsUp];
+
+    return {
+        dice1: score,
+        sum: score,
+        shells: shells,
+        mouthsUp: mouthsUp
+    };
+}
+
+/**
+ * Генераторы бросков по режимам
+ * generate(options) - выполняет бросок, values(options) - все значения, которые может дать бросок
+ */
+const throwGenerators = {
+    [THROW_MODES.DICE]: {
+        generate: () => generateDiceValues(),
+        values: () => [1, 2, 3, 4, 5, 6]
+    },
+    [THROW_MODES.COWRIE]: {
+        generate: options => generateCowrieThrow(options.cowrieCount),
+        values: options => [...new Set(COWRIE_SCORES.slice(0, (options.cowrieCount || DEFAULT_COWRIE_COUNT) + 1))]
+    }
+};
+
+/**
+ * Регистрирует новый режим броска
+ * @param {string} mode - Название режима
+ * @param {Object} generator - Генератор {generate(options), values(options)}
+ */
+function registerThrowMode(mode, generator) {
+    if (!generator || typeof generator.generate !== 'function' || typeof generator.values !== 'function') {
+        throw new Error(`Генератор броска "${mode}" должен содержать функции generate и values`);
+    }
+    throwGenerators[mode] = generator;
+}
+
+/**
+ * Проверяет, известен ли режим броска
+ * @param {string} mode - Название режима
+ * @returns {boolean} true если для режима зарегистрирован генератор
+ */
+function isThrowModeSupported(mode) {
+    return Object.prototype.hasOwnProperty.call(throwGenerators, mode);
+}
+
+/**
+ * Выполняет бросок в заданном режиме
+ * @param {string} mode - Режим броска (THROW_MODES)
+ * @param {Object} options - Параметры генератора (например, cowrieCount)
+ * @returns {Object} Бросок {mode, dice1, dice2?, sum, ...}
+ */
+function generateThrow(mode = THROW_MODES.DICE, options = {}) {
+    if (!isThrowModeSupported(mode)) {
+        throw new Error(`Неизвестный режим броска "${mode}"`);
+    }
+
+    return {
+        mode: mode,
+        ...throwGenerators[mode].generate(options)
+    };
+}
+
+/**
+ * Возвращает все значения, которые может дать бросок в заданном режиме
+ * @param {string} mode - Режим броска
+ * @param {Object} options - Параметры генератора
+ * @returns {Array<number>} Возможные значения одного броска
+ */
+function getPossibleThrowValues(mode = THROW_MODES.DICE, options = {}) {
+    return isThrowModeSupported(mode) ? throwGenerators[mode].values(options) : [];
+}
+
+/**
+ * Возвращает значения броска, которыми можно ходить: два кубика или одно значение
+ * @param {Object} roll - Бросок {dice1, dice2}
+ * @returns {Array<number>} Значения броска
+ */
+function getThrowValues(roll) {
+    if (!roll) return [];
+    return [roll.dice1, roll.dice2].filter(Number.isInteger);
+}
+
+/**
+ * Форматирует бросок для отчетов и сообщений: "3+4=7" для кубиков, "25 (0/7)" для каури
+ * @param {Object} roll - Бросок {dice1, dice2, shells, mouthsUp}
+ * @returns {string} Строка с броском
+ */
+function formatThrow(roll) {
+    const values = getThrowValues(roll);
+
+    if (values.length === 2) {
+        return `${values[0]}+${values[1]}=${values[0] + values[1]}`;
+    }
+
+    const value = values.length > 0 ? String(values[0]) : '-';
+    return roll && Number.isInteger(roll.mouthsUp) ? `${value} (${roll.mouthsUp}/${roll.shells})` : value;
+}
+
+// Экспорт функций для использования в других файлах
 module.exports = {
-    generateDiceValues
-};
\ No newline at end of file
+    THROW_MODES,
+    COWRIE_SCORES,
+    COWRIE_COUNTS,
+    DEFAULT_COWRIE_COUNT,
+    generateDiceValues,
+    generateCowrieThrow,
+    registerThrowMode,
+    isThrowModeSupported,
+    generateThrow,
+    getPossibleThrowValues,
+    getThrowValues,
+    formatThrow
+};
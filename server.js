@@ -2,13 +2,38 @@
 // Главный файл сервера для игры Чаупар
 
 // 1. Подключаем библиотеку для создания сервера
+const http = require('http');
 const express = require('express');
 // 2. Подключаем наши функции работы с кубиками
-const { generateDiceValues } = require('./dice');
-// 3. Подключаем Supabase
-const { supabase, testConnection } = require('./supabase');
+const { THROW_MODES, generateThrow, isThrowModeSupported } = require('./dice');
+// 3. Подключаем хранилище игр (Supabase, память или JSON-файл - см. GAME_STORAGE)
+const { testStorageConnection } = require('./src/storage');
 // 4. Подключаем функции работы с данными игр
 const { updateGameState } = require('./gameData');
+const { validateGameState, submitMove, updateGameSettings, getLegalMovesForGame, getGameSnapshot } = require('./src/game/gameStateManager');
+const { GAME_STATUSES, createGame, startGame, endGame, updateGameRuleset } = require('./src/game/gameLifecycle');
+// 5. Подключаем серверные броски кубиков, привязанные к игре
+const { rollDiceForGame } = require('./src/game/diceRollManager');
+const { getGameHistory, replayGame } = require('./src/game/gameHistory');
+const { initBotRunner, scheduleBotTurn, resumeBotTurns } = require('./src/game/botRunner');
+const { initTurnTimer, scheduleTurnTimer, resumeTurnTimers, cancelTurnTimer } = require('./src/game/turnTimer');
+const { describeLobbyGame, listOpenGames, joinGame, leaveGame } = require('./src/game/lobby');
+const { enqueuePlayer, dequeuePlayer, getQueueStatus, getQueueSummary } = require('./src/game/matchmaking');
+const { loadBoards, listBoards, getBoard } = require('./src/game/boards');
+const { AUTH_MODES, checkAuthConfig, authenticatePlayer, identifyPlayer } = require('./src/auth');
+// 6. Подключаем Socket.IO комнаты игр и лобби
+const {
+    GAME_EVENTS,
+    LOBBY_EVENTS,
+    initGameSocket,
+    emitToGame,
+    emitToLobby,
+    emitToUser,
+    broadcastStateUpdate,
+    broadcastTurnTimeout
+} = require('./src/realtime/gameSocket');
+// 7. Подключаем локализацию отчетов и сообщений
+const { parseAcceptLanguage } = require('./src/i18n');
 
 // 3. Создаем Express-приложение (наш сервер)
 const app = express();
@@ -18,8 +43,8 @@ app.use(express.json());
 // 5. Настраиваем CORS - разрешаем запросы с других доменов (с вашего фронтенда)
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*'); // Разрешаем всем (*) или укажите конкретный URL фронтенда
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS'); // Разрешаем методы
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS'); // Разрешаем методы
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
     
     // Отвечаем на preflight запросы
     if (req.method === 'OPTIONS') {
@@ -29,6 +54,77 @@ app.use((req, res, next) => {
     }
 });
 
+// HTTP статусы для ошибок, отличающихся от стандартного 400
+const ERROR_STATUS_CODES = {
+    MOVE_VALIDATION_FAILED: 422,
+    MOVE_NOT_LEGAL: 422,
+    GAME_NOT_ACTIVE: 409,
+    GAME_FINISHED: 409,
+    VERSION_CONFLICT: 409,
+    INVALID_GAME_STATUS: 409,
+    GAME_FULL: 409,
+    SEAT_TAKEN: 409,
+    BOARD_UNAVAILABLE: 503,
+    HISTORY_WRITE_FAILED: 503,
+    AUTH_REQUIRED: 401,
+    USER_ID_REQUIRED: 401,
+    INVALID_TOKEN: 401,
+    TOKEN_EXPIRED: 401,
+    NOT_A_PLAYER: 403,
+    SEAT_NOT_OWNED: 403,
+    PIECE_NOT_OWNED: 403
+};
+
+/**
+ * Определяет HTTP статус ответа по результату операции
+ * @param {Object} result - Результат вида {success, error}
+ * @returns {number} HTTP статус
+ */
+function getStatusCode(result) {
+    if (result.success) {
+        return 200;
+    }
+    return ERROR_STATUS_CODES[result.error] || 400;
+}
+
+/**
+ * Определяет язык ответа по заголовку Accept-Language
+ * @param {Object} req - Запрос Express
+ * @returns {string|null} Поддерживаемый язык или null (тогда используется язык игры)
+ */
+function getRequestLocale(req) {
+    return parseAcceptLanguage(req.get('Accept-Language'));
+}
+
+/**
+ * Рассылает запуск игры игрокам в комнате и запускает ход бота или часы хода
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} game - Описание запущенной игры (describeGame)
+ */
+function announceGameStart(chprId, game) {
+    emitToGame(chprId, GAME_EVENTS.GAME_STATUS, { status: game.status });
+    emitToGame(chprId, GAME_EVENTS.GAME_STATE, { version: game.version, gameState: game.gameState, roll: null, turnClock: game.turnClock });
+    // Если первым ходит бот, он делает ход сам; у человека идут часы хода
+    scheduleBotTurn(chprId);
+    scheduleTurnTimer(chprId, game.turnClock);
+}
+
+/**
+ * Рассылает в лобби изменение игры: game: null - игра больше не ждет игроков
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} game - Описание игры (describeGame)
+ */
+function announceLobbyGame(chprId, game) {
+    emitToLobby(LOBBY_EVENTS.LOBBY_GAME, { chprId: chprId, game: describeLobbyGame(game) });
+}
+
+/**
+ * Рассылает в лобби ожидающих игроков по очередям быстрой игры
+ */
+function announceQueues() {
+    emitToLobby(LOBBY_EVENTS.QUEUE_UPDATED, { queues: getQueueSummary() });
+}
+
 // 6. Создаем маршруты (роуты) API
 
 // Простой тестовый маршрут - проверка что сервер работает
@@ -36,16 +132,55 @@ app.get('/', (req, res) => {
     res.json({ 
         message: '🎯 Сервер игры Чаупар запущен и работает!',
         endpoints: {
-            simpleRoll: '/api/roll/simple - Простой бросок кубиков',
-            updateGameState: 'PUT /api/game/state - Обновление состояния игры'
+            simpleRoll: '/api/roll/simple?mode=dice|cowrie - Простой бросок кубиков или ракушек каури',
+            createGame: 'POST /api/game - Создание игры (playerCount, seats, colors, bots, seat - место создателя, settings, ruleset; Authorization: Bearer <токен игрока>)',
+            getGame: 'GET /api/game/:chprId - Текущее состояние игры',
+            startGame: 'POST /api/game/:chprId/start - Запуск игры с начальной расстановкой (Authorization: Bearer <токен игрока за этой игрой>)',
+            endGame: 'POST /api/game/:chprId/end - Завершение игры (Authorization: Bearer <токен игрока за этой игрой>)',
+            abandonGame: 'POST /api/game/:chprId/abandon - Отмена игры (Authorization: Bearer <токен игрока за этой игрой>)',
+            lobbyGames: 'GET /api/lobby/games?playerCount=N - Открытые игры со свободными местами',
+            joinLobbyGame: 'POST /api/lobby/games/:chprId/join - Занять место в игре (seat необязательно; Authorization: Bearer <токен игрока> или userId при отключенной аутентификации); заполненная игра запускается',
+            leaveLobbyGame: 'POST /api/lobby/games/:chprId/leave - Освободить место до запуска игры',
+            joinQueue: 'POST /api/lobby/queue - Очередь быстрой игры (playerCount, ruleset); набрав игроков, сервер создает и запускает игру',
+            queueStatus: 'GET /api/lobby/queue - Положение игрока в очереди быстрой игры (продлевает запись: без подтверждения она устаревает через MATCH_QUEUE_TTL_SECONDS)',
+            leaveQueue: 'DELETE /api/lobby/queue - Выход из очереди быстрой игры',
+            gameRoll: 'POST /api/game/:chprId/roll - Бросок кубиков для хода в игре (Authorization: Bearer <токен игрока>)',
+            updateGameState: 'PUT /api/game/state - Обновление состояния игры (chprId, gameState, version; Authorization: Bearer <токен игрока>)',
+            submitMove: 'POST /api/game/:chprId/move - Ход одной фишкой (pieceId, from, to, dieUsed; version необязательно), в ответ - новое состояние',
+            validateMove: 'POST /api/game/:chprId/validate - Пробная проверка хода без записи (gameState, version)',
+            legalMoves: 'POST /api/game/:chprId/legal-moves - Допустимые ходы для броска',
+            gameHistory: 'GET /api/game/:chprId/history - Полная история принятых ходов',
+            replayGame: 'GET /api/game/:chprId/replay?turn=N - Состояние игры на ходе N (0 - начальная расстановка)',
+            updateGameSettings: 'PATCH /api/game/:chprId/settings - Изменение настроек игры (режим валидации, язык; Authorization: Bearer <токен игрока за этой игрой>)',
+            updateGameRuleset: 'PATCH /api/game/:chprId/ruleset - Изменение правил игры до запуска (доска, режим броска: кубики или каури, значения выхода, варианты кубиков, дополнительные ходы, взятия, общая победа партнеров, командная игра вчетвером, время на ход и выбывание по времени; Authorization: Bearer <токен игрока за этой игрой>)',
+            boards: 'GET /api/boards - Доступные игровые доски',
+            board: 'GET /api/boards/:boardId - Описание доски (зоны и пути игроков)'
+        },
+        supabaseSchema: 'supabase/migrations/20261018000000_game_storage.sql - Таблицы saved_games и game_history для GAME_STORAGE=supabase (применить до запуска сервера)',
+        socketEvents: {
+            joinGame: 'joinGame {chprId} - Вход в комнату игры, в ответ приходит gameState',
+            leaveGame: 'leaveGame {chprId} - Выход из комнаты игры',
+            joinLobby: 'joinLobby {token?, userId?} - Вход в лобби, в ответ приходит openGames; опознанный игрок получает matchFound',
+            leaveLobby: 'leaveLobby - Выход из лобби',
+            broadcasts: Object.values(GAME_EVENTS),
+            lobbyBroadcasts: Object.values(LOBBY_EVENTS)
         }
     });
 });
 
-// Маршрут для простого броска кубиков
+// Маршрут для простого броска кубиков (или ракушек каури: ?mode=cowrie)
 app.get('/api/roll/simple', (req, res) => {
     try {
-        const result = generateDiceValues();
+        const mode = req.query.mode || THROW_MODES.DICE;
+
+        if (!isThrowModeSupported(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Неизвестный режим броска "${mode}". Допустимые значения: ${Object.values(THROW_MODES).join(', ')}`
+            });
+        }
+
+        const result = generateThrow(mode);
         res.json({
             success: true,
             ...result
@@ -55,10 +190,410 @@ app.get('/api/roll/simple', (req, res) => {
     }
 });
 
+// Маршрут для получения списка досок
+app.get('/api/boards', (req, res) => {
+    res.json({ success: true, boards: listBoards() });
+});
+
+// Маршрут для получения описания доски
+app.get('/api/boards/:boardId', (req, res) => {
+    const board = getBoard(req.params.boardId);
+
+    if (!board) {
+        return res.status(400).json({
+            success: false,
+            message: `Доска "${req.params.boardId}" не найдена`,
+            error: 'BOARD_NOT_FOUND'
+        });
+    }
+
+    res.json({ success: true, boardId: req.params.boardId, board: board });
+});
+
+// Маршрут для создания новой игры
+app.post('/api/game', async (req, res) => {
+    try {
+        const { playerCount, seats, colors, bots, seat, settings, ruleset } = req.body || {};
+        const locale = getRequestLocale(req);
+
+        // Создатель игры занимает место сам; остальные места - боты или свободные места для лобби
+        const auth = await authenticatePlayer(req.get('Authorization'), locale);
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
+        const result = await createGame({
+            playerCount, seats, colors, bots, settings, ruleset,
+            creator: auth.actor,
+            creatorSeat: seat,
+            locale: locale
+        });
+
+        if (result.success) {
+            announceLobbyGame(result.chprId, result.game);
+        }
+
+        res.status(result.success ? 201 : getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/game:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при создании игры',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для получения текущего состояния игры
+app.get('/api/game/:chprId', async (req, res) => {
+    try {
+        const result = await getGameSnapshot(req.params.chprId);
+
+        // Часы хода ставятся и при обращении к игре - на случай, если при запуске их восстановить не удалось
+        if (result.success) {
+            scheduleTurnTimer(req.params.chprId, result.turnClock);
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике GET /api/game/:chprId:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при получении игры',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для получения полной истории игры
+app.get('/api/game/:chprId/history', async (req, res) => {
+    try {
+        const result = await getGameHistory(req.params.chprId);
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике GET /api/game/:chprId/history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при получении истории игры',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для восстановления состояния игры на заданном ходе
+app.get('/api/game/:chprId/replay', async (req, res) => {
+    try {
+        const { turn } = req.query;
+
+        const result = await replayGame(req.params.chprId, turn === undefined ? null : Number(turn));
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике GET /api/game/:chprId/replay:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при повторе игры',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для запуска игры
+app.post('/api/game/:chprId/start', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+
+        // Запустить игру может только игрок, сидящий за ней
+        const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
+        const result = await startGame(chprId, { actor: auth.actor, locale: getRequestLocale(req) });
+
+        if (result.success) {
+            announceGameStart(chprId, result.game);
+            announceLobbyGame(chprId, result.game);
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/game/:chprId/start:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при запуске игры',
+            error: error.message
+        });
+    }
+});
+
+// Маршруты для завершения и отмены игры
+[
+    { path: '/api/game/:chprId/end', status: GAME_STATUSES.FINISHED },
+    { path: '/api/game/:chprId/abandon', status: GAME_STATUSES.ABANDONED }
+].forEach(({ path, status }) => {
+    app.post(path, async (req, res) => {
+        try {
+            const { chprId } = req.params;
+
+            // Завершить или отменить игру может только игрок, сидящий за ней
+            const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+            if (!auth.success) {
+                return res.status(getStatusCode(auth)).json(auth);
+            }
+
+            const result = await endGame(chprId, status, { actor: auth.actor, locale: getRequestLocale(req) });
+
+            if (result.success) {
+                emitToGame(chprId, GAME_EVENTS.GAME_STATUS, { status: result.game.status });
+                cancelTurnTimer(chprId);
+                announceLobbyGame(chprId, result.game);
+            }
+
+            res.status(getStatusCode(result)).json(result);
+
+        } catch (error) {
+            console.error(`Ошибка в обработчике POST ${path}:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Внутренняя ошибка сервера при завершении игры',
+                error: error.message
+            });
+        }
+    });
+});
+
+// Маршрут для списка открытых игр лобби
+app.get('/api/lobby/games', async (req, res) => {
+    try {
+        const result = await listOpenGames({ playerCount: req.query.playerCount }, { locale: getRequestLocale(req) });
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике GET /api/lobby/games:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при получении списка игр',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для входа игрока на свободное место; когда заняты все места, игра запускается
+app.post('/api/lobby/games/:chprId/join', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { seat, userId } = req.body || {};
+
+        const identity = await identifyPlayer(req.get('Authorization'), userId, getRequestLocale(req));
+        if (!identity.success) {
+            return res.status(getStatusCode(identity)).json(identity);
+        }
+
+        const result = await joinGame(chprId, identity.actor, { seat, locale: getRequestLocale(req) });
+
+        if (result.success && !result.alreadyJoined) {
+            emitToGame(chprId, GAME_EVENTS.SEATS_UPDATED, { seats: result.game.seats });
+            announceLobbyGame(chprId, result.game);
+            if (result.started) {
+                announceGameStart(chprId, result.game);
+            }
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/lobby/games/:chprId/join:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при входе в игру',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для освобождения места до запуска игры
+app.post('/api/lobby/games/:chprId/leave', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { userId } = req.body || {};
+
+        const identity = await identifyPlayer(req.get('Authorization'), userId, getRequestLocale(req));
+        if (!identity.success) {
+            return res.status(getStatusCode(identity)).json(identity);
+        }
+
+        const result = await leaveGame(chprId, identity.actor, { locale: getRequestLocale(req) });
+
+        if (result.success) {
+            emitToGame(chprId, GAME_EVENTS.SEATS_UPDATED, { seats: result.game.seats });
+            announceLobbyGame(chprId, result.game);
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/lobby/games/:chprId/leave:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при выходе из игры',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для постановки в очередь быстрой игры; набрав игроков, сервер создает и запускает игру
+app.post('/api/lobby/queue', async (req, res) => {
+    try {
+        const { playerCount, ruleset, userId } = req.body || {};
+
+        const identity = await identifyPlayer(req.get('Authorization'), userId, getRequestLocale(req));
+        if (!identity.success) {
+            return res.status(getStatusCode(identity)).json(identity);
+        }
+
+        const result = await enqueuePlayer(identity.actor, { playerCount, ruleset, locale: getRequestLocale(req) });
+
+        if (result.success && result.matched) {
+            // Каждый найденный игрок узнает об игре в своей комнате, даже если запрос отправил другой
+            result.players.forEach(player => {
+                emitToUser(player.userId, LOBBY_EVENTS.MATCH_FOUND, {
+                    chprId: result.chprId,
+                    seat: player.seat,
+                    players: result.players
+                });
+            });
+            if (result.game.status === GAME_STATUSES.ACTIVE) {
+                announceGameStart(result.chprId, result.game);
+            }
+        }
+        if (result.success) {
+            announceQueues();
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/lobby/queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при постановке в очередь',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для получения положения игрока в очереди быстрой игры
+app.get('/api/lobby/queue', async (req, res) => {
+    try {
+        const identity = await identifyPlayer(req.get('Authorization'), req.query.userId, getRequestLocale(req));
+        if (!identity.success) {
+            return res.status(getStatusCode(identity)).json(identity);
+        }
+
+        const result = getQueueStatus(identity.actor);
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике GET /api/lobby/queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при получении очереди',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для выхода из очереди быстрой игры
+app.delete('/api/lobby/queue', async (req, res) => {
+    try {
+        const userId = (req.body || {}).userId || req.query.userId;
+
+        const identity = await identifyPlayer(req.get('Authorization'), userId, getRequestLocale(req));
+        if (!identity.success) {
+            return res.status(getStatusCode(identity)).json(identity);
+        }
+
+        const result = dequeuePlayer(identity.actor, { locale: getRequestLocale(req) });
+
+        if (result.success) {
+            announceQueues();
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике DELETE /api/lobby/queue:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при выходе из очереди',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для серверного броска кубиков в конкретной игре
+app.post('/api/game/:chprId/roll', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { player } = req.body || {};
+
+        const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
+        const result = await rollDiceForGame(chprId, player, { actor: auth.actor, locale: getRequestLocale(req) });
+
+        // Новый бросок сразу видят все игроки в комнате
+        if (result.success && !result.alreadyRolled) {
+            emitToGame(chprId, GAME_EVENTS.DICE_ROLLED, { roll: result.roll });
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/game/:chprId/roll:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при броске кубиков',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для получения допустимых ходов игрока по текущему состоянию и броску
+app.post('/api/game/:chprId/legal-moves', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { player, dice } = req.body || {};
+
+        const result = await getLegalMovesForGame(chprId, { player, dice, locale: getRequestLocale(req) });
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/game/:chprId/legal-moves:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при построении допустимых ходов',
+            error: error.message
+        });
+    }
+});
+
 // Маршрут для обновления состояния игры
 app.put('/api/game/state', async (req, res) => {
     try {
-        const { chprId, gameState } = req.body;
+        const { chprId, gameState, version } = req.body;
         
         // Валидация наличия обязательных параметров
         if (!chprId) {
@@ -75,13 +610,26 @@ app.put('/api/game/state', async (req, res) => {
             });
         }
         
+        // Определяем игрока по токену: ходить можно только фишками своих мест
+        const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
         // Вызываем функцию обновления игрового состояния
-        const result = await updateGameState(chprId, gameState);
-        
-        // Определяем HTTP статус на основе результата
-        const statusCode = result.success ? 200 : 400;
+        const result = await updateGameState(chprId, gameState, version, { locale: getRequestLocale(req), actor: auth.actor });
+
+        // Рассылаем принятое состояние или ошибки валидации всем игрокам в комнате
+        broadcastStateUpdate(chprId, result, gameState);
+
+        // Следующим может ходить бот; часы хода переставляются на новый ход
+        if (result.success) {
+            scheduleBotTurn(chprId);
+            scheduleTurnTimer(chprId, result.turnClock);
+        }
         
-        res.status(statusCode).json(result);
+        // Определяем HTTP статус на основе результата (422 - ход не прошел валидацию)
+        res.status(getStatusCode(result)).json(result);
         
     } catch (error) {
         console.error('Ошибка в обработчике PUT /api/game/state:', error);
@@ -93,15 +641,214 @@ app.put('/api/game/state', async (req, res) => {
     }
 });
 
+// Маршрут для хода одной фишкой: сервер сам применяет перемещение к сохраненному состоянию
+app.post('/api/game/:chprId/move', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { pieceId, from, to, dieUsed, version } = req.body || {};
+
+        const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
+        const result = await submitMove(chprId, { pieceId, from, to, dieUsed }, { version, locale: getRequestLocale(req), actor: auth.actor });
+
+        // Новое состояние видят все игроки в комнате, в том числе после перемещения внутри хода
+        broadcastStateUpdate(chprId, result, result.gameState);
+
+        if (result.success && result.turnComplete) {
+            scheduleBotTurn(chprId);
+            scheduleTurnTimer(chprId, result.turnClock);
+        }
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/game/:chprId/move:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при ходе фишкой',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для пробной проверки хода: та же валидация и отчет, что и при PUT /api/game/state, но без записи
+app.post('/api/game/:chprId/validate', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { gameState, version } = req.body || {};
+
+        if (!gameState) {
+            return res.status(400).json({
+                success: false,
+                error: 'Отсутствует обязательный параметр gameState'
+            });
+        }
+
+        // Права на места проверяются так же, как при настоящем ходе
+        const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
+        const result = await validateGameState(chprId, gameState, { version, locale: getRequestLocale(req), actor: auth.actor });
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике POST /api/game/:chprId/validate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при проверке хода',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для изменения настроек игры (например, режима валидации strict/lenient)
+app.patch('/api/game/:chprId/settings', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { settings } = req.body || {};
+
+        if (!settings) {
+            return res.status(400).json({
+                success: false,
+                error: 'Отсутствует обязательный параметр settings'
+            });
+        }
+
+        // Настройки меняет только игрок, сидящий за игрой
+        const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
+        const result = await updateGameSettings(chprId, settings, { locale: getRequestLocale(req), actor: auth.actor });
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике PATCH /api/game/:chprId/settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при изменении настроек игры',
+            error: error.message
+        });
+    }
+});
+
+// Маршрут для изменения правил игры (только до запуска игры)
+app.patch('/api/game/:chprId/ruleset', async (req, res) => {
+    try {
+        const { chprId } = req.params;
+        const { ruleset } = req.body || {};
+
+        if (!ruleset) {
+            return res.status(400).json({
+                success: false,
+                error: 'Отсутствует обязательный параметр ruleset'
+            });
+        }
+
+        // Правила меняет только игрок, сидящий за игрой
+        const auth = await authenticatePlayer(req.get('Authorization'), getRequestLocale(req));
+        if (!auth.success) {
+            return res.status(getStatusCode(auth)).json(auth);
+        }
+
+        const result = await updateGameRuleset(chprId, ruleset, { actor: auth.actor, locale: getRequestLocale(req) });
+
+        res.status(getStatusCode(result)).json(result);
+
+    } catch (error) {
+        console.error('Ошибка в обработчике PATCH /api/game/:chprId/ruleset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Внутренняя ошибка сервера при изменении правил игры',
+            error: error.message
+        });
+    }
+});
+
 // 7. Настраиваем порт (Render сам дает порт через переменную окружения)
 const PORT = process.env.PORT || 3000;
 
-// 8. Запускаем сервер
-app.listen(PORT, async () => {
+// Проверяем описания досок до запуска: ошибка в классической доске останавливает сервер
+const boardsResult = loadBoards();
+if (!boardsResult.success) {
+    console.error('❌ Ошибки в описании классической доски gameZones.json:');
+    boardsResult.errorMessages.forEach(message => console.error(`   - ${message}`));
+    process.exit(1);
+}
+boardsResult.skipped.forEach(({ boardId, errorMessages }) => {
+    console.error(`⚠️ Доска "${boardId}" пропущена: ${errorMessages.join('; ')}`);
+});
+
+// Проверяем настройки токенов игроков: без них ходить за любое место может кто угодно
+const authConfig = checkAuthConfig();
+if (!authConfig.success) {
+    console.error(`❌ ${authConfig.message}`);
+    process.exit(1);
+}
+if (authConfig.mode === AUTH_MODES.OFF) {
+    console.warn('⚠️ Аутентификация игроков отключена (PLAYER_AUTH=off): ходы принимаются от любого клиента');
+}
+
+// 8. Создаем HTTP сервер и подключаем к нему Socket.IO
+const server = http.createServer(app);
+initGameSocket(server, {
+    // Игрок, закрывший все подключения, не должен попасть в игру быстрой игры
+    onUserOffline: (userId) => {
+        if (dequeuePlayer({ userId }).success) {
+            announceQueues();
+        }
+    }
+});
+
+// Ходы ботов рассылаются игрокам так же, как ходы людей
+initBotRunner({
+    onRoll: (chprId, roll) => emitToGame(chprId, GAME_EVENTS.DICE_ROLLED, { roll }),
+    onUpdate: (chprId, result, gameState) => {
+        broadcastStateUpdate(chprId, result, gameState);
+        if (result.success) {
+            scheduleTurnTimer(chprId, result.turnClock);
+        }
+    }
+});
+
+// Истечение времени хода рассылается игрокам; дальше ход передается или за игрока ходит бот
+initTurnTimer({
+    onTimeout: (chprId, result) => broadcastTurnTimeout(chprId, result)
+});
+
+// 9. Запускаем сервер
+server.listen(PORT, async () => {
     console.log(`✅ Сервер Чаупар запущен на порту ${PORT}`);
     console.log(`📡 Доступно по адресу: ${process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`}`);
     console.log('🎲 Готов принимать запросы на броски кубиков!');
+    console.log('🔌 Socket.IO комнаты игр подключены');
+    console.log(`🗺️ Загружены доски: ${boardsResult.loaded.join(', ')}`);
+    console.log(`🔐 Аутентификация игроков: ${authConfig.mode}`);
     
-    // Проверяем подключение к Supabase
-    await testConnection();
+    // Проверяем подключение к хранилищу игр
+    await testStorageConnection();
+
+    // Таймеры хода живут в памяти процесса - ставим их заново для активных игр
+    const timersResult = await resumeTurnTimers();
+    if (timersResult.success) {
+        console.log(`⏱️ Восстановлены часы хода активных игр: ${timersResult.scheduled}`);
+    } else {
+        console.error('❌ Не удалось восстановить часы хода активных игр:', timersResult.error);
+    }
+
+    // Ходы ботов тоже планируются в памяти процесса - продолжаем игры, где очередь дошла до бота
+    const botsResult = await resumeBotTurns();
+    if (botsResult.success) {
+        console.log(`🤖 Возобновлены ходы ботов: ${botsResult.scheduled}`);
+    } else {
+        console.error('❌ Не удалось возобновить ходы ботов:', botsResult.error);
+    }
 });
\ No newline at end of file
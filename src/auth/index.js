@@ -0,0 +1,224 @@
+// index.js
+// Аутентификация игроков: подписанные токены (JWT с локальной проверкой или токены Supabase Auth)
+
+const crypto = require('crypto');
+const { supabase } = require('../../supabase');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+/**
+ * Режимы проверки токенов игроков (переменная окружения PLAYER_AUTH)
+ * off - аутентификация отключена, ходы принимаются от любого клиента (только для локальной разработки,
+ *       включается явно)
+ * jwt - JWT с подписью HS256 проверяется локально секретом PLAYER_JWT_SECRET
+ *       (подходит и для токенов Supabase Auth, если указать JWT secret проекта)
+ * supabase - токен проверяется запросом к Supabase Auth
+ */
+const AUTH_MODES = {
+    OFF: 'off',
+    JWT: 'jwt',
+    SUPABASE: 'supabase'
+};
+
+/**
+ * Определяет режим аутентификации по конфигурации
+ * @returns {string} Режим из AUTH_MODES (без PLAYER_AUTH - jwt)
+ * @description Аутентификация отключается только явно (PLAYER_AUTH=off): сервер без секрета
+ * и без этой переменной не запустится, а не начнет принимать ходы от любого клиента
+ */
+function getAuthMode() {
+    return process.env.PLAYER_AUTH || AUTH_MODES.JWT;
+}
+
+/**
+ * Проверяет настройки аутентификации (выполняется при запуске сервера)
+ * @returns {Object} Объект с результатом {success, mode, message}
+ */
+function checkAuthConfig() {
+    const mode = getAuthMode();
+
+    if (!Object.values(AUTH_MODES).includes(mode)) {
+        return {
+            success: false,
+            mode: mode,
+            message: `Неизвестный режим PLAYER_AUTH="${mode}". Допустимые значения: ${Object.values(AUTH_MODES).join(', ')}`
+        };
+    }
+    if (mode === AUTH_MODES.JWT && !process.env.PLAYER_JWT_SECRET) {
+        return {
+            success: false,
+            mode: mode,
+            message: 'Не задан секрет токенов игроков PLAYER_JWT_SECRET. Для локальной разработки без токенов укажите PLAYER_AUTH=off'
+        };
+    }
+    if (mode === AUTH_MODES.SUPABASE && !supabase) {
+        return { success: false, mode: mode, message: 'Для PLAYER_AUTH=supabase нужно подключение к Supabase (VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY)' };
+    }
+
+    return { success: true, mode: mode, message: null };
+}
+
+/**
+ * Формирует результат неуспешной аутентификации
+ * @param {string} error - Код ошибки (ключ errors.<code> в каталогах i18n)
+ * @param {string} locale - Язык сообщения
+ * @returns {Object} Объект {success: false, message, error}
+ */
+function authFailed(error, locale) {
+    return {
+        success: false,
+        message: translate(locale, `errors.${error}`),
+        error: error
+    };
+}
+
+/**
+ * Извлекает токен из заголовка Authorization
+ * @param {string|undefined} header - Значение заголовка, например "Bearer eyJ..."
+ * @returns {string|null} Токен или null если заголовка нет
+ */
+function getBearerToken(header) {
+    const match = typeof header === 'string' ? header.match(/^Bearer\s+(\S+)$/i) : null;
+    return match ? match[1] : null;
+}
+
+/**
+ * Проверяет JWT с подписью HS256
+ * @param {string} token - Токен
+ * @param {string} secret - Секрет подписи
+ * @param {string} locale - Язык сообщения об ошибке
+ * @returns {Object} Объект с результатом {success, userId, claims} или {success: false, message, error}
+ * @description Идентификатор пользователя берется из поля sub. Поле exp обязательно; проверяются также nbf
+ * и, если задана переменная PLAYER_JWT_AUDIENCE, поле aud
+ */
+function verifyJwt(token, secret, locale = DEFAULT_LOCALE) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    if (!header || header.alg !== 'HS256' || !claims || typeof claims !== 'object') {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    // Бессрочные токены не принимаются: без exp украденный токен действовал бы всегда
+    if (typeof claims.exp !== 'number') {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp <= now) {
+        return authFailed('TOKEN_EXPIRED', locale);
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now) {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    const audience = process.env.PLAYER_JWT_AUDIENCE;
+    const tokenAudience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (audience && !tokenAudience.includes(audience)) {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    if (!claims.sub) {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    return { success: true, userId: String(claims.sub), claims: claims };
+}
+
+/**
+ * Проверяет токен Supabase Auth запросом к Supabase
+ * @param {string} token - Токен доступа пользователя Supabase
+ * @param {string} locale - Язык сообщения об ошибке
+ * @returns {Promise<Object>} Объект с результатом {success, userId} или {success: false, message, error}
+ */
+async function verifySupabaseToken(token, locale = DEFAULT_LOCALE) {
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data || !data.user) {
+        return authFailed('INVALID_TOKEN', locale);
+    }
+
+    return { success: true, userId: String(data.user.id) };
+}
+
+/**
+ * Определяет игрока по заголовку Authorization запроса
+ * @param {string|undefined} authorizationHeader - Значение заголовка Authorization
+ * @param {string} locale - Язык сообщения об ошибке
+ * @returns {Promise<Object>} {success: true, actor} - actor = {userId} или null при отключенной аутентификации;
+ * {success: false, message, error} - токена нет или он недействителен
+ */
+async function authenticatePlayer(authorizationHeader, locale = DEFAULT_LOCALE) {
+    const mode = getAuthMode();
+
+    if (mode === AUTH_MODES.OFF) {
+        return { success: true, actor: null };
+    }
+
+    const token = getBearerToken(authorizationHeader);
+    if (!token) {
+        return authFailed('AUTH_REQUIRED', locale);
+    }
+
+    try {
+        const verified = mode === AUTH_MODES.SUPABASE
+            ? await verifySupabaseToken(token, locale)
+            : verifyJwt(token, process.env.PLAYER_JWT_SECRET, locale);
+
+        if (!verified.success) {
+            return verified;
+        }
+
+        return { success: true, actor: { userId: verified.userId } };
+    } catch (error) {
+        console.error('Ошибка при проверке токена игрока:', error);
+        return authFailed('INVALID_TOKEN', locale);
+    }
+}
+
+/**
+ * Определяет игрока для лобби и очереди быстрой игры
+ * @param {string|undefined} authorizationHeader - Значение заголовка Authorization
+ * @param {*} fallbackUserId - Идентификатор игрока из запроса; учитывается только при отключенной аутентификации
+ * @param {string} locale - Язык сообщения об ошибке
+ * @returns {Promise<Object>} {success: true, actor: {userId}} или {success: false, message, error}
+ * @description В отличие от ходов, в лобби игрок нужен всегда: за ним закрепляются место и запись в очереди
+ */
+async function identifyPlayer(authorizationHeader, fallbackUserId, locale = DEFAULT_LOCALE) {
+    const auth = await authenticatePlayer(authorizationHeader, locale);
+    if (!auth.success || auth.actor) {
+        return auth;
+    }
+
+    if (typeof fallbackUserId !== 'string' || fallbackUserId.trim() === '') {
+        return authFailed('USER_ID_REQUIRED', locale);
+    }
+
+    return { success: true, actor: { userId: fallbackUserId.trim() } };
+}
+
+module.exports = {
+    AUTH_MODES,
+    getAuthMode,
+    checkAuthConfig,
+    getBearerToken,
+    verifyJwt,
+    authenticatePlayer,
+    identifyPlayer
+};
@@ -0,0 +1,128 @@
+// seatOwnership.js
+// Модуль проверки прав игрока: ходить можно только за места, закрепленные за пользователем из токена
+
+const { isPieceCaptured } = require('../validation/zoneDetector');
+const { getRulesetBoard } = require('../game/boards');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+/**
+ * Находит места игры, которые принадлежат пользователю
+ * @param {Object} record - Запись игры {seats}
+ * @param {Object} actor - Пользователь из токена {userId}
+ * @returns {Array<number>} Номера мест пользователя
+ */
+function getActorSeats(record, actor) {
+    return (record.seats || [])
+        .filter(seat => !seat.bot && seat.userId && seat.userId === actor.userId)
+        .map(seat => seat.player);
+}
+
+/**
+ * Формирует результат отказа и записывает попытку в журнал сервера
+ * @param {string} chprId - Идентификатор игры
+ * @param {Object} actor - Пользователь из токена {userId}
+ * @param {string} error - Код ошибки (ключ errors.<code> в каталогах i18n)
+ * @param {Object} params - Параметры сообщения
+ * @param {string} locale - Язык сообщения
+ * @returns {Object} Объект {success: false, message, error}
+ */
+function ownershipRejected(chprId, actor, error, params, locale) {
+    console.warn(`⛔ Игра ${chprId}: пользователь ${actor.userId} - ${error}`, params);
+
+    return {
+        success: false,
+        message: translate(locale, `errors.${error}`, params),
+        error: error
+    };
+}
+
+/**
+ * Проверяет, что пользователь сидит за игрой (запуск, завершение, настройки и правила игры)
+ * @param {Object} record - Запись игры {chprId, seats}
+ * @param {Object|null} actor - Пользователь из токена {userId}; null - аутентификация отключена или действует сервер
+ * @param {string} locale - Язык сообщения
+ * @returns {Object} {success: true} или результат отказа {success: false, message, error}
+ */
+function validateGameMembership(record, actor, locale = DEFAULT_LOCALE) {
+    if (!actor) {
+        return { success: true };
+    }
+
+    if (getActorSeats(record, actor).length === 0) {
+        return ownershipRejected(record.chprId, actor, 'NOT_A_PLAYER', { chprId: record.chprId }, locale);
+    }
+
+    return { success: true };
+}
+
+/**
+ * Проверяет, что пользователь может действовать за активного игрока (бросок кубиков)
+ * @param {Object} record - Запись игры {chprId, seats}
+ * @param {number} activePlayer - Игрок, чей сейчас ход
+ * @param {Object|null} actor - Пользователь из токена {userId}; null - аутентификация отключена или ходит бот
+ * @param {string} locale - Язык сообщения
+ * @returns {Object} {success: true} или результат отказа {success: false, message, error}
+ */
+function validateActivePlayerOwnership(record, activePlayer, actor, locale = DEFAULT_LOCALE) {
+    if (!actor) {
+        return { success: true };
+    }
+
+    const actorSeats = getActorSeats(record, actor);
+    if (actorSeats.length === 0) {
+        return ownershipRejected(record.chprId, actor, 'NOT_A_PLAYER', { chprId: record.chprId }, locale);
+    }
+
+    if (!actorSeats.includes(activePlayer)) {
+        return ownershipRejected(record.chprId, actor, 'SEAT_NOT_OWNED', { player: activePlayer }, locale);
+    }
+
+    return { success: true };
+}
+
+/**
+ * Проверяет, что обновление состояния меняет только фишки мест пользователя
+ * @param {Object} record - Запись игры {chprId, seats}
+ * @param {Object|null} previousState - Сохраненное состояние игры
+ * @param {Object} differences - Различия состояний (compareGameStates)
+ * @param {Object|null} actor - Пользователь из токена {userId}; null - аутентификация отключена или ходит бот
+ * @param {Object} ruleset - Правила игры (доска)
+ * @param {string} locale - Язык сообщения
+ * @returns {Object} {success: true} или результат отказа {success: false, message, error}
+ * @description Ход делает активный игрок из сохраненного состояния. Фишки соперников могут
+ * только вернуться в зону ожидания (взятие) - законность взятия проверяет captureValidator
+ */
+function validateSeatOwnership(record, previousState, differences, actor, ruleset, locale = DEFAULT_LOCALE) {
+    if (!actor) {
+        return { success: true };
+    }
+
+    const activePlayer = (previousState && previousState.currentPlayer) || differences.currentPlayer;
+    const activeCheck = validateActivePlayerOwnership(record, activePlayer, actor, locale);
+    if (!activeCheck.success) {
+        return activeCheck;
+    }
+
+    const actorSeats = getActorSeats(record, actor);
+    const board = getRulesetBoard(ruleset);
+    const foreignMovement = differences.pieceMovements.find(movement =>
+        !actorSeats.includes(movement.player) && !isPieceCaptured(movement, board)
+    );
+
+    if (foreignMovement) {
+        const { player, piece, pieceId } = foreignMovement;
+        return ownershipRejected(record.chprId, actor, 'PIECE_NOT_OWNED', {
+            piece: pieceId || (piece + 1),
+            player: player
+        }, locale);
+    }
+
+    return { success: true };
+}
+
+module.exports = {
+    getActorSeats,
+    validateGameMembership,
+    validateActivePlayerOwnership,
+    validateSeatOwnership
+};
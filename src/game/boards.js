@@ -0,0 +1,156 @@
+// boards.js
+// Модуль игровых досок: классическая доска gameZones.json и альтернативные доски из каталога BOARDS_DIR
+
+const fs = require('fs');
+const path = require('path');
+const classicBoard = require('../../gameZones.json');
+const { validateBoard } = require('../validation/boardValidator');
+
+/**
+ * Идентификатор классической доски (gameZones.json)
+ */
+const DEFAULT_BOARD_ID = 'classic';
+
+/**
+ * Классическая доска - используется, если правила игры не указывают другую
+ */
+const DEFAULT_BOARD = classicBoard;
+
+/**
+ * Каталог альтернативных досок: каждый файл <id>.json описывает доску в формате gameZones.json
+ */
+const BOARDS_DIR = process.env.BOARDS_DIR || path.join(__dirname, '..', '..', 'boards');
+
+const boards = new Map([[DEFAULT_BOARD_ID, DEFAULT_BOARD]]);
+
+// Недоступные доски, о которых уже сообщено в журнал (чтобы не повторять ошибку на каждой проверке хода)
+const reportedMissingBoards = new Set();
+
+/**
+ * Загружает и проверяет доски (выполняется при запуске сервера)
+ * @param {string} boardsDir - Каталог альтернативных досок
+ * @returns {Object} Объект с результатом {success, loaded, skipped, errorMessages}
+ * @description Ошибка в классической доске делает запуск невозможным (success: false).
+ * Альтернативные доски с ошибками пропускаются и перечисляются в skipped
+ */
+function loadBoards(boardsDir = BOARDS_DIR) {
+    const classicCheck = validateBoard(DEFAULT_BOARD);
+    if (!classicCheck.isValid) {
+        return {
+            success: false,
+            loaded: [],
+            skipped: [],
+            errorMessages: classicCheck.errorMessages.map(message => `${DEFAULT_BOARD_ID}: ${message}`)
+        };
+    }
+
+    const loaded = [DEFAULT_BOARD_ID];
+    const skipped = [];
+    const files = fs.existsSync(boardsDir)
+        ? fs.readdirSync(boardsDir).filter(file => file.endsWith('.json')).sort()
+        : [];
+
+    files.forEach(file => {
+        const boardId = path.basename(file, '.json');
+
+        if (boardId === DEFAULT_BOARD_ID) {
+            skipped.push({ boardId, errorMessages: [`Идентификатор "${DEFAULT_BOARD_ID}" занят классической доской`] });
+            return;
+        }
+
+        let board;
+        try {
+            board = JSON.parse(fs.readFileSync(path.join(boardsDir, file), 'utf8'));
+        } catch (error) {
+            skipped.push({ boardId, errorMessages: [`Не удалось прочитать файл ${file}: ${error.message}`] });
+            return;
+        }
+
+        const check = validateBoard(board);
+        if (!check.isValid) {
+            skipped.push({ boardId, errorMessages: check.errorMessages });
+            return;
+        }
+
+        boards.set(boardId, board);
+        loaded.push(boardId);
+    });
+
+    return { success: true, loaded, skipped, errorMessages: [] };
+}
+
+/**
+ * Проверяет, загружена ли доска
+ * @param {string} boardId - Идентификатор доски
+ * @returns {boolean} true если доску можно выбрать для игры
+ */
+function isBoardAvailable(boardId) {
+    return typeof boardId === 'string' && boards.has(boardId);
+}
+
+/**
+ * Получает описание доски по идентификатору
+ * @param {string} boardId - Идентификатор доски
+ * @returns {Object|null} Описание доски в формате gameZones.json или null
+ */
+function getBoard(boardId) {
+    return boards.get(boardId) || null;
+}
+
+/**
+ * Получает доску, на которой идет игра
+ * @param {Object} ruleset - Правила игры (board)
+ * @returns {Object} Описание доски; для недоступной доски - классическая (с ошибкой в журнале)
+ * @description Доска игры может пропасть после перезапуска сервера (файл удален или не прошел проверку).
+ * Ходы в такой игре отклоняются заранее (см. validateRulesetBoard в ruleset.js), а классическая доска
+ * здесь лишь не дает упасть синхронным проверкам
+ */
+function getRulesetBoard(ruleset) {
+    const boardId = ruleset && ruleset.board !== undefined ? ruleset.board : DEFAULT_BOARD_ID;
+    const board = getBoard(boardId);
+    if (board) {
+        return board;
+    }
+
+    if (!reportedMissingBoards.has(boardId)) {
+        reportedMissingBoards.add(boardId);
+        console.error(`❌ Доска "${boardId}" не загружена: проверьте файл ${boardId}.json в каталоге ${BOARDS_DIR}`);
+    }
+    return DEFAULT_BOARD;
+}
+
+/**
+ * Получает номера игроков, для которых на доске есть места
+ * @param {Object} board - Описание доски
+ * @returns {Array<number>} Номера игроков по возрастанию
+ */
+function getBoardPlayers(board) {
+    return Object.keys(board.waitingZones)
+        .map(key => parseInt(key.replace('player', '')))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Формирует список загруженных досок для ответа API
+ * @returns {Array} Доски [{boardId, boardSize, players, description}]
+ */
+function listBoards() {
+    return [...boards.entries()].map(([boardId, board]) => ({
+        boardId: boardId,
+        boardSize: board.metadata.boardSize,
+        players: getBoardPlayers(board),
+        description: board.metadata.description || null
+    }));
+}
+
+module.exports = {
+    DEFAULT_BOARD_ID,
+    DEFAULT_BOARD,
+    BOARDS_DIR,
+    loadBoards,
+    isBoardAvailable,
+    getBoard,
+    getRulesetBoard,
+    getBoardPlayers,
+    listBoards
+};
@@ -0,0 +1,175 @@
+// botPlayer.js
+// Модуль компьютерного соперника: выбор хода из допустимых ходов для броска
+
+const { getZoneType } = require('../validation/zoneDetector');
+const { getLegalMoves, applyMove } = require('./legalMoves');
+const { validateTurn } = require('./turnValidator');
+const { compareGameStates, buildTurnState } = require('./gameStateManager');
+const { DEFAULT_RULESET } = require('./ruleset');
+const { DEFAULT_BOARD, getRulesetBoard } = require('./boards');
+const { BOT_LEVELS } = require('./gameLifecycle');
+
+/**
+ * Веса эвристики для оценки отдельного перемещения
+ */
+const HEURISTIC_WEIGHTS = {
+    capture: 50,
+    enterBoard: 12,
+    homeZone: 30,
+    temple: 15,
+    teleport: 10,
+    prison: -40,
+    step: 1
+};
+
+/**
+ * Строит все варианты хода на бросок: сумма одной фишкой или кубики по очереди
+ * @param {Object} gameState - Состояние игры
+ * @param {number} player - Номер игрока
+ * @param {Object} dice - Значения кубиков {dice1, dice2}
+ * @param {Object} ruleset - Правила игры
+ * @returns {Array} Массив планов {moves, diceUsed, gameState}
+ */
+function buildTurnPlans(gameState, player, dice, ruleset = DEFAULT_RULESET) {
+    const plans = [{ moves: [], diceUsed: 0, gameState: gameState }];
+    const board = getRulesetBoard(ruleset);
+
+    getLegalMoves(gameState, player, dice, ruleset).forEach(move => {
+        const afterFirst = applyMove(gameState, move, board);
+
+        if (move.dieUsed === 'sum') {
+            plans.push({ moves: [move], diceUsed: 2, gameState: afterFirst });
+            return;
+        }
+
+        plans.push({ moves: [move], diceUsed: 1, gameState: afterFirst });
+
+        // Вторым ходом используем оставшийся кубик
+        const otherDie = move.dieUsed === 'dice1' ? dice.dice2 : dice.dice1;
+        getLegalMoves(afterFirst, player, { dice1: otherDie }, ruleset).forEach(second => {
+            plans.push({
+                moves: [move, { ...second, dieUsed: move.dieUsed === 'dice1' ? 'dice2' : 'dice1' }],
+                diceUsed: 2,
+                gameState: applyMove(afterFirst, second, board)
+            });
+        });
+    });
+
+    return plans;
+}
+
+/**
+ * Оценивает перемещение по эвристике
+ * @param {Object} move - Ход из getLegalMoves
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {number} Оценка хода
+ */
+function scoreMove(move, board = DEFAULT_BOARD) {
+    const fromZone = getZoneType(move.from, move.player, board).type;
+    const toZone = getZoneType(move.to, move.player, board).type;
+    let score = move.steps * HEURISTIC_WEIGHTS.step;
+
+    score += move.captures.length * HEURISTIC_WEIGHTS.capture;
+
+    if (fromZone === 'waiting') score += HEURISTIC_WEIGHTS.enterBoard;
+    if (toZone === 'home') score += HEURISTIC_WEIGHTS.homeZone;
+    if (toZone === 'temple') score += HEURISTIC_WEIGHTS.temple;
+    if (toZone === 'prison') score += HEURISTIC_WEIGHTS.prison;
+    if (fromZone === 'teleport') score += HEURISTIC_WEIGHTS.teleport;
+
+    return score;
+}
+
+/**
+ * Оценивает план хода для заданного уровня бота
+ * @param {Object} plan - План {moves}
+ * @param {string} level - Уровень бота
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {number} Оценка плана
+ */
+function scorePlan(plan, level, board = DEFAULT_BOARD) {
+    if (level === BOT_LEVELS.GREEDY) {
+        return plan.moves.reduce((total, move) => total + move.steps, 0);
+    }
+    return plan.moves.reduce((total, move) => total + scoreMove(move, board), 0);
+}
+
+/**
+ * Упорядочивает планы по предпочтению бота
+ * @param {Array} plans - Планы из buildTurnPlans
+ * @param {string} level - Уровень бота
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {Array} Планы от лучшего к худшему
+ */
+function rankPlans(plans, level, board = DEFAULT_BOARD) {
+    if (level === BOT_LEVELS.RANDOM) {
+        const shuffled = [...plans];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled.sort((a, b) => b.diceUsed - a.diceUsed);
+    }
+
+    // Сначала используем как можно больше кубиков - иначе ход не пройдет проверку остатка
+    return [...plans].sort((a, b) => b.diceUsed - a.diceUsed || scorePlan(b, level, board) - scorePlan(a, level, board));
+}
+
+/**
+ * Выбирает одно перемещение из допустимых (для хода, уже начатого отдельными перемещениями)
+ * @param {Array} moves - Допустимые ходы из getLegalMoves
+ * @param {string} level - Уровень бота (BOT_LEVELS)
+ * @param {Object} ruleset - Правила игры
+ * @returns {Object|null} Выбранный ход или null если ходов нет
+ */
+function chooseBotMove(moves, level = BOT_LEVELS.HEURISTIC, ruleset = DEFAULT_RULESET) {
+    const plans = moves.map(move => ({ moves: [move], diceUsed: 1 }));
+    const [best] = rankPlans(plans, level, getRulesetBoard(ruleset));
+
+    return best ? best.moves[0] : null;
+}
+
+/**
+ * Выбирает ход бота и строит новое состояние игры для отправки через updateGameState
+ * @param {Object} gameState - Текущее состояние игры
+ * @param {Object} roll - Серверный бросок {dice1, dice2, sum, player, rollId}; у броска каури только dice1
+ * @param {string} level - Уровень бота (BOT_LEVELS)
+ * @param {Object} ruleset - Правила игры
+ * @returns {Object} {gameState, moves} - новое состояние и выбранные перемещения
+ * @description Каждый план проверяется тем же validateTurn, что и ходы людей;
+ * если ни один план не прошел проверку, бот пропускает ход
+ */
+function chooseBotTurn(gameState, roll, level = BOT_LEVELS.HEURISTIC, ruleset = DEFAULT_RULESET) {
+    const player = roll.player;
+    const dice = { dice1: roll.dice1, dice2: roll.dice2 };
+    const playerInfo = (gameState.playersOrder || []).find(entry => entry.player === player);
+    const diceEntry = { dice1: roll.dice1, dice2: roll.dice2, sum: roll.sum, player: player, color: playerInfo ? playerInfo.color : undefined };
+    const diceRolls = [{ ...diceEntry, rollId: roll.rollId, turnNumber: roll.turnNumber }];
+
+    const plans = rankPlans(buildTurnPlans(gameState, player, dice, ruleset), level, getRulesetBoard(ruleset));
+
+    for (const plan of plans) {
+        const candidate = buildTurnState(gameState, plan.gameState, roll, ruleset);
+
+        const turnDifferences = compareGameStates(gameState, candidate);
+        turnDifferences.diceRolls = diceRolls;
+
+        if (validateTurn(turnDifferences, candidate, gameState, ruleset).isValid) {
+            return { gameState: candidate, moves: plan.moves };
+        }
+    }
+
+    // Допустимого плана нет - передаем ход без перемещений
+    return {
+        gameState: buildTurnState(gameState, gameState, roll, ruleset),
+        moves: []
+    };
+}
+
+module.exports = {
+    applyMove,
+    buildTurnPlans,
+    scoreMove,
+    chooseBotMove,
+    chooseBotTurn
+};
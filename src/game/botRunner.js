@@ -0,0 +1,264 @@
+// botRunner.js
+// Модуль автоматических ходов ботов: когда очередь доходит до места бота, сервер ходит за него
+
+const { getStorage, loadGame } = require('../storage');
+const { rollDiceForGame } = require('./diceRollManager');
+const { updateGameState, submitMove, passTurn, getLegalMovesForGame, getPendingTurn } = require('./gameStateManager');
+const { GAME_STATUSES, isGameActive, BOT_LEVELS } = require('./gameLifecycle');
+const { getGameRuleset } = require('./ruleset');
+const { chooseBotTurn, chooseBotMove } = require('./botPlayer');
+
+/**
+ * Пауза перед ходом бота в миллисекундах, чтобы игроки успели увидеть бросок (BOT_MOVE_DELAY_MS)
+ */
+const DEFAULT_BOT_MOVE_DELAY_MS = 800;
+
+/**
+ * Сколько раз пробовать записать ход бота, прежде чем передать ход без перемещений
+ */
+const BOT_TURN_ATTEMPTS = 3;
+
+// Игры, для которых ход бота уже запланирован
+const scheduledGames = new Set();
+
+// Обработчики событий хода бота (рассылка игрокам)
+let handlers = {
+    onRoll: () => {},
+    onUpdate: () => {}
+};
+
+/**
+ * Задает обработчики событий хода бота
+ * @param {Object} options - Обработчики
+ * @param {Function} [options.onRoll] - (chprId, roll) вызывается после броска бота
+ * @param {Function} [options.onUpdate] - (chprId, result, gameState) вызывается после хода бота
+ */
+function initBotRunner(options = {}) {
+    handlers = { ...handlers, ...options };
+}
+
+/**
+ * Получает задержку перед ходом бота
+ * @returns {number} Задержка в миллисекундах
+ */
+function getBotMoveDelay() {
+    const delay = parseInt(process.env.BOT_MOVE_DELAY_MS);
+    return Number.isInteger(delay) && delay >= 0 ? delay : DEFAULT_BOT_MOVE_DELAY_MS;
+}
+
+/**
+ * Находит место бота, который должен ходить сейчас
+ * @param {Object} record - Запись игры
+ * @returns {Object|null} Место {player, color, bot} или null если ходит человек
+ */
+function getActiveBotSeat(record) {
+    if (!record || !isGameActive(record) || !record.gameState) return null;
+
+    const seat = (record.seats || []).find(entry => entry.player === record.gameState.currentPlayer);
+    return seat && seat.bot ? seat : null;
+}
+
+/**
+ * Планирует ход бота, если сейчас очередь места бота
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number} [attempt] - Номер попытки записать ход (с 1)
+ * @description Повторный вызов до выполнения хода ничего не делает.
+ * После хода бота проверка повторяется - подряд могут ходить несколько ботов.
+ * Отклоненный ход (например, игру изменили между броском и записью) повторяется заново с броска;
+ * после BOT_TURN_ATTEMPTS неудач ход передается без перемещений, чтобы игра не остановилась
+ */
+function scheduleBotTurn(chprId, attempt = 1) {
+    if (scheduledGames.has(chprId)) return;
+
+    scheduledGames.add(chprId);
+
+    setTimeout(async () => {
+        scheduledGames.delete(chprId);
+
+        let result;
+        try {
+            result = await playBotTurn(chprId);
+        } catch (error) {
+            console.error('Ошибка при ходе бота:', error);
+            result = { success: false, error: error.message };
+        }
+
+        if (!result) return;
+
+        if (result.success) {
+            scheduleBotTurn(chprId);
+        } else if (attempt < BOT_TURN_ATTEMPTS) {
+            scheduleBotTurn(chprId, attempt + 1);
+        } else {
+            await passBotTurn(chprId);
+        }
+    }, getBotMoveDelay());
+}
+
+/**
+ * Передает ход бота следующему игроку без перемещений, если записать ход бота не удалось
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object|null>} Результат passTurn или null если сейчас ходит не бот
+ */
+async function passBotTurn(chprId) {
+    try {
+        const loaded = await loadGame(chprId);
+        const seat = loaded.success ? getActiveBotSeat(loaded.record) : null;
+        if (!seat) {
+            return null;
+        }
+
+        const result = await passTurn(chprId, seat.player);
+        if (!result) {
+            return null;
+        }
+
+        handlers.onUpdate(chprId, result, result.gameState);
+
+        if (result.success) {
+            console.warn(`⚠️ Ход бота за игрока ${seat.player} в игре ${chprId} не удалось записать - ход передан игроку ${result.nextPlayer}`);
+            scheduleBotTurn(chprId);
+        } else {
+            console.error(`Не удалось передать ход бота за игрока ${seat.player} в игре ${chprId}:`, result.error);
+        }
+
+        return result;
+    } catch (error) {
+        console.error('Ошибка при передаче хода бота:', error);
+        return null;
+    }
+}
+
+/**
+ * Возобновляет ходы ботов в активных играх (выполняется при запуске сервера)
+ * @returns {Promise<Object>} Объект с результатом {success, scheduled} или {success: false, error}
+ * @description Ход бота планируется только из обработчиков запросов, поэтому после перезапуска
+ * игра, где очередь дошла до бота, без этого стояла бы на месте
+ */
+async function resumeBotTurns() {
+    const { data, error } = await getStorage().listGames({ status: GAME_STATUSES.ACTIVE });
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    const games = (data || []).filter(record => getActiveBotSeat(record));
+    games.forEach(record => scheduleBotTurn(record.chprId));
+
+    return { success: true, scheduled: games.length };
+}
+
+/**
+ * Выполняет ход бота: бросок кубиков, выбор хода и запись состояния через общую валидацию
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object|null>} Результат updateGameState или null если сейчас ходит не бот
+ */
+async function playBotTurn(chprId) {
+    const loaded = await loadGame(chprId);
+    if (!loaded.success) {
+        return null;
+    }
+
+    const seat = getActiveBotSeat(loaded.record);
+    if (!seat) {
+        return null;
+    }
+
+    const level = Object.values(BOT_LEVELS).includes(seat.bot) ? seat.bot : BOT_LEVELS.HEURISTIC;
+    return playTurnForPlayer(chprId, seat.player, { level });
+}
+
+/**
+ * Ходит ботом за игрока, чей сейчас ход (место бота или игрок, у которого истекло время хода)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number} player - Игрок, за которого ходит бот
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {string} [options.level] - Уровень бота (по умолчанию heuristic)
+ * @param {Object} [options.timeout] - Истечение времени хода {player, timeouts, action} для записи в историю
+ * @returns {Promise<Object>} Результат updateGameState или submitMove
+ * @description Ход, начатый игроком отдельными перемещениями, бот доигрывает теми же перемещениями
+ * на оставшиеся кубики; иначе бросает кубики и выбирает ход целиком
+ */
+async function playTurnForPlayer(chprId, player, options = {}) {
+    const level = options.level || BOT_LEVELS.HEURISTIC;
+    const timeout = options.timeout || null;
+
+    const rollResult = await rollDiceForGame(chprId, player);
+    if (!rollResult.success) {
+        return rollResult;
+    }
+
+    if (!rollResult.alreadyRolled) {
+        handlers.onRoll(chprId, rollResult.roll);
+    }
+
+    // Состояние перечитываем после броска - версия нужна актуальная
+    const reloaded = await loadGame(chprId);
+    if (!reloaded.success) {
+        return reloaded;
+    }
+
+    const { record } = reloaded;
+    const ruleset = getGameRuleset(record);
+
+    if (getPendingTurn(record)) {
+        return finishPendingTurn(chprId, player, level, ruleset, timeout);
+    }
+
+    const turn = chooseBotTurn(record.gameState, rollResult.roll, level, ruleset);
+
+    const result = await updateGameState(chprId, turn.gameState, record.version || 0, { timeout });
+
+    handlers.onUpdate(chprId, result, turn.gameState);
+
+    if (!result.success) {
+        console.error(`Ход бота (${level}) за игрока ${player} в игре ${chprId} отклонен:`, result.error);
+    }
+
+    return result;
+}
+
+/**
+ * Доигрывает начатый ход перемещениями на оставшиеся кубики
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number} player - Игрок, за которого ходит бот
+ * @param {string} level - Уровень бота
+ * @param {Object} ruleset - Правила игры
+ * @param {Object|null} timeout - Истечение времени хода для записи в историю
+ * @returns {Promise<Object>} Результат последнего submitMove
+ * @description Каждое перемещение тратит кубик, поэтому цикл заканчивается вместе с броском
+ */
+async function finishPendingTurn(chprId, player, level, ruleset, timeout) {
+    let result = null;
+
+    do {
+        const legal = await getLegalMovesForGame(chprId, { player });
+        if (!legal.success) {
+            return legal;
+        }
+
+        const move = chooseBotMove(legal.moves, level, ruleset);
+        if (!move) {
+            return result;
+        }
+
+        const { pieceId, from, to, dieUsed } = move;
+        result = await submitMove(chprId, { pieceId, from, to, dieUsed }, { timeout });
+
+        handlers.onUpdate(chprId, result, result.gameState);
+
+        if (!result.success) {
+            console.error(`Ход бота (${level}) за игрока ${player} в игре ${chprId} отклонен:`, result.error);
+        }
+    } while (result.success && !result.turnComplete);
+
+    return result;
+}
+
+module.exports = {
+    initBotRunner,
+    getActiveBotSeat,
+    scheduleBotTurn,
+    resumeBotTurns,
+    playBotTurn,
+    playTurnForPlayer
+};
@@ -0,0 +1,240 @@
+// diceRollManager.js
+// Модуль для серверных бросков кубиков, привязанных к игре и ходу
+
+const crypto = require('crypto');
+const { getStorage, loadGame, withGameLock } = require('../storage');
+const { generateThrow, getThrowValues, formatThrow } = require('../../dice');
+const { isGameActive, gameNotActiveResult } = require('./gameLifecycle');
+const { resolveGameSettings } = require('./gameSettings');
+const { getGameRuleset } = require('./ruleset');
+const { DEFAULT_LOCALE, resolveLocale, translate } = require('../i18n');
+const { validateActivePlayerOwnership } = require('../auth/seatOwnership');
+
+/**
+ * Получает текущий серверный бросок кубиков для игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object|null>} Сохраненный бросок или null если броска нет
+ */
+async function getCurrentRoll(chprId) {
+    try {
+        const { data, error } = await getStorage().getGame(chprId);
+
+        if (error) {
+            throw error;
+        }
+
+        return data ? data.currentRoll || null : null;
+    } catch (error) {
+        console.error('Ошибка при получении текущего броска кубиков:', error);
+        return null;
+    }
+}
+
+/**
+ * Проверяет, что бросок еще не был использован в принятом ходе
+ * @param {Object|null} roll - Сохраненный бросок
+ * @returns {boolean} true если бросок можно использовать для хода
+ */
+function isRollActive(roll) {
+    return Boolean(roll && !roll.usedAt);
+}
+
+/**
+ * Получает кубики броска, которые еще не использованы в текущем ходе
+ * @param {Object} roll - Серверный бросок {dice1, dice2}; у броска каури только dice1
+ * @param {Array<string>} usedDice - Уже использованные кубики ('dice1', 'dice2', 'sum')
+ * @returns {Array} Неиспользованные кубики [{key, value}]
+ */
+function getUnusedDice(roll, usedDice = []) {
+    if (!roll || usedDice.includes('sum')) {
+        return [];
+    }
+
+    return ['dice1', 'dice2']
+        .filter(key => Number.isInteger(roll[key]) && !usedDice.includes(key))
+        .map(key => ({ key, value: roll[key] }));
+}
+
+/**
+ * Выполняет серверный бросок для активного игрока (кубики или каури по правилам игры) и сохраняет его в записи игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number|null} requestedPlayer - Номер игрока, запросившего бросок (необязательно)
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {Object} [options.actor] - Пользователь из токена игрока {userId}; без него права на места не проверяются (боты)
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык игры)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, roll}
+ * @description Повторный запрос до использования броска возвращает тот же бросок,
+ * поэтому перебросить кубики до совершения хода нельзя
+ */
+async function rollDiceForGame(chprId, requestedPlayer = null, options = {}) {
+    if (!chprId || typeof chprId !== 'string') {
+        return {
+            success: false,
+            message: translate(resolveLocale(options.locale), 'errors.INVALID_CHPR_ID'),
+            error: 'INVALID_CHPR_ID'
+        };
+    }
+
+    // Чтение текущего броска и запись нового не должны пересекаться с другими операциями над игрой
+    return withGameLock(chprId, () => applyRoll(chprId, requestedPlayer, options));
+}
+
+/**
+ * Выполняет бросок (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number|null} requestedPlayer - Номер игрока, запросившего бросок
+ * @param {Object} options - Параметры запроса {actor, locale} (см. rollDiceForGame)
+ * @returns {Promise<Object>} Объект с результатом (см. rollDiceForGame)
+ */
+async function applyRoll(chprId, requestedPlayer, options) {
+    const actor = options.actor || null;
+    let locale = resolveLocale(options.locale);
+
+    try {
+        const loaded = await loadGame(chprId, locale);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        const { record } = loaded;
+        // Язык запроса важнее языка игры
+        locale = resolveLocale(options.locale, resolveGameSettings(record.settings).locale);
+
+        if (!isGameActive(record)) {
+            return gameNotActiveResult(record, locale);
+        }
+
+        // Бросает всегда активный игрок из сохраненного состояния, а не тот, кого укажет клиент
+        const gameState = record.gameState || {};
+        const activePlayer = gameState.currentPlayer || 1;
+
+        if (requestedPlayer !== null && requestedPlayer !== undefined && Number(requestedPlayer) !== activePlayer) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.NOT_ACTIVE_PLAYER', { activePlayer, player: requestedPlayer }),
+                error: 'NOT_ACTIVE_PLAYER'
+            };
+        }
+
+        // Бросать может только пользователь, за которым закреплено место активного игрока
+        const ownershipCheck = validateActivePlayerOwnership(record, activePlayer, actor, locale);
+        if (!ownershipCheck.success) {
+            return ownershipCheck;
+        }
+
+        const previousRoll = record.currentRoll;
+
+        // Неиспользованный бросок возвращаем повторно вместо нового
+        if (isRollActive(previousRoll) && previousRoll.player === activePlayer) {
+            return {
+                success: true,
+                message: translate(locale, 'messages.rollAlreadyMade'),
+                roll: previousRoll,
+                alreadyRolled: true
+            };
+        }
+
+        const ruleset = getGameRuleset(record);
+        const roll = {
+            rollId: crypto.randomUUID(),
+            player: activePlayer,
+            turnNumber: previousRoll && previousRoll.turnNumber ? previousRoll.turnNumber + 1 : 1,
+            ...generateThrow(ruleset.throwMode, ruleset),
+            createdAt: new Date().toISOString(),
+            usedAt: null
+        };
+
+        const { error: updateError } = await getStorage().updateGame(chprId, { currentRoll: roll });
+
+        if (updateError) {
+            return {
+                success: false,
+                message: translate(locale, 'messages.rollSaveFailed'),
+                error: updateError.message
+            };
+        }
+
+        return {
+            success: true,
+            message: translate(locale, 'messages.rollCompleted'),
+            roll: roll,
+            alreadyRolled: false
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при броске кубиков:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedRoll'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Сверяет значения кубиков, указанные клиентом, с серверным броском
+ * @param {Object|null} roll - Сохраненный серверный бросок
+ * @param {Array} claimedRolls - Броски из присланного состояния (diceLog/lastDiceRoll)
+ * @param {boolean} hasMovements - Были ли перемещения фишек в присланном состоянии
+ * @returns {Object} Объект с результатом проверки {isValid, errorMessage, error, errorParams, diceRolls}
+ * @description При успешной проверке diceRolls содержит серверный бросок для валидации ходов.
+ * Броски сравниваются по значениям, поэтому бросок каури (одно значение в dice1) сверяется так же, как кубики
+ */
+function verifyClaimedDice(roll, claimedRolls, hasMovements) {
+    const claimed = claimedRolls.length > 0 ? claimedRolls[0] : null;
+
+    if (!isRollActive(roll)) {
+        if (hasMovements) {
+            return {
+                isValid: false,
+                errorMessage: translate(DEFAULT_LOCALE, 'errors.ROLL_REQUIRED'),
+                error: 'ROLL_REQUIRED',
+                errorParams: {},
+                diceRolls: []
+            };
+        }
+
+        // Ход без перемещений и без активного броска - проверять нечего
+        return { isValid: true, errorMessage: null, error: null, diceRolls: claimedRolls };
+    }
+
+    if (claimed && getThrowValues(claimed).join('+') !== getThrowValues(roll).join('+')) {
+        const errorParams = {
+            claimed: formatThrow(claimed),
+            rolled: formatThrow(roll)
+        };
+        return {
+            isValid: false,
+            errorMessage: translate(DEFAULT_LOCALE, 'errors.DICE_MISMATCH', errorParams),
+            error: 'DICE_MISMATCH',
+            errorParams: errorParams,
+            diceRolls: []
+        };
+    }
+
+    return {
+        isValid: true,
+        errorMessage: null,
+        error: null,
+        diceRolls: [{
+            mode: roll.mode,
+            dice1: roll.dice1,
+            dice2: roll.dice2,
+            sum: roll.sum,
+            shells: roll.shells,
+            mouthsUp: roll.mouthsUp,
+            player: roll.player,
+            color: claimed ? claimed.color : undefined,
+            rollId: roll.rollId,
+            turnNumber: roll.turnNumber
+        }]
+    };
+}
+
+module.exports = {
+    getCurrentRoll,
+    isRollActive,
+    getUnusedDice,
+    rollDiceForGame,
+    verifyClaimedDice
+};
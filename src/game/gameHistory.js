@@ -0,0 +1,247 @@
+// gameHistory.js
+// Модуль истории игры: список принятых ходов и восстановление состояния на любом ходе
+
+const { getStorage, loadGame } = require('../storage');
+const { GAME_STATUSES } = require('./gameLifecycle');
+
+/**
+ * Типы записей истории
+ * Записи ходов без type (сохраненные до появления поля) считаются ходами
+ */
+const HISTORY_ENTRY_TYPES = {
+    START: 'start',
+    MOVE: 'move',
+    // Время хода истекло, ход передан следующему игроку (см. turnTimer)
+    TIMEOUT: 'timeout',
+    // Игрок выбыл после нескольких истечений времени подряд
+    FORFEIT: 'forfeit',
+    // Ход бота не удалось записать, ход передан без перемещений (см. botRunner)
+    PASS: 'pass',
+    FINISHED: 'finished',
+    ABANDONED: 'abandoned'
+};
+
+/**
+ * Записи, которые меняют состояние игры и считаются отдельным ходом при нумерации и повторе
+ */
+const TURN_ENTRY_TYPES = [HISTORY_ENTRY_TYPES.MOVE, HISTORY_ENTRY_TYPES.TIMEOUT, HISTORY_ENTRY_TYPES.FORFEIT, HISTORY_ENTRY_TYPES.PASS];
+
+/**
+ * Определяет тип записи истории
+ * @param {Object} entry - Запись истории
+ * @returns {string} Тип записи
+ */
+function getEntryType(entry) {
+    return entry.type || HISTORY_ENTRY_TYPES.MOVE;
+}
+
+/**
+ * Нумерует записи истории: у каждого хода свой номер, запуск игры - ход 0
+ * @param {Array} entries - Записи истории в порядке добавления
+ * @returns {Array} Записи с полями index, type и turn
+ * @description Передача хода по истечении времени или за бота и выбывание игрока тоже считаются ходом
+ */
+function numberHistoryEntries(entries) {
+    let turn = 0;
+
+    return entries.map((entry, index) => {
+        const type = getEntryType(entry);
+        if (TURN_ENTRY_TYPES.includes(type)) {
+            turn += 1;
+        }
+
+        return { ...entry, index: index, type: type, turn: turn };
+    });
+}
+
+/**
+ * Загружает историю игры из хранилища
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object>} {success, record, entries} или объект ошибки
+ */
+async function loadHistory(chprId) {
+    const loaded = await loadGame(chprId);
+    if (!loaded.success) {
+        return loaded;
+    }
+
+    const { data, error } = await getStorage().getHistory(chprId);
+
+    if (error) {
+        return {
+            success: false,
+            message: 'Ошибка при получении истории игры из хранилища.',
+            error: error.message
+        };
+    }
+
+    return {
+        success: true,
+        record: loaded.record,
+        entries: numberHistoryEntries(data || [])
+    };
+}
+
+/**
+ * Получает полную историю игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object>} Объект с результатом: {success, chprId, status, totalTurns, entries}
+ * @description Каждая запись хода содержит бросок, перемещения, отчет (текст и события),
+ * результат валидации, состояние после хода и время сохранения
+ */
+async function getGameHistory(chprId) {
+    try {
+        const history = await loadHistory(chprId);
+        if (!history.success) {
+            return history;
+        }
+
+        const { record, entries } = history;
+
+        return {
+            success: true,
+            chprId: chprId,
+            status: record.status || GAME_STATUSES.ACTIVE,
+            totalTurns: entries.length > 0 ? entries[entries.length - 1].turn : 0,
+            entries: entries
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при получении истории игры:', error);
+        return {
+            success: false,
+            message: 'Произошла неожиданная ошибка при получении истории игры.',
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Применяет перемещения фишек из записи хода к состоянию игры
+ * @param {Object} gameState - Состояние до хода
+ * @param {Object} entry - Запись хода {type, movements, nextPlayer}; у выбывания - и выбывший игрок {player}
+ * @returns {Object} Новое состояние
+ */
+function applyHistoryEntry(gameState, entry) {
+    const nextState = structuredClone(gameState);
+
+    entry.movements.forEach(({ player, piece, to }) => {
+        const pieces = nextState.piecesData[player] || nextState.piecesData[String(player)];
+        if (pieces && pieces[piece]) {
+            pieces[piece].position = to;
+        }
+    });
+
+    if (entry.nextPlayer !== undefined && entry.nextPlayer !== null) {
+        nextState.currentPlayer = entry.nextPlayer;
+    }
+
+    if (entry.type === HISTORY_ENTRY_TYPES.FORFEIT && Array.isArray(nextState.playersOrder)) {
+        nextState.playersOrder = nextState.playersOrder.map(info =>
+            (info && info.player === entry.player ? { ...info, forfeited: true } : info)
+        );
+    }
+
+    return nextState;
+}
+
+/**
+ * Сравнивает расстановку фишек двух состояний
+ * @param {Object} a - Первое состояние
+ * @param {Object} b - Второе состояние
+ * @returns {boolean} true если все фишки стоят на тех же клетках и ходит тот же игрок
+ */
+function isSamePosition(a, b) {
+    if (!a || !b || a.currentPlayer !== b.currentPlayer) return false;
+
+    const positions = state => JSON.stringify(
+        Object.keys(state.piecesData || {})
+            .sort()
+            .map(player => [player, (state.piecesData[player] || []).map(piece => piece && piece.position)])
+    );
+
+    return positions(a) === positions(b);
+}
+
+/**
+ * Восстанавливает состояние игры на заданном ходе, повторяя перемещения из истории
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number|null} turn - Номер хода (0 - начальная расстановка); по умолчанию последний ход
+ * @returns {Promise<Object>} Объект с результатом: {success, turn, totalTurns, gameState, entry, consistent, mismatchAt}
+ * @description Состояние строится из начальной расстановки применением перемещений каждого хода.
+ * После каждого хода результат сверяется с сохраненным снимком: consistent=false и mismatchAt
+ * указывают на первый ход, где сохраненное состояние не совпало с повтором
+ */
+async function replayGame(chprId, turn = null) {
+    try {
+        const history = await loadHistory(chprId);
+        if (!history.success) {
+            return history;
+        }
+
+        const { entries } = history;
+        const moves = entries.filter(entry => TURN_ENTRY_TYPES.includes(entry.type));
+        const totalTurns = moves.length;
+        const targetTurn = turn === null || turn === undefined ? totalTurns : turn;
+
+        if (!Number.isInteger(targetTurn) || targetTurn < 0 || targetTurn > totalTurns) {
+            return {
+                success: false,
+                message: `Некорректный номер хода. Ожидается целое число от 0 до ${totalTurns}.`,
+                error: 'INVALID_TURN'
+            };
+        }
+
+        const start = entries.find(entry => entry.type === HISTORY_ENTRY_TYPES.START && entry.gameState);
+        let gameState = start ? start.gameState : null;
+        let mismatchAt = null;
+
+        for (const entry of moves.slice(0, targetTurn)) {
+            // Старые записи без перемещений восстанавливаем по сохраненному снимку
+            if (!gameState || !Array.isArray(entry.movements)) {
+                gameState = entry.gameState;
+                continue;
+            }
+
+            gameState = applyHistoryEntry(gameState, entry);
+
+            if (mismatchAt === null && entry.gameState && !isSamePosition(gameState, entry.gameState)) {
+                mismatchAt = entry.turn;
+            }
+        }
+
+        if (!gameState) {
+            return {
+                success: false,
+                message: 'В истории игры нет начальной расстановки для повтора.',
+                error: 'HISTORY_EMPTY'
+            };
+        }
+
+        return {
+            success: true,
+            chprId: chprId,
+            turn: targetTurn,
+            totalTurns: totalTurns,
+            gameState: gameState,
+            entry: targetTurn > 0 ? moves[targetTurn - 1] : start,
+            consistent: mismatchAt === null,
+            mismatchAt: mismatchAt
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при повторе игры:', error);
+        return {
+            success: false,
+            message: 'Произошла неожиданная ошибка при повторе игры.',
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    HISTORY_ENTRY_TYPES,
+    numberHistoryEntries,
+    getGameHistory,
+    replayGame
+};
@@ -0,0 +1,720 @@
+// gameLifecycle.js
+// Модуль жизненного цикла игры: создание, старт, завершение и отмена
+
+const crypto = require('crypto');
+const { getStorage, loadGame, updateGameWithHistory, withGameLock } = require('../storage');
+const { resolveGameSettings, validateSettingsChanges } = require('./gameSettings');
+const { resolveRuleset, applyRulesetChanges, getGameRuleset, validateRulesetChanges, validateRulesetBoard } = require('./ruleset');
+const { hasFullTeams, describeTeams } = require('./teams');
+const { DEFAULT_BOARD, getRulesetBoard, getBoardPlayers } = require('./boards');
+const { validateGameMembership } = require('../auth/seatOwnership');
+const { DEFAULT_LOCALE, resolveLocale, translate } = require('../i18n');
+
+/**
+ * Статусы игры
+ * Записи без статуса (созданные до появления жизненного цикла) считаются активными
+ */
+const GAME_STATUSES = {
+    CREATED: 'created',
+    ACTIVE: 'active',
+    FINISHED: 'finished',
+    ABANDONED: 'abandoned'
+};
+
+/**
+ * Цвета игроков по умолчанию (индексы 1-4 соответствуют местам)
+ */
+const DEFAULT_PLAYER_COLORS = {
+    1: 'Красный',
+    2: 'Желтый',
+    3: 'Зеленый',
+    4: 'Фиолетовый'
+};
+
+/**
+ * Места по умолчанию для заданного числа игроков
+ * Места 1 и 2, 3 и 4 находятся напротив друг друга
+ */
+const DEFAULT_SEATS = {
+    2: [1, 2],
+    3: [1, 3, 2],
+    4: [1, 3, 2, 4]
+};
+
+/**
+ * Уровни компьютерного соперника (см. botPlayer)
+ * random - случайный ход из допустимых
+ * greedy - ход с наибольшим продвижением фишек
+ * heuristic - предпочитает взятия, избегает тюрьмы, использует храмы и телепорты
+ */
+const BOT_LEVELS = {
+    RANDOM: 'random',
+    GREEDY: 'greedy',
+    HEURISTIC: 'heuristic'
+};
+
+/**
+ * Проверяет, можно ли в игре делать ходы
+ * @param {Object} record - Запись игры
+ * @returns {boolean} true если игра активна
+ */
+function isGameActive(record) {
+    return !record.status || record.status === GAME_STATUSES.ACTIVE;
+}
+
+/**
+ * Формирует стандартный ответ для игры, в которой нельзя делать ходы
+ * @param {Object} record - Запись игры
+ * @param {string} [locale] - Язык сообщения
+ * @returns {Object} Объект {success: false, message, error, status}
+ */
+function gameNotActiveResult(record, locale = DEFAULT_LOCALE) {
+    if (record.status === GAME_STATUSES.FINISHED) {
+        return {
+            success: false,
+            message: translate(locale, 'errors.GAME_FINISHED', { chprId: record.chprId }),
+            error: 'GAME_FINISHED',
+            status: record.status,
+            standings: record.standings || []
+        };
+    }
+
+    return {
+        success: false,
+        message: translate(locale, 'errors.GAME_NOT_ACTIVE', { chprId: record.chprId, status: record.status }),
+        error: 'GAME_NOT_ACTIVE',
+        status: record.status
+    };
+}
+
+/**
+ * Запускает часы хода игрока
+ * @param {Object} record - Запись игры {seats, ruleset}
+ * @param {number} player - Игрок, чей ход начинается
+ * @param {Date} now - Время начала хода
+ * @returns {Object|null} Часы хода {player, startedAt, expiresAt} или null, если время хода
+ * не ограничено правилами или ходит бот
+ */
+function startTurnClock(record, player, now = new Date()) {
+    const { turnTimeLimitSeconds } = getGameRuleset(record);
+    const seat = (record.seats || []).find(entry => entry.player === player);
+
+    if (!turnTimeLimitSeconds || !seat || seat.bot) {
+        return null;
+    }
+
+    return {
+        player: player,
+        startedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + turnTimeLimitSeconds * 1000).toISOString()
+    };
+}
+
+/**
+ * Проверяет и нормализует места, цвета, ботов и игроков новой игры
+ * @param {Object} options - Параметры игры {playerCount, seats, colors, bots, userIds, creator, creatorSeat}
+ * @param {Object} board - Доска игры (см. boards.js): места берутся из ее зон ожидания
+ * @param {string} [locale] - Язык сообщения об ошибке
+ * @returns {Object} {isValid, seats} или {isValid: false, errorMessage}
+ */
+function normalizeSeats(options, board = DEFAULT_BOARD, locale = DEFAULT_LOCALE) {
+    const invalidSeats = (variant, params = {}) => ({
+        isValid: false,
+        errorMessage: translate(locale, 'errors.INVALID_SEATS', { ...params, variant })
+    });
+
+    const availableSeats = getBoardPlayers(board);
+
+    const playerCount = options.playerCount !== undefined
+        ? Number(options.playerCount)
+        : (Array.isArray(options.seats) ? options.seats.length : 4);
+
+    if (!Number.isInteger(playerCount) || playerCount < 2 || playerCount > availableSeats.length) {
+        return invalidSeats('playerCount', { max: availableSeats.length });
+    }
+
+    // На доске без части мест по умолчанию занимаются ее первые места
+    const preferredSeats = DEFAULT_SEATS[playerCount];
+    const defaultSeats = preferredSeats && preferredSeats.every(seat => availableSeats.includes(seat))
+        ? preferredSeats
+        : availableSeats.slice(0, playerCount);
+    const seats = Array.isArray(options.seats) ? options.seats.map(Number) : defaultSeats;
+
+    if (seats.length !== playerCount) {
+        return invalidSeats('seatCount', { seats: seats.length, playerCount });
+    }
+
+    const unknownSeats = seats.filter(seat => !availableSeats.includes(seat));
+    if (unknownSeats.length > 0 || new Set(seats).size !== seats.length) {
+        return invalidSeats('seatNumbers', { available: availableSeats.join(', ') });
+    }
+
+    const colors = options.colors || {};
+    const bots = options.bots || {};
+
+    const botSeats = Object.keys(bots).map(Number);
+    const invalidBots = botSeats.filter(seat =>
+        !seats.includes(seat) || !Object.values(BOT_LEVELS).includes(bots[seat])
+    );
+    if (typeof bots !== 'object' || Array.isArray(bots) || invalidBots.length > 0) {
+        return invalidSeats('bots', { levels: Object.values(BOT_LEVELS).join(', ') });
+    }
+
+    // Пользователи (sub из токена игрока), которым принадлежат места; за место бота пользователь играть не может
+    const userIds = options.userIds || {};
+    const userSeats = Object.keys(userIds).map(Number);
+    const invalidUsers = userSeats.filter(seat =>
+        !seats.includes(seat) || bots[seat] || typeof userIds[seat] !== 'string' || userIds[seat].trim() === ''
+    );
+    if (typeof userIds !== 'object' || Array.isArray(userIds) || invalidUsers.length > 0) {
+        return invalidSeats('users');
+    }
+
+    // Создатель игры занимает выбранное место или первое свободное место без бота
+    const owners = { ...userIds };
+    if (options.creator) {
+        const creatorSeat = options.creatorSeat !== undefined && options.creatorSeat !== null
+            ? Number(options.creatorSeat)
+            : seats.find(seat => !bots[seat] && !owners[seat]);
+
+        if (!seats.includes(creatorSeat) || bots[creatorSeat] || owners[creatorSeat]) {
+            return invalidSeats('creatorSeat');
+        }
+        owners[creatorSeat] = options.creator.userId;
+    }
+
+    return {
+        isValid: true,
+        seats: seats.map((seat, index) => ({
+            player: seat,
+            color: (Array.isArray(colors) ? colors[index] : colors[seat]) || DEFAULT_PLAYER_COLORS[seat],
+            bot: bots[seat] || null,
+            userId: owners[seat] || null
+        }))
+    };
+}
+
+/**
+ * Проверяет, что правила подходят к составу игроков: места есть на доске игры, а командная игра идет вчетвером
+ * @param {Object} ruleset - Полные правила игры
+ * @param {Array} seats - Места игры [{player, color}]
+ * @param {string} [locale] - Язык сообщения об ошибке
+ * @returns {Object} Объект с результатом проверки {isValid, errorMessage, error}
+ */
+function validateRulesetSeats(ruleset, seats, locale = DEFAULT_LOCALE) {
+    const boardPlayers = getBoardPlayers(getRulesetBoard(ruleset));
+    const missingSeats = seats.filter(seat => !boardPlayers.includes(seat.player));
+
+    if (missingSeats.length > 0) {
+        return {
+            isValid: false,
+            errorMessage: translate(locale, 'errors.INVALID_RULESET', {
+                variant: 'boardSeats',
+                board: ruleset.board,
+                seats: missingSeats.map(seat => seat.player).join(', ')
+            }),
+            error: 'INVALID_RULESET'
+        };
+    }
+
+    if (ruleset.teamMode && !hasFullTeams(seats.map(seat => seat.player))) {
+        return {
+            isValid: false,
+            errorMessage: translate(locale, 'errors.INVALID_RULESET', { variant: 'teamMode' }),
+            error: 'INVALID_RULESET'
+        };
+    }
+
+    return { isValid: true, errorMessage: null, error: null };
+}
+
+/**
+ * Строит начальное состояние игры: все фишки в зонах ожидания своих игроков
+ * @param {Array} seats - Места игроков [{player, color}] в порядке хода
+ * @param {Object} board - Доска игры (см. boards.js)
+ * @returns {Object} Начальное состояние игры
+ */
+function buildInitialGameState(seats, board = DEFAULT_BOARD) {
+    const piecesData = {};
+
+    seats.forEach(({ player }) => {
+        const waitingZone = board.waitingZones[`player${player}`];
+        piecesData[player] = waitingZone.coordinates.map((cell, index) => ({
+            id: `${player}-${index + 1}`,
+            position: cell
+        }));
+    });
+
+    return {
+        currentPlayer: seats[0].player,
+        playersOrder: seats.map(({ player, color }) => ({ player, color })),
+        piecesData: piecesData,
+        diceLog: [],
+        lastDiceRoll: null,
+        gamePhase: 'playing'
+    };
+}
+
+/**
+ * Проверяет параметры новой игры: правила, места, ботов, игроков и настройки
+ * @param {Object} options - Параметры игры (см. createGame)
+ * @param {string} [locale] - Язык сообщения об ошибке
+ * @returns {Object} {success: true, ruleset, seats} - полные правила и нормализованные места,
+ * или {success: false, message, error}
+ */
+function checkGameOptions(options, locale = DEFAULT_LOCALE) {
+    // Правила проверяются первыми: от выбранной доски зависят доступные места
+    if (options.ruleset !== undefined) {
+        const rulesetCheck = validateRulesetChanges(options.ruleset, undefined, locale);
+        if (!rulesetCheck.isValid) {
+            return {
+                success: false,
+                message: rulesetCheck.errorMessage,
+                error: rulesetCheck.error
+            };
+        }
+    }
+
+    const ruleset = resolveRuleset(options.ruleset);
+
+    const seatsCheck = normalizeSeats(options, getRulesetBoard(ruleset), locale);
+    if (!seatsCheck.isValid) {
+        return {
+            success: false,
+            message: seatsCheck.errorMessage,
+            error: 'INVALID_SEATS'
+        };
+    }
+
+    const rulesetSeatsCheck = validateRulesetSeats(ruleset, seatsCheck.seats, locale);
+    if (!rulesetSeatsCheck.isValid) {
+        return {
+            success: false,
+            message: rulesetSeatsCheck.errorMessage,
+            error: rulesetSeatsCheck.error
+        };
+    }
+
+    if (options.settings !== undefined) {
+        const settingsCheck = validateSettingsChanges(options.settings, locale);
+        if (!settingsCheck.isValid) {
+            return {
+                success: false,
+                message: settingsCheck.errorMessage,
+                error: settingsCheck.error
+            };
+        }
+    }
+
+    return { success: true, ruleset: ruleset, seats: seatsCheck.seats };
+}
+
+/**
+ * Создает новую игру
+ * @param {Object} options - Параметры игры
+ * @param {number} [options.playerCount] - Количество игроков (2-4)
+ * @param {Array<number>} [options.seats] - Номера мест в порядке хода (номера из waitingZones доски игры)
+ * @param {Object|Array} [options.colors] - Цвета игроков по номеру места или по порядку мест
+ * @param {Object} [options.bots] - Места, за которые играет компьютер: {номер места: уровень бота}
+ * @param {Object} [options.userIds] - Владельцы мест: {номер места: идентификатор пользователя из токена игрока}
+ * (задает сервер, например при подборе быстрой игры)
+ * @param {Object} [options.creator] - Пользователь из токена игрока {userId}, создающий игру; занимает место
+ * @param {number} [options.creatorSeat] - Место создателя игры (по умолчанию первое место без бота)
+ * @param {Object} [options.settings] - Настройки игры (см. gameSettings)
+ * @param {Object} [options.ruleset] - Правила игры; не указанные правила берутся по умолчанию (см. ruleset)
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык из settings)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, chprId, game}
+ */
+async function createGame(options = {}) {
+    const locale = resolveLocale(options.locale, options.settings && options.settings.locale);
+
+    try {
+        const optionsCheck = checkGameOptions(options, locale);
+        if (!optionsCheck.success) {
+            return optionsCheck;
+        }
+
+        const { ruleset, seats } = optionsCheck;
+        const chprId = crypto.randomUUID();
+
+        const { data, error } = await getStorage().createGame({
+            chprId: chprId,
+            status: GAME_STATUSES.CREATED,
+            version: 0,
+            seats: seats,
+            settings: options.settings || {},
+            // Правила сохраняются полностью, чтобы смена значений по умолчанию не меняла уже созданные игры
+            ruleset: ruleset,
+            gameState: null,
+            currentRoll: null
+        });
+
+        if (error) {
+            return {
+                success: false,
+                message: translate(locale, 'messages.gameCreateFailed'),
+                error: error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: translate(locale, 'messages.gameCreated'),
+            chprId: chprId,
+            game: describeGame(data)
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при создании игры:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedCreate'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Определяет язык ответа по запросу и настройкам игры
+ * @param {Object} record - Запись игры
+ * @param {Object} options - Параметры запроса {locale}
+ * @returns {string} Поддерживаемый язык
+ */
+function getRecordLocale(record, options) {
+    return resolveLocale(options.locale, resolveGameSettings(record.settings).locale);
+}
+
+/**
+ * Проверяет, что пользователь может управлять игрой: сидит за ней
+ * @param {Object} record - Запись игры
+ * @param {Object} options - Параметры запроса {actor, locale}
+ * @returns {Object} {success: true} или результат отказа {success: false, message, error}
+ */
+function checkGameMember(record, options) {
+    return validateGameMembership(record, options.actor || null, getRecordLocale(record, options));
+}
+
+/**
+ * Запускает созданную игру с начальным состоянием из waitingZones
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {Object|null} [options.actor] - Пользователь из токена {userId}; должен сидеть за игрой.
+ * null - аутентификация отключена или игру запускает сервер (лобби, быстрая игра)
+ * @param {string} [options.locale] - Язык ответа из Accept-Language
+ * @returns {Promise<Object>} Объект с результатом: {success, message, game}
+ */
+function startGame(chprId, options = {}) {
+    return withGameLock(chprId, () => applyStartGame(chprId, options));
+}
+
+/**
+ * Запускает игру (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} options - Параметры запроса (см. startGame)
+ * @returns {Promise<Object>} Объект с результатом (см. startGame)
+ */
+async function applyStartGame(chprId, options) {
+    let locale = resolveLocale(options.locale);
+
+    try {
+        const loaded = await loadGame(chprId, locale);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        const { record } = loaded;
+        locale = getRecordLocale(record, options);
+
+        const memberCheck = checkGameMember(record, options);
+        if (!memberCheck.success) {
+            return memberCheck;
+        }
+
+        if (record.status !== GAME_STATUSES.CREATED) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.INVALID_GAME_STATUS', {
+                    variant: 'start',
+                    expected: GAME_STATUSES.CREATED,
+                    status: record.status || GAME_STATUSES.ACTIVE
+                }),
+                error: 'INVALID_GAME_STATUS'
+            };
+        }
+
+        const ruleset = getGameRuleset(record);
+        const boardCheck = validateRulesetBoard(ruleset, locale);
+        if (!boardCheck.isValid) {
+            return { success: false, message: boardCheck.errorMessage, error: boardCheck.error };
+        }
+
+        const gameState = buildInitialGameState(record.seats, getRulesetBoard(ruleset));
+        const startedAt = new Date();
+        const now = startedAt.toISOString();
+        const version = record.version || 0;
+        const { data, error } = await updateGameWithHistory(record, {
+            status: GAME_STATUSES.ACTIVE,
+            version: version + 1,
+            gameState: gameState,
+            currentRoll: null,
+            turnClock: startTurnClock(record, gameState.currentPlayer, startedAt),
+            turnTimeouts: {},
+            startedAt: now,
+            updatedAt: now
+        }, updated => ({
+            type: 'start',
+            version: updated.version,
+            gameState: gameState,
+            ruleset: getGameRuleset(updated)
+        }), { expectedVersion: version });
+
+        if (error || !data) {
+            return {
+                success: false,
+                message: translate(locale, 'messages.gameStartFailed'),
+                error: error ? (['VERSION_CONFLICT', 'HISTORY_WRITE_FAILED'].includes(error.code) ? error.code : error.message) : 'RECORD_NOT_FOUND'
+            };
+        }
+
+        return {
+            success: true,
+            message: translate(locale, 'messages.gameStarted'),
+            game: describeGame(data)
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при запуске игры:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedStart'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Завершает или отменяет игру
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {string} status - Итоговый статус: finished или abandoned
+ * @param {Object} [options] - Дополнительные параметры {actor, locale} (см. startGame)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, game}
+ */
+function endGame(chprId, status = GAME_STATUSES.FINISHED, options = {}) {
+    return withGameLock(chprId, () => applyEndGame(chprId, status, options));
+}
+
+/**
+ * Завершает игру (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {string} status - Итоговый статус
+ * @param {Object} options - Параметры запроса (см. endGame)
+ * @returns {Promise<Object>} Объект с результатом (см. endGame)
+ */
+async function applyEndGame(chprId, status, options) {
+    let locale = resolveLocale(options.locale);
+
+    try {
+        if (status !== GAME_STATUSES.FINISHED && status !== GAME_STATUSES.ABANDONED) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.INVALID_GAME_STATUS', { variant: 'finalStatus', status }),
+                error: 'INVALID_GAME_STATUS'
+            };
+        }
+
+        const loaded = await loadGame(chprId, locale);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        const { record } = loaded;
+        locale = getRecordLocale(record, options);
+
+        const memberCheck = checkGameMember(record, options);
+        if (!memberCheck.success) {
+            return memberCheck;
+        }
+
+        if (record.status === GAME_STATUSES.FINISHED || record.status === GAME_STATUSES.ABANDONED) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.INVALID_GAME_STATUS', { variant: 'alreadyEnded', status: record.status }),
+                error: 'INVALID_GAME_STATUS'
+            };
+        }
+
+        const now = new Date().toISOString();
+        const { data, error } = await updateGameWithHistory(record, {
+            status: status,
+            turnClock: null,
+            endedAt: now,
+            updatedAt: now
+        }, () => ({ type: status }));
+
+        if (error || !data) {
+            return {
+                success: false,
+                message: translate(locale, 'messages.gameEndFailed'),
+                error: error ? (error.code === 'HISTORY_WRITE_FAILED' ? error.code : error.message) : 'RECORD_NOT_FOUND'
+            };
+        }
+
+        return {
+            success: true,
+            message: translate(locale, status === GAME_STATUSES.FINISHED ? 'messages.gameEnded' : 'messages.gameAbandoned'),
+            game: describeGame(data)
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при завершении игры:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedEnd'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Изменяет правила созданной игры; после запуска правила не меняются
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} changes - Изменяемые правила (например, {prisonExitValues: [5, 6]})
+ * @param {Object} [options] - Дополнительные параметры {actor, locale} (см. startGame)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, ruleset}
+ */
+function updateGameRuleset(chprId, changes, options = {}) {
+    return withGameLock(chprId, () => applyGameRulesetUpdate(chprId, changes, options));
+}
+
+/**
+ * Изменяет правила игры (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} changes - Изменяемые правила
+ * @param {Object} options - Параметры запроса (см. updateGameRuleset)
+ * @returns {Promise<Object>} Объект с результатом (см. updateGameRuleset)
+ */
+async function applyGameRulesetUpdate(chprId, changes, options) {
+    let locale = resolveLocale(options.locale);
+
+    try {
+        const loaded = await loadGame(chprId, locale);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        const { record } = loaded;
+        locale = getRecordLocale(record, options);
+
+        const memberCheck = checkGameMember(record, options);
+        if (!memberCheck.success) {
+            return memberCheck;
+        }
+
+        if (record.status !== GAME_STATUSES.CREATED) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.INVALID_GAME_STATUS', {
+                    variant: 'ruleset',
+                    expected: GAME_STATUSES.CREATED,
+                    status: record.status || GAME_STATUSES.ACTIVE
+                }),
+                error: 'INVALID_GAME_STATUS'
+            };
+        }
+
+        // Изменения проверяются вместе с текущими правилами игры
+        const current = getGameRuleset(record);
+        const check = validateRulesetChanges(changes, current, locale);
+        if (!check.isValid) {
+            return {
+                success: false,
+                message: check.errorMessage,
+                error: check.error
+            };
+        }
+
+        const ruleset = resolveRuleset(applyRulesetChanges(current, changes));
+
+        const rulesetSeatsCheck = validateRulesetSeats(ruleset, record.seats || [], locale);
+        if (!rulesetSeatsCheck.isValid) {
+            return {
+                success: false,
+                message: rulesetSeatsCheck.errorMessage,
+                error: rulesetSeatsCheck.error
+            };
+        }
+
+        const { error } = await getStorage().updateGame(chprId, {
+            ruleset: ruleset,
+            updatedAt: new Date().toISOString()
+        });
+
+        if (error) {
+            return {
+                success: false,
+                message: translate(locale, 'messages.rulesetSaveFailed'),
+                error: error.message
+            };
+        }
+
+        return {
+            success: true,
+            message: translate(locale, 'messages.rulesetUpdated'),
+            ruleset: ruleset
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при изменении правил игры:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedRuleset'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Формирует публичное описание игры для ответа API
+ * @param {Object} record - Запись игры из хранилища
+ * @returns {Object} Описание игры
+ */
+function describeGame(record) {
+    const ruleset = getGameRuleset(record);
+
+    return {
+        chprId: record.chprId,
+        status: record.status || GAME_STATUSES.ACTIVE,
+        version: record.version || 0,
+        seats: record.seats || [],
+        // Команды показываются только в командной игре
+        teams: ruleset.teamMode ? describeTeams(record.seats || []) : null,
+        settings: resolveGameSettings(record.settings),
+        ruleset: ruleset,
+        gameState: record.gameState || null,
+        roll: record.currentRoll || null,
+        // Часы текущего хода и число истечений времени подряд по игрокам
+        turnClock: record.turnClock || null,
+        turnTimeouts: record.turnTimeouts || {},
+        standings: record.standings || [],
+        createdAt: record.createdAt,
+        startedAt: record.startedAt || null,
+        endedAt: record.endedAt || null,
+        updatedAt: record.updatedAt
+    };
+}
+
+module.exports = {
+    GAME_STATUSES,
+    DEFAULT_PLAYER_COLORS,
+    BOT_LEVELS,
+    isGameActive,
+    gameNotActiveResult,
+    buildInitialGameState,
+    startTurnClock,
+    checkGameOptions,
+    createGame,
+    startGame,
+    endGame,
+    updateGameRuleset,
+    describeGame
+};
@@ -0,0 +1,133 @@
+// gameSettings.js
+// Модуль настроек отдельной игры (хранятся в поле settings таблицы saved_games)
+
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, translate } = require('../i18n');
+const { LEGACY_SETTINGS_RULES } = require('./ruleset');
+
+/**
+ * Режимы валидации ходов
+ * strict - состояние с ошибками валидации отклоняется и не сохраняется
+ * lenient - ошибки только попадают в отчет, состояние сохраняется (для отладки)
+ */
+const VALIDATION_MODES = {
+    STRICT: 'strict',
+    LENIENT: 'lenient'
+};
+
+/**
+ * Настройки игры по умолчанию
+ * Правила игры (дополнительные ходы, взятия, значения выхода) хранятся отдельно - см. ruleset
+ */
+const DEFAULT_GAME_SETTINGS = {
+    validationMode: VALIDATION_MODES.STRICT,
+    // Язык отчетов и сообщений игры, если клиент не прислал Accept-Language
+    locale: DEFAULT_LOCALE
+};
+
+/**
+ * Проверяет, разрешено ли включать мягкий режим валидации на этом сервере
+ * @returns {boolean} true если переменная окружения ALLOW_LENIENT_VALIDATION равна "true"
+ */
+function isLenientModeAllowed() {
+    return process.env.ALLOW_LENIENT_VALIDATION === 'true';
+}
+
+/**
+ * Объединяет сохраненные настройки игры с настройками по умолчанию
+ * @param {Object|null} storedSettings - Настройки из поля settings
+ * @returns {Object} Полный объект настроек игры
+ */
+function resolveGameSettings(storedSettings) {
+    const settings = { ...DEFAULT_GAME_SETTINGS };
+
+    // Правила из настроек старых игр сюда не попадают - их читает resolveRuleset
+    Object.keys(DEFAULT_GAME_SETTINGS)
+        .filter(key => storedSettings && storedSettings[key] !== undefined)
+        .forEach(key => {
+            settings[key] = storedSettings[key];
+        });
+
+    if (!Object.values(VALIDATION_MODES).includes(settings.validationMode)) {
+        settings.validationMode = DEFAULT_GAME_SETTINGS.validationMode;
+    }
+
+    if (!SUPPORTED_LOCALES.includes(settings.locale)) {
+        settings.locale = DEFAULT_GAME_SETTINGS.locale;
+    }
+
+    return settings;
+}
+
+/**
+ * Формирует результат неуспешной проверки настроек
+ * @param {string} locale - Язык сообщения
+ * @param {string} variant - Вариант сообщения errors.INVALID_SETTINGS в каталогах i18n
+ * @param {Object} [params] - Параметры сообщения
+ * @returns {Object} Объект {isValid: false, errorMessage, error}
+ */
+function invalidSettings(locale, variant, params = {}) {
+    return {
+        isValid: false,
+        errorMessage: translate(locale, 'errors.INVALID_SETTINGS', { ...params, variant }),
+        error: 'INVALID_SETTINGS'
+    };
+}
+
+/**
+ * Проверяет присланные изменения настроек игры
+ * @param {Object} changes - Изменяемые поля настроек
+ * @param {string} [locale] - Язык сообщения об ошибке
+ * @returns {Object} Объект с результатом проверки {isValid, errorMessage, error}
+ */
+function validateSettingsChanges(changes, locale = DEFAULT_LOCALE) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return invalidSettings(locale, 'notObject');
+    }
+
+    const ruleKeys = Object.keys(changes).filter(key => LEGACY_SETTINGS_RULES.includes(key));
+    if (ruleKeys.length > 0) {
+        return invalidSettings(locale, 'ruleKeys', { rules: ruleKeys.join(', ') });
+    }
+
+    const unknownKeys = Object.keys(changes).filter(key => !(key in DEFAULT_GAME_SETTINGS));
+    if (unknownKeys.length > 0) {
+        return invalidSettings(locale, 'unknown', { settings: unknownKeys.join(', ') });
+    }
+
+    const wrongTypeKeys = Object.keys(changes)
+        .filter(key => typeof changes[key] !== typeof DEFAULT_GAME_SETTINGS[key]);
+    if (wrongTypeKeys.length > 0) {
+        return invalidSettings(locale, 'wrongType', { settings: wrongTypeKeys.join(', ') });
+    }
+
+    if (changes.validationMode !== undefined) {
+        if (!Object.values(VALIDATION_MODES).includes(changes.validationMode)) {
+            return invalidSettings(locale, 'validationMode', {
+                mode: changes.validationMode,
+                modes: Object.values(VALIDATION_MODES).join(', ')
+            });
+        }
+
+        if (changes.validationMode === VALIDATION_MODES.LENIENT && !isLenientModeAllowed()) {
+            return {
+                isValid: false,
+                errorMessage: translate(locale, 'errors.LENIENT_MODE_DISABLED'),
+                error: 'LENIENT_MODE_DISABLED'
+            };
+        }
+    }
+
+    if (changes.locale !== undefined && !SUPPORTED_LOCALES.includes(changes.locale)) {
+        return invalidSettings(locale, 'locale', { locale: changes.locale, locales: SUPPORTED_LOCALES.join(', ') });
+    }
+
+    return { isValid: true, errorMessage: null, error: null };
+}
+
+module.exports = {
+    VALIDATION_MODES,
+    DEFAULT_GAME_SETTINGS,
+    resolveGameSettings,
+    validateSettingsChanges,
+    isLenientModeAllowed
+};
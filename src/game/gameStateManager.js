@@ -1,41 +1,84 @@
 // gameStateManager.js
-// Модуль для управления состоянием игры и работы с базой данных
+// Модуль для управления состоянием игры и работы с хранилищем
 
-const { supabase } = require('../../supabase');
-const { generateMoveReport } = require('./moveAnalyzer');
-const { validateAllMoves } = require('../validation/moveValidator');
+const { getStorage, loadGame, updateGameWithHistory, withGameLock } = require('../storage');
+const { generateMoveReport, generateMoveEvents } = require('./moveAnalyzer');
+const { isRollActive, getUnusedDice, verifyClaimedDice } = require('./diceRollManager');
+const { getLegalMoves, getUnusedDiceMoves, groupMovesByPiece, applyMove } = require('./legalMoves');
+const { validateTurn, validatePieceSet, validatePlayersOrder, getPlayersOrder, getNextPlayer, getExtraTurnReason } = require('./turnValidator');
+const { updateStandings, appendForfeitedStandings } = require('./winDetector');
+const { GAME_STATUSES, isGameActive, gameNotActiveResult, describeGame, startTurnClock } = require('./gameLifecycle');
+const { VALIDATION_MODES, resolveGameSettings, validateSettingsChanges } = require('./gameSettings');
+const { DICE_OPTIONS, getGameRuleset, getRulesetThrowValues, validateRulesetBoard } = require('./ruleset');
+const { getRulesetBoard } = require('./boards');
+const { getThrowValues } = require('../../dice');
+const { DEFAULT_LOCALE, resolveLocale, translate, hasMessage, localizeValidationResult } = require('../i18n');
+const { validateSeatOwnership, validateActivePlayerOwnership, validateGameMembership } = require('../auth/seatOwnership');
 
 /**
- * Получает предыдущее игровое состояние из базы данных
+ * Переводит сообщение неуспешного результата по коду ошибки (errors.<code> в каталоге)
+ * @param {Object} result - Результат операции {success, message, error}
+ * @param {string} locale - Язык ответа
+ * @param {Object} params - Параметры сообщения
+ * @returns {Object} Результат с переведенным message; коды без записи в каталоге не меняются
+ */
+function localizeResult(result, locale, params = {}) {
+    if (result.success || !result.error || !hasMessage(`errors.${result.error}`)) {
+        return result;
+    }
+
+    return {
+        ...result,
+        message: translate(locale, `errors.${result.error}`, params)
+    };
+}
+
+/**
+ * Получает предыдущее игровое состояние из хранилища
  * @param {string} chprId - Уникальный идентификатор CHPR_id для поиска записи
  * @returns {Promise<Object|null>} Предыдущее состояние игры или null если не найдено
  */
 async function getPreviousGameState(chprId) {
     try {
-        if (!supabase) {
-            throw new Error('Supabase не настроен');
-        }
-
-        const { data, error } = await supabase
-            .from('saved_games')
-            .select('new_game_state')
-            .eq('CHPR_id', chprId)
-            .single();
+        const { data, error } = await getStorage().getGame(chprId);
 
         if (error) {
-            if (error.code === 'PGRST116') {
-                return null; // Запись не найдена
-            }
             throw error;
         }
 
-        return data ? data.new_game_state : null;
+        return data ? data.gameState : null;
     } catch (error) {
         console.error('Ошибка при получении предыдущего состояния игры:', error);
         return null;
     }
 }
 
+/**
+ * Получает актуальный снимок игры: статус, места, состояние, текущий бросок, настройки и правила
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object>} Объект с результатом: {success, chprId, status, seats, gameState, roll, settings, ruleset, updatedAt}
+ */
+async function getGameSnapshot(chprId) {
+    try {
+        const loaded = await loadGame(chprId);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        return {
+            success: true,
+            ...describeGame(loaded.record)
+        };
+    } catch (error) {
+        console.error('Ошибка при получении снимка игры:', error);
+        return {
+            success: false,
+            message: translate(DEFAULT_LOCALE, 'messages.unexpectedGetGame'),
+            error: error.message
+        };
+    }
+}
+
 /**
  * Сравнивает два игровых состояния и находит различия
  * @param {Object|null} previousState - Предыдущее состояние игры
@@ -136,126 +179,978 @@ function compareGameStates(previousState, newState) {
 }
 
 /**
- * Обновляет игровое состояние в таблице saved_games
+ * Формирует ответ о конфликте версий с актуальным состоянием игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} record - Актуальная запись игры
+ * @param {string} locale - Язык ответа
+ * @returns {Object} Объект {success: false, message, error, version, gameState, roll}
+ */
+function versionConflictResult(chprId, record, locale = DEFAULT_LOCALE) {
+    const version = record.version || 0;
+
+    return {
+        success: false,
+        message: translate(locale, 'errors.VERSION_CONFLICT', { chprId, version }),
+        error: 'VERSION_CONFLICT',
+        version: version,
+        gameState: record.gameState || null,
+        roll: record.currentRoll || null
+    };
+}
+
+/**
+ * Формирует ответ об ошибке записи игры
+ * @param {Object|null} error - Ошибка хранилища; null - запись игры не найдена
+ * @param {string} locale - Язык ответа
+ * @returns {Object} Объект {success: false, message, error}; если не удалось записать историю,
+ * изменение откатано и error = 'HISTORY_WRITE_FAILED'
+ */
+function storageUpdateFailed(error, locale = DEFAULT_LOCALE) {
+    if (error && error.code === 'HISTORY_WRITE_FAILED') {
+        return {
+            success: false,
+            message: translate(locale, 'messages.historySaveFailed'),
+            error: error.code
+        };
+    }
+
+    return {
+        success: false,
+        message: translate(locale, 'messages.storageUpdateFailed'),
+        error: error ? error.message : 'RECORD_NOT_FOUND'
+    };
+}
+
+/**
+ * Получает незавершенный ход, начатый отдельными перемещениями (POST /api/game/:chprId/move)
+ * @param {Object} record - Запись игры {pendingTurn, currentRoll}
+ * @returns {Object|null} {rollId, startState, movements} - состояние на начало хода и принятые перемещения,
+ * или null если ход не начат
+ */
+function getPendingTurn(record) {
+    const { pendingTurn, currentRoll } = record;
+
+    if (!pendingTurn || !isRollActive(currentRoll) || pendingTurn.rollId !== currentRoll.rollId) {
+        return null;
+    }
+
+    return pendingTurn;
+}
+
+/**
+ * Получает кубики, уже использованные отдельными перемещениями в текущем ходе
+ * @param {Object} roll - Серверный бросок
+ * @returns {Array<string>} Кубики ('dice1', 'dice2', 'sum')
+ */
+function getRollUsedDice(roll) {
+    return ((roll && roll.moves) || []).map(move => move.dieUsed);
+}
+
+/**
+ * Завершает ход: добавляет бросок в diceLog и передает ход следующему игроку
+ * (или оставляет его активному игроку при дополнительном ходе)
+ * @param {Object} gameState - Состояние на начало хода
+ * @param {Object} movedState - Состояние после перемещений фишек
+ * @param {Object} roll - Серверный бросок {dice1, dice2, sum, player, rollId}
+ * @param {Object} ruleset - Правила игры
+ * @returns {Object} Состояние игры после хода для проверки через validateTurn
+ */
+function buildTurnState(gameState, movedState, roll, ruleset) {
+    const player = roll.player;
+    const playerInfo = (gameState.playersOrder || []).find(entry => entry.player === player);
+    const diceEntry = { dice1: roll.dice1, dice2: roll.dice2, sum: roll.sum, player: player, color: playerInfo ? playerInfo.color : undefined };
+    const turnState = {
+        ...movedState,
+        diceLog: [diceEntry, ...(gameState.diceLog || [])],
+        lastDiceRoll: getThrowValues(roll)
+    };
+
+    const differences = compareGameStates(gameState, { ...turnState, currentPlayer: player });
+    differences.diceRolls = [{ ...diceEntry, rollId: roll.rollId, turnNumber: roll.turnNumber }];
+    const extraTurn = getExtraTurnReason(differences, ruleset);
+    turnState.currentPlayer = extraTurn ? player : getNextPlayer(turnState, player, ruleset);
+
+    return turnState;
+}
+
+/**
+ * Проверяет присланное состояние игры по записи из хранилища, ничего не записывая
+ * @param {Object} record - Запись игры
+ * @param {Object} gameState - Новое состояние игры
+ * @param {number} expectedVersion - Версия состояния, от которой клиент делал ход
+ * @param {string|null} requestLocale - Язык, запрошенный клиентом (Accept-Language)
+ * @param {Object|null} actor - Пользователь из токена игрока {userId} или null
+ * @returns {Object} {success: false, ...} - ход нельзя проверить (игра не активна, версия устарела,
+ * чужие фишки, кубики не совпадают с броском); иначе {success: true, settings, ruleset, locale,
+ * previousState, differences, validationResult, moveReport, moveEvents, standingsUpdate}
+ * @description Общий шаг для записи хода (applyGameStateUpdate) и пробной проверки (validateGameState)
+ */
+function evaluateGameStateUpdate(record, gameState, expectedVersion, requestLocale, actor) {
+    const { chprId } = record;
+    const settings = resolveGameSettings(record.settings);
+    const ruleset = getGameRuleset(record);
+
+    // Язык запроса важнее языка игры
+    const locale = resolveLocale(requestLocale, settings.locale);
+
+    // Ходы принимаются только в активной игре
+    if (!isGameActive(record)) {
+        return localizeResult(gameNotActiveResult(record), locale, { chprId, status: record.status });
+    }
+
+    // Пути и зоны берутся с доски игры - без нее ход не проверить
+    const boardCheck = validateRulesetBoard(ruleset, locale);
+    if (!boardCheck.isValid) {
+        return { success: false, message: boardCheck.errorMessage, error: boardCheck.error };
+    }
+
+    // Клиент делал ход от устаревшего состояния - валидировать его нет смысла
+    const currentVersion = record.version || 0;
+    if (expectedVersion !== currentVersion) {
+        return versionConflictResult(chprId, record, locale);
+    }
+
+    // Ход, начатый отдельными перемещениями, проверяется целиком - от состояния на начало хода
+    const pendingTurn = getPendingTurn(record);
+    const previousState = pendingTurn ? pendingTurn.startState : record.gameState || null;
+
+    // Фишки игроков и порядок хода задает сервер: по подмененному набору фишек нельзя ни сравнить ходы,
+    // ни определить финиш, а по подмененному порядку клиент выбрал бы следующего игрока или исключил соперника
+    const structureCheck = [validatePieceSet(previousState, gameState), validatePlayersOrder(previousState, gameState)]
+        .find(check => !check.isValid);
+    if (structureCheck) {
+        const message = translate(locale, `errors.${structureCheck.error}`, structureCheck.errorParams);
+        return {
+            success: false,
+            message: message,
+            error: structureCheck.error,
+            validationErrors: [{ code: structureCheck.error, message: message, params: structureCheck.errorParams }]
+        };
+    }
+
+    // Сравниваем состояния и генерируем отчет о ходе
+    const differences = compareGameStates(previousState, gameState);
+
+    // Уже принятые перемещения берем как есть: по разнице состояний взятие фишкой,
+    // которая потом пошла дальше, выглядело бы как взятие без взявшей фишки
+    if (pendingTurn) {
+        differences.pieceMovements = [
+            ...pendingTurn.movements,
+            ...compareGameStates(record.gameState, gameState).pieceMovements
+        ];
+    }
+
+    // Игрок с токеном ходит только своими фишками и только в свой ход
+    const ownershipCheck = validateSeatOwnership(record, previousState, differences, actor, ruleset, locale);
+    if (!ownershipCheck.success) {
+        return ownershipCheck;
+    }
+
+    // Сверяем кубики клиента с серверным броском - валидация идет только по серверному броску
+    const diceCheck = verifyClaimedDice(record.currentRoll, differences.diceRolls, differences.pieceMovements.length > 0);
+
+    if (!diceCheck.isValid) {
+        const message = translate(locale, `errors.${diceCheck.error}`, diceCheck.errorParams);
+        return {
+            success: false,
+            message: message,
+            error: diceCheck.error,
+            validationErrors: [{ code: diceCheck.error, message: message, params: diceCheck.errorParams }]
+        };
+    }
+
+    differences.diceRolls = diceCheck.diceRolls;
+
+    // Выполняем валидацию очередности, ходов и расхода кубиков за весь ход
+    const validationResult = localizeValidationResult(
+        validateTurn(differences, gameState, previousState, ruleset, record.seats),
+        locale
+    );
+
+    // Генерируем отчет с учетом ошибок валидации
+    const moveReport = generateMoveReport(differences, gameState, validationResult.errorMessages, validationResult.captures, locale, ruleset);
+    const moveEvents = generateMoveEvents(differences, gameState, validationResult.diceAssignments, validationResult.captures, ruleset);
+
+    // Проверяем, не завели ли игроки все фишки в дом; выбывшие по времени в борьбе за места не участвуют.
+    // Финиш засчитывается только по позициям, прошедшим валидацию: ход с ошибками в мягком режиме сохраняется,
+    // но места не раздает
+    const players = Array.isArray(record.seats) && record.seats.length > 0
+        ? record.seats.filter(seat => !seat.forfeited).map(seat => seat.player)
+        : getPlayersOrder(previousState || gameState);
+    const standingsUpdate = validationResult.isValid
+        ? updateStandings(gameState, players, record.standings || [], ruleset)
+        : { standings: record.standings || [], newlyFinished: [], gameFinished: false };
+    if (standingsUpdate.gameFinished) {
+        standingsUpdate.standings = appendForfeitedStandings(standingsUpdate.standings, record.seats, ruleset);
+    }
+
+    return {
+        success: true,
+        settings,
+        ruleset,
+        locale,
+        previousState,
+        differences,
+        validationResult,
+        moveReport,
+        moveEvents,
+        standingsUpdate
+    };
+}
+
+/**
+ * Проверяет ход и записывает новое состояние (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} gameState - Новое состояние игры
+ * @param {number} expectedVersion - Версия состояния, от которой клиент делал ход
+ * @param {string|null} requestLocale - Язык, запрошенный клиентом (Accept-Language)
+ * @param {Object|null} actor - Пользователь из токена игрока {userId} или null
+ * @param {Object|null} timeout - Истечение времени, после которого ход делает сервер за игрока {player, timeouts, action}
+ * @returns {Promise<Object>} Объект с результатом (см. updateGameState)
+ */
+async function applyGameStateUpdate(chprId, gameState, expectedVersion, requestLocale, actor, timeout = null) {
+    // Загружаем запись игры: предыдущее состояние, текущий бросок, настройки и правила
+    const loaded = await loadGame(chprId);
+    if (!loaded.success) {
+        return localizeResult(loaded, resolveLocale(requestLocale), { chprId });
+    }
+
+    const { record } = loaded;
+    const evaluation = evaluateGameStateUpdate(record, gameState, expectedVersion, requestLocale, actor);
+    if (!evaluation.success) {
+        return evaluation;
+    }
+
+    const {
+        settings,
+        locale,
+        previousState,
+        differences,
+        validationResult,
+        moveReport,
+        moveEvents,
+        standingsUpdate
+    } = evaluation;
+
+    // В строгом режиме состояние с ошибками не сохраняется - предыдущее остается на месте
+    if (!validationResult.isValid && settings.validationMode === VALIDATION_MODES.STRICT) {
+        return {
+            success: false,
+            message: translate(locale, 'errors.MOVE_VALIDATION_FAILED'),
+            error: 'MOVE_VALIDATION_FAILED',
+            validationMode: settings.validationMode,
+            validationErrors: validationResult.errors,
+            moveReport: moveReport,
+            moveEvents: moveEvents,
+            validationResult: validationResult
+        };
+    }
+
+    const currentVersion = record.version || 0;
+    const storedRoll = record.currentRoll;
+    const updatedAt = new Date().toISOString();
+    const updateFields = {
+        gameState: gameState,
+        version: currentVersion + 1,
+        updatedAt: updatedAt
+    };
+
+    if (standingsUpdate.newlyFinished.length > 0) {
+        updateFields.standings = standingsUpdate.standings;
+    }
+    if (standingsUpdate.gameFinished) {
+        updateFields.status = GAME_STATUSES.FINISHED;
+        updateFields.endedAt = updatedAt;
+    }
+    if (record.pendingTurn) {
+        updateFields.pendingTurn = null;
+    }
+
+    // Бросок считается использованным после хода фишками или передачи хода
+    const rollUsed = isRollActive(storedRoll) && (differences.pieceMovements.length > 0 || differences.playerChanged);
+    if (rollUsed) {
+        updateFields.currentRoll = { ...storedRoll, usedAt: updatedAt };
+    }
+
+    // Ход закончен - начинается ход следующего игрока (или дополнительный ход) со своими часами
+    if (rollUsed || differences.playerChanged) {
+        updateFields.turnClock = standingsUpdate.gameFinished ? null : startTurnClock(record, gameState.currentPlayer);
+    }
+
+    // Игрок сходил сам - счетчик истечений времени подряд сбрасывается
+    const turnTimeouts = record.turnTimeouts || {};
+    const player = previousState ? previousState.currentPlayer : null;
+    if (!timeout && turnTimeouts[player]) {
+        updateFields.turnTimeouts = { ...turnTimeouts, [player]: 0 };
+    }
+
+    // Обновляем состояние игры и время обновления и сохраняем принятый ход в историю игры:
+    // если историю записать не удалось, ход откатывается
+    const { data: updatedData, error: updateError } = await updateGameWithHistory(record, updateFields, updated => ({
+        type: 'move',
+        version: updated.version,
+        player: player,
+        nextPlayer: gameState.currentPlayer,
+        movements: differences.pieceMovements,
+        gameState: gameState,
+        roll: rollUsed ? updateFields.currentRoll : null,
+        moveReport: moveReport,
+        moveEvents: moveEvents,
+        validationResult: validationResult,
+        playersFinished: standingsUpdate.newlyFinished,
+        gameFinished: standingsUpdate.gameFinished,
+        ...(timeout ? { timeout: timeout } : {})
+    }), { expectedVersion: currentVersion });
+
+    // Состояние успел изменить другой процесс между чтением и записью
+    if (updateError && updateError.code === 'VERSION_CONFLICT') {
+        const reloaded = await loadGame(chprId);
+        return versionConflictResult(chprId, reloaded.success ? reloaded.record : { ...record, version: updateError.actualVersion }, locale);
+    }
+
+    if (updateError || !updatedData) {
+        return storageUpdateFailed(updateError, locale);
+    }
+
+    return {
+        success: true,
+        message: translate(locale, 'messages.gameUpdated'),
+        updatedId: updatedData.chprId,
+        version: updatedData.version,
+        moveReport: moveReport,
+        moveEvents: moveEvents,
+        validationResult: validationResult,
+        validationMode: settings.validationMode,
+        captures: validationResult.captures,
+        roll: rollUsed ? updateFields.currentRoll : storedRoll || null,
+        turnClock: updatedData.turnClock || null,
+        playersFinished: standingsUpdate.newlyFinished,
+        gameFinished: standingsUpdate.gameFinished
+            ? { standings: standingsUpdate.standings, endedAt: updatedAt }
+            : null
+    };
+}
+
+/**
+ * Проверяет параметры присланного состояния игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} gameState - JSON объект с состоянием игры
+ * @param {string} locale - Язык ответа
+ * @returns {Object|null} Результат с ошибкой {success: false, message, error} или null если параметры корректны
+ */
+function checkGameStateParams(chprId, gameState, locale) {
+    if (!chprId || typeof chprId !== 'string') {
+        return {
+            success: false,
+            message: translate(locale, 'errors.INVALID_CHPR_ID'),
+            error: 'INVALID_CHPR_ID'
+        };
+    }
+
+    if (!gameState || typeof gameState !== 'object') {
+        return {
+            success: false,
+            message: translate(locale, 'errors.INVALID_GAME_STATE'),
+            error: 'INVALID_GAME_STATE'
+        };
+    }
+
+    // Проверяем, что gameState можно сериализовать в JSON
+    try {
+        JSON.stringify(gameState);
+    } catch (jsonError) {
+        return {
+            success: false,
+            message: translate(locale, 'errors.INVALID_JSON'),
+            error: 'INVALID_JSON'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Обновляет игровое состояние в хранилище игр
  * @param {string} chprId - Уникальный идентификатор CHPR_id для поиска записи
  * @param {Object} gameState - JSON объект с состоянием игры
- * @returns {Promise<Object>} Объект с результатом: {success, message, updatedId} где updatedId - это CHPR_id игры
- * @description Обновляет поля new_game_state и updated_at в таблице saved_games
+ * @param {number} expectedVersion - Версия состояния, полученная клиентом вместе с игрой
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык игры)
+ * @param {Object} [options.actor] - Пользователь из токена игрока {userId}; без него права на места не проверяются (боты)
+ * @param {Object} [options.timeout] - Ход за игрока после истечения времени {player, timeouts, action} (см. turnTimer)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, updatedId, version, turnClock} где updatedId - это CHPR_id игры
+ * @description Обновляет состояние игры и время обновления в хранилище и добавляет запись в историю.
+ * Ходы проверяются по серверному броску (currentRoll), а не по кубикам из gameState.
+ * В строгом режиме (settings.validationMode) состояние с ошибками валидации не сохраняется.
+ * Если версия клиента устарела, возвращается VERSION_CONFLICT с актуальным состоянием
  */
-async function updateGameState(chprId, gameState) {
+async function updateGameState(chprId, gameState, expectedVersion, options = {}) {
+    const requestLocale = options.locale || null;
+    const actor = options.actor || null;
+    const locale = resolveLocale(requestLocale);
+
     try {
-        // Проверяем, что Supabase настроен
-        if (!supabase) {
+        // Валидация входных параметров
+        const paramsError = checkGameStateParams(chprId, gameState, locale);
+        if (paramsError) {
+            return paramsError;
+        }
+
+        if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
             return {
                 success: false,
-                message: 'Supabase не настроен. Проверьте переменные окружения.',
-                error: 'SUPABASE_NOT_CONFIGURED'
+                message: translate(locale, 'errors.VERSION_REQUIRED'),
+                error: 'VERSION_REQUIRED'
             };
         }
 
-        // Валидация входных параметров
+        // Чтение, сравнение и запись выполняются как один шаг
+        return await withGameLock(chprId, () => applyGameStateUpdate(chprId, gameState, expectedVersion, requestLocale, actor, options.timeout || null));
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при обновлении игрового состояния:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedUpdate'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Пробная проверка хода: то же сравнение состояний, валидация и отчет, что и в updateGameState, без записи
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} gameState - Состояние игры, которое клиент собирается отправить
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {number} [options.version] - Версия, от которой делался ход (по умолчанию - текущая версия игры)
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык игры)
+ * @param {Object} [options.actor] - Пользователь из токена игрока {userId}
+ * @returns {Promise<Object>} Объект с результатом: {success, message, valid, accepted, validationErrors, moveReport, moveEvents}
+ * @description success означает, что ход удалось проверить; valid - ход прошел валидацию,
+ * accepted - updateGameState сохранил бы это состояние (в мягком режиме сохраняются и ходы с ошибками).
+ * Ни запись игры, ни бросок, ни история не меняются
+ */
+async function validateGameState(chprId, gameState, options = {}) {
+    const requestLocale = options.locale || null;
+    const locale = resolveLocale(requestLocale);
+
+    try {
+        const paramsError = checkGameStateParams(chprId, gameState, locale);
+        if (paramsError) {
+            return paramsError;
+        }
+
+        if (options.version !== undefined && (!Number.isInteger(options.version) || options.version < 0)) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.VERSION_REQUIRED'),
+                error: 'VERSION_REQUIRED'
+            };
+        }
+
+        const loaded = await loadGame(chprId);
+        if (!loaded.success) {
+            return localizeResult(loaded, locale, { chprId });
+        }
+
+        const { record } = loaded;
+        const expectedVersion = options.version !== undefined ? options.version : record.version || 0;
+        const evaluation = evaluateGameStateUpdate(record, gameState, expectedVersion, requestLocale, options.actor || null);
+        if (!evaluation.success) {
+            return evaluation;
+        }
+
+        const { settings, validationResult, standingsUpdate } = evaluation;
+        const valid = validationResult.isValid;
+
+        return {
+            success: true,
+            message: translate(evaluation.locale, valid ? 'messages.moveValid' : 'messages.moveInvalid'),
+            valid: valid,
+            accepted: valid || settings.validationMode !== VALIDATION_MODES.STRICT,
+            validationMode: settings.validationMode,
+            validationErrors: validationResult.errors,
+            moveReport: evaluation.moveReport,
+            moveEvents: evaluation.moveEvents,
+            validationResult: validationResult,
+            captures: validationResult.captures,
+            playersFinished: standingsUpdate.newlyFinished,
+            gameFinished: standingsUpdate.gameFinished ? { standings: standingsUpdate.standings } : null
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при пробной проверке хода:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedValidate'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Проверяет и применяет одно перемещение фишки к сохраненному состоянию (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} move - Перемещение {pieceId, from, to, dieUsed}
+ * @param {Object} options - Параметры submitMove {version, locale, actor, timeout}
+ * @returns {Promise<Object>} Объект с результатом (см. submitMove)
+ */
+async function applyMoveSubmission(chprId, move, options) {
+    const requestLocale = options.locale || null;
+
+    const loaded = await loadGame(chprId);
+    if (!loaded.success) {
+        return localizeResult(loaded, resolveLocale(requestLocale), { chprId });
+    }
+
+    const { record } = loaded;
+    const settings = resolveGameSettings(record.settings);
+    const ruleset = getGameRuleset(record);
+    const locale = resolveLocale(requestLocale, settings.locale);
+
+    if (!isGameActive(record)) {
+        return localizeResult(gameNotActiveResult(record), locale, { chprId, status: record.status });
+    }
+
+    const boardCheck = validateRulesetBoard(ruleset, locale);
+    if (!boardCheck.isValid) {
+        return { success: false, message: boardCheck.errorMessage, error: boardCheck.error };
+    }
+
+    const currentVersion = record.version || 0;
+    if (options.version !== undefined && options.version !== currentVersion) {
+        return versionConflictResult(chprId, record, locale);
+    }
+
+    const roll = record.currentRoll;
+    if (!isRollActive(roll)) {
+        return {
+            success: false,
+            message: translate(locale, 'errors.ROLL_REQUIRED'),
+            error: 'ROLL_REQUIRED'
+        };
+    }
+
+    const gameState = record.gameState;
+    const player = roll.player;
+
+    const ownershipCheck = validateActivePlayerOwnership(record, player, options.actor || null, locale);
+    if (!ownershipCheck.success) {
+        return ownershipCheck;
+    }
+
+    // Перемещение принимается, только если оно есть среди допустимых ходов на оставшиеся кубики
+    const usedDice = getRollUsedDice(roll);
+    const legalMoves = getUnusedDiceMoves(gameState, player, getUnusedDice(roll, usedDice), ruleset);
+    const legalMove = legalMoves.find(candidate =>
+        candidate.pieceId === move.pieceId &&
+        candidate.from === move.from &&
+        candidate.to === move.to &&
+        candidate.dieUsed === move.dieUsed
+    );
+
+    if (!legalMove) {
+        const params = { piece: move.pieceId, from: move.from, to: move.to, die: move.dieUsed };
+        return {
+            success: false,
+            message: translate(locale, 'errors.MOVE_NOT_LEGAL', params),
+            error: 'MOVE_NOT_LEGAL',
+            params: params,
+            legalMoves: legalMoves.map(({ pieceId, from, to, dieUsed }) => ({ pieceId, from, to, dieUsed }))
+        };
+    }
+
+    const movedState = applyMove(gameState, legalMove, getRulesetBoard(ruleset));
+    const moves = [...(roll.moves || []), { pieceId: move.pieceId, from: move.from, to: move.to, dieUsed: move.dieUsed }];
+    const unusedDice = getUnusedDice(roll, [...usedDice, move.dieUsed]);
+    const nextMoves = getUnusedDiceMoves(movedState, player, unusedDice, ruleset);
+    const pendingTurn = getPendingTurn(record);
+    const startState = pendingTurn ? pendingTurn.startState : gameState;
+
+    // Ход закончен: весь ход от начального состояния проходит ту же проверку и запись, что и PUT /api/game/state
+    if (nextMoves.length === 0) {
+        const turnState = buildTurnState(startState, movedState, roll, ruleset);
+        const result = await applyGameStateUpdate(chprId, turnState, currentVersion, requestLocale, options.actor || null, options.timeout || null);
+
+        return result.success
+            ? { ...result, turnComplete: true, gameState: turnState, moves: moves }
+            : result;
+    }
+
+    // Кубики еще остались - сохраняем перемещение, бросок остается активным до конца хода
+    const updatedRoll = { ...roll, moves: moves };
+    const { data: updatedData, error: updateError } = await getStorage().updateGame(chprId, {
+        gameState: movedState,
+        version: currentVersion + 1,
+        currentRoll: updatedRoll,
+        pendingTurn: {
+            rollId: roll.rollId,
+            startState: startState,
+            movements: [...(pendingTurn ? pendingTurn.movements : []), ...compareGameStates(gameState, movedState).pieceMovements]
+        },
+        updatedAt: new Date().toISOString()
+    }, { expectedVersion: currentVersion });
+
+    if (updateError && updateError.code === 'VERSION_CONFLICT') {
+        const reloaded = await loadGame(chprId);
+        return versionConflictResult(chprId, reloaded.success ? reloaded.record : { ...record, version: updateError.actualVersion }, locale);
+    }
+
+    if (updateError || !updatedData) {
+        return {
+            success: false,
+            message: translate(locale, 'messages.storageUpdateFailed'),
+            error: updateError ? updateError.message : 'RECORD_NOT_FOUND'
+        };
+    }
+
+    return {
+        success: true,
+        message: translate(locale, 'messages.movePending', { dice: unusedDice.map(die => die.value).join(', ') }),
+        updatedId: updatedData.chprId,
+        version: updatedData.version,
+        turnComplete: false,
+        gameState: movedState,
+        moves: moves,
+        captures: legalMove.captures,
+        roll: updatedRoll,
+        turnClock: updatedData.turnClock || null,
+        unusedDice: unusedDice,
+        legalMoves: nextMoves.map(({ pieceId, from, to, dieUsed }) => ({ pieceId, from, to, dieUsed }))
+    };
+}
+
+/**
+ * Делает ход одной фишкой: сервер сам применяет перемещение к сохраненному состоянию
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} move - Перемещение {pieceId, from, to, dieUsed} (dieUsed: dice1, dice2 или sum)
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {number} [options.version] - Версия, от которой делался ход (необязательно)
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык игры)
+ * @param {Object} [options.actor] - Пользователь из токена игрока {userId}
+ * @param {Object} [options.timeout] - Ход за игрока после истечения времени (см. updateGameState)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, version, turnComplete, gameState, moves}
+ * @description Перемещение должно быть допустимым ходом на неиспользованные кубики броска.
+ * Пока у игрока остаются ходы на оставшийся кубик, ход не завершен (turnComplete: false) и бросок активен.
+ * Последнее перемещение завершает ход: сервер передает ход следующему игроку и проверяет ход целиком,
+ * как при PUT /api/game/state, - результат содержит отчет о ходе и запись попадает в историю
+ */
+async function submitMove(chprId, move, options = {}) {
+    const locale = resolveLocale(options.locale);
+
+    try {
         if (!chprId || typeof chprId !== 'string') {
             return {
                 success: false,
-                message: 'Некорректный параметр chprId. Ожидается непустая строка.',
+                message: translate(locale, 'errors.INVALID_CHPR_ID'),
                 error: 'INVALID_CHPR_ID'
             };
         }
 
-        if (!gameState || typeof gameState !== 'object') {
+        const { pieceId, from, to, dieUsed } = move || {};
+        if ([pieceId, from, to].some(value => typeof value !== 'string' || value === '') ||
+            !Object.values(DICE_OPTIONS).includes(dieUsed)) {
             return {
                 success: false,
-                message: 'Некорректный параметр gameState. Ожидается объект JSON.',
-                error: 'INVALID_GAME_STATE'
+                message: translate(locale, 'errors.INVALID_MOVE', { options: Object.values(DICE_OPTIONS).join(', ') }),
+                error: 'INVALID_MOVE'
             };
         }
 
-        // Проверяем, что gameState можно сериализовать в JSON
-        try {
-            JSON.stringify(gameState);
-        } catch (jsonError) {
+        if (options.version !== undefined && (!Number.isInteger(options.version) || options.version < 0)) {
             return {
                 success: false,
-                message: 'Переданный gameState не может быть преобразован в JSON.',
-                error: 'INVALID_JSON'
+                message: translate(locale, 'errors.VERSION_REQUIRED'),
+                error: 'VERSION_REQUIRED'
             };
         }
 
-        // Получаем предыдущее состояние игры для сравнения
-        const previousState = await getPreviousGameState(chprId);
-
-        // Сначала проверяем, существует ли запись с таким CHPR_id
-        const { data: existingData, error: findError } = await supabase
-            .from('saved_games')
-            .select('id')
-            .eq('CHPR_id', chprId)
-            .single();
-
-        if (findError) {
-            if (findError.code === 'PGRST116') {
-                return {
-                    success: false,
-                    message: `Запись с CHPR_id "${chprId}" не найдена.`,
-                    error: 'RECORD_NOT_FOUND'
-                };
-            } else {
-                return {
-                    success: false,
-                    message: 'Ошибка при поиске записи в базе данных.',
-                    error: findError.message
-                };
-            }
-        }
+        return await withGameLock(chprId, () => applyMoveSubmission(chprId, { pieceId, from, to, dieUsed }, options));
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при ходе фишкой:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedUpdate'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Строит состояние, в котором игрок передает ход без новых перемещений
+ * @param {Object} record - Запись игры
+ * @param {number} player - Игрок, который передает ход
+ * @param {Object} ruleset - Правила игры
+ * @returns {Object} {turnState, roll, rollActive, pendingTurn}
+ * @description Перемещения, уже принятые отдельными ходами, остаются на доске, брошенные кубики
+ * попадают в diceLog. Дополнительного хода передача хода не дает
+ */
+function buildPassState(record, player, ruleset) {
+    const roll = record.currentRoll;
+    const rollActive = isRollActive(roll);
+    const pendingTurn = getPendingTurn(record);
+    const turnState = rollActive
+        ? buildTurnState(pendingTurn ? pendingTurn.startState : record.gameState, record.gameState, roll, ruleset)
+        : { ...record.gameState };
+
+    turnState.currentPlayer = getNextPlayer(turnState, player, ruleset, getPlayersOrder(turnState, record.seats)) || player;
+
+    return { turnState, roll, rollActive, pendingTurn };
+}
 
-        if (!existingData) {
+/**
+ * Передает ход следующему игроку без проверки хода (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number} player - Игрок, за которого передается ход
+ * @returns {Promise<Object|null>} null - ход уже перешел к другому игроку; иначе (см. passTurn)
+ */
+async function applyTurnPass(chprId, player) {
+    const loaded = await loadGame(chprId);
+    if (!loaded.success) {
+        return loaded;
+    }
+
+    const { record } = loaded;
+    if (!isGameActive(record) || !record.gameState || record.gameState.currentPlayer !== player) {
+        return null;
+    }
+
+    const ruleset = getGameRuleset(record);
+    const locale = resolveGameSettings(record.settings).locale;
+    const now = new Date();
+    const updatedAt = now.toISOString();
+    const { turnState, roll, rollActive, pendingTurn } = buildPassState(record, player, ruleset);
+
+    const version = record.version || 0;
+    const updateFields = {
+        gameState: turnState,
+        version: version + 1,
+        turnClock: startTurnClock(record, turnState.currentPlayer, now),
+        updatedAt: updatedAt
+    };
+
+    if (rollActive) {
+        updateFields.currentRoll = { ...roll, usedAt: updatedAt };
+    }
+    if (record.pendingTurn) {
+        updateFields.pendingTurn = null;
+    }
+
+    const message = translate(locale, 'messages.botTurnPassed', { player, nextPlayer: turnState.currentPlayer });
+
+    const { data, error } = await updateGameWithHistory(record, updateFields, updated => ({
+        type: 'pass',
+        version: updated.version,
+        player: player,
+        nextPlayer: turnState.currentPlayer,
+        message: message,
+        movements: pendingTurn ? pendingTurn.movements : [],
+        gameState: turnState,
+        roll: rollActive ? updateFields.currentRoll : null
+    }), { expectedVersion: version });
+
+    if (error || !data) {
+        return storageUpdateFailed(error, locale);
+    }
+
+    return {
+        success: true,
+        message: message,
+        version: data.version,
+        nextPlayer: turnState.currentPlayer,
+        gameState: turnState,
+        roll: rollActive ? updateFields.currentRoll : roll || null,
+        turnClock: updateFields.turnClock
+    };
+}
+
+/**
+ * Передает ход следующему игроку без перемещений
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number} player - Игрок, чей сейчас ход
+ * @returns {Promise<Object|null>} null - ход уже перешел к другому игроку;
+ * иначе {success, message, version, nextPlayer, gameState, roll, turnClock}
+ * @description Запасной путь для хода бота, который не удалось записать: ход пишет сервер, поэтому
+ * он не проходит валидацию, а в историю попадает как передача хода
+ */
+async function passTurn(chprId, player) {
+    try {
+        return await withGameLock(chprId, () => applyTurnPass(chprId, player));
+    } catch (error) {
+        console.error('Неожиданная ошибка при передаче хода:', error);
+        return {
+            success: false,
+            message: translate(DEFAULT_LOCALE, 'messages.unexpectedUpdate'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Изменяет настройки игры (поле settings записи игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} changes - Изменяемые поля настроек (например, {validationMode: 'lenient'})
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {string} [options.locale] - Язык ответа из Accept-Language
+ * @param {Object|null} [options.actor] - Пользователь из токена {userId}; должен сидеть за игрой
+ * (null - аутентификация отключена)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, settings}
+ */
+function updateGameSettings(chprId, changes, options = {}) {
+    return withGameLock(chprId, () => applyGameSettingsUpdate(chprId, changes, options));
+}
+
+/**
+ * Изменяет настройки игры (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} changes - Изменяемые поля настроек
+ * @param {Object} options - Параметры запроса (см. updateGameSettings)
+ * @returns {Promise<Object>} Объект с результатом (см. updateGameSettings)
+ */
+async function applyGameSettingsUpdate(chprId, changes, options) {
+    const locale = resolveLocale(options.locale);
+
+    try {
+        const check = validateSettingsChanges(changes, locale);
+        if (!check.isValid) {
             return {
                 success: false,
-                message: `Запись с CHPR_id "${chprId}" не найдена.`,
-                error: 'RECORD_NOT_FOUND'
+                message: check.errorMessage,
+                error: check.error
             };
         }
 
-        // Сравниваем состояния и генерируем отчет о ходе
-        const differences = compareGameStates(previousState, gameState);
+        const loaded = await loadGame(chprId);
+        if (!loaded.success) {
+            return localizeResult(loaded, locale, { chprId });
+        }
+
+        const memberCheck = validateGameMembership(loaded.record, options.actor || null,
+            resolveLocale(options.locale, resolveGameSettings(loaded.record.settings).locale));
+        if (!memberCheck.success) {
+            return memberCheck;
+        }
 
-        // Выполняем валидацию ходов
-        const validationResult = validateAllMoves(differences.pieceMovements, differences.diceRolls);
+        const settings = { ...(loaded.record.settings || {}), ...changes };
+        const responseLocale = resolveLocale(options.locale, settings.locale);
 
-        // Генерируем отчет с учетом ошибок валидации
-        const moveReport = generateMoveReport(differences, gameState, validationResult.errorMessages);
+        // Настройки записываются только поверх прочитанной версии игры
+        const { error: updateError } = await getStorage().updateGame(chprId, { settings: settings },
+            { expectedVersion: loaded.record.version || 0 });
 
-        // Обновляем поле new_game_state и updated_at
-        const { data: updatedData, error: updateError } = await supabase
-            .from('saved_games')
-            .update({
-                new_game_state: gameState,
-                updated_at: new Date().toISOString()
-            })
-            .eq('CHPR_id', chprId)
-            .select('CHPR_id')
-            .single();
+        if (updateError && updateError.code === 'VERSION_CONFLICT') {
+            return {
+                success: false,
+                message: translate(responseLocale, 'errors.VERSION_CONFLICT', { chprId, version: updateError.actualVersion }),
+                error: updateError.code,
+                version: updateError.actualVersion
+            };
+        }
 
         if (updateError) {
             return {
                 success: false,
-                message: 'Ошибка при обновлении записи в базе данных.',
+                message: translate(responseLocale, 'messages.settingsSaveFailed'),
                 error: updateError.message
             };
         }
 
         return {
             success: true,
-            message: 'Игра обновлена!',
-            updatedId: updatedData.CHPR_id,
-            moveReport: moveReport,
-            validationResult: validationResult
+            message: translate(responseLocale, 'messages.settingsUpdated'),
+            settings: resolveGameSettings(settings)
         };
 
     } catch (error) {
-        console.error('Неожиданная ошибка при обновлении игрового состояния:', error);
+        console.error('Неожиданная ошибка при обновлении настроек игры:', error);
+        return {
+            success: false,
+            message: translate(locale, 'messages.unexpectedSettings'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Возвращает допустимые ходы игрока для сохраненного состояния игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} options - Параметры запроса
+ * @param {number} [options.player] - Номер игрока (по умолчанию активный игрок)
+ * @param {Object} [options.dice] - Значения броска {dice1, dice2}; для каури только dice1 (по умолчанию текущий серверный бросок)
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык игры)
+ * @returns {Promise<Object>} Объект с результатом: {success, player, dice, moves, pieces}
+ */
+async function getLegalMovesForGame(chprId, options = {}) {
+    let locale = resolveLocale(options.locale);
+
+    try {
+        const loaded = await loadGame(chprId);
+        if (!loaded.success) {
+            return localizeResult(loaded, locale, { chprId });
+        }
+
+        const { record } = loaded;
+        locale = resolveLocale(options.locale, resolveGameSettings(record.settings).locale);
+        const gameState = record.gameState || {};
+        const player = options.player !== undefined && options.player !== null
+            ? Number(options.player)
+            : (gameState.currentPlayer || 1);
+
+        // Без явно переданных кубиков используем кубики активного серверного броска, еще не использованные в ходе
+        let dice = options.dice;
+        let unusedDice = null;
+        if (!dice && isRollActive(record.currentRoll)) {
+            unusedDice = getUnusedDice(record.currentRoll, getRollUsedDice(record.currentRoll));
+            dice = Object.fromEntries(unusedDice.map(die => [die.key, die.value]));
+        }
+
+        if (!dice) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.DICE_REQUIRED'),
+                error: 'DICE_REQUIRED'
+            };
+        }
+
+        // Значения проверяются по режиму броска игры: кубики 1-6 или очки каури
+        const ruleset = getGameRuleset(record);
+        const boardCheck = validateRulesetBoard(ruleset, locale);
+        if (!boardCheck.isValid) {
+            return { success: false, message: boardCheck.errorMessage, error: boardCheck.error };
+        }
+
+        const throwValues = getRulesetThrowValues(ruleset);
+        const isValidThrowValue = value => throwValues.includes(value);
+
+        // Значения серверного броска заведомо корректны - проверяются только переданные кубики
+        const invalidDice = !isValidThrowValue(dice.dice1) || (dice.dice2 !== undefined && dice.dice2 !== null && !isValidThrowValue(dice.dice2));
+        if (!unusedDice && invalidDice) {
+            return {
+                success: false,
+                message: translate(locale, 'errors.INVALID_DICE', { values: throwValues.join(', ') }),
+                error: 'INVALID_DICE'
+            };
+        }
+
+        const moves = unusedDice
+            ? getUnusedDiceMoves(gameState, player, unusedDice, ruleset)
+            : getLegalMoves(gameState, player, dice, ruleset);
+
+        return {
+            success: true,
+            player: player,
+            dice: dice,
+            moves: moves,
+            pieces: groupMovesByPiece(gameState, player, moves),
+            hasLegalMoves: moves.length > 0
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при построении допустимых ходов:', error);
         return {
             success: false,
-            message: 'Произошла неожиданная ошибка при обновлении игрового состояния.',
+            message: translate(locale, 'messages.unexpectedLegalMoves'),
             error: error.message
         };
     }
@@ -263,6 +1158,15 @@ async function updateGameState(chprId, gameState) {
 
 module.exports = {
     updateGameState,
+    validateGameState,
+    submitMove,
+    passTurn,
+    buildTurnState,
+    buildPassState,
+    getPendingTurn,
+    getGameSnapshot,
+    getLegalMovesForGame,
+    updateGameSettings,
     getPreviousGameState,
     compareGameStates
 };
\ No newline at end of file
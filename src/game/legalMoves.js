@@ -0,0 +1,243 @@
+// legalMoves.js
+// Модуль для построения списка допустимых ходов по состоянию игры и броску кубиков
+
+const { getPathPositionAfterSteps } = require('../validation/distanceCalculator');
+const { getZoneType, getTriggerDestination } = require('../validation/zoneDetector');
+const { isProtectedCell } = require('../validation/captureValidator');
+const { validateMove, getRequiredDieValues } = require('../validation/moveValidator');
+const { DEFAULT_RULESET } = require('./ruleset');
+const { arePartners } = require('./teams');
+const { DEFAULT_BOARD, getRulesetBoard } = require('./boards');
+
+/**
+ * Формирует варианты использования кубиков: каждый кубик отдельно и их сумма
+ * @param {Object} dice - Значения кубиков {dice1, dice2}
+ * @param {Array<string>} diceOptions - Разрешенные правилами варианты: dice1, dice2, sum
+ * @returns {Array} Массив вариантов {dieUsed, steps, values}
+ */
+function getDiceOptions(dice, diceOptions = DEFAULT_RULESET.diceOptions) {
+    const options = [];
+
+    if (dice.dice1) {
+        options.push({ dieUsed: 'dice1', steps: dice.dice1, values: [dice.dice1] });
+    }
+    if (dice.dice2) {
+        options.push({ dieUsed: 'dice2', steps: dice.dice2, values: [dice.dice2] });
+    }
+    if (dice.dice1 && dice.dice2) {
+        options.push({ dieUsed: 'sum', steps: dice.dice1 + dice.dice2, values: [dice.dice1, dice.dice2] });
+    }
+
+    return options.filter(option => diceOptions.includes(option.dieUsed));
+}
+
+/**
+ * Собирает занятость клеток всеми фишками на поле
+ * @param {Object} gameState - Состояние игры
+ * @returns {Map} Карта позиция -> массив фишек {player, piece, pieceId}
+ */
+function getOccupiedCells(gameState) {
+    const occupied = new Map();
+    const piecesData = gameState.piecesData || {};
+
+    for (const playerKey in piecesData) {
+        const pieces = piecesData[playerKey];
+        if (!Array.isArray(pieces)) continue;
+
+        pieces.forEach((piece, pieceIndex) => {
+            if (!piece || !piece.position) return;
+            if (!occupied.has(piece.position)) {
+                occupied.set(piece.position, []);
+            }
+            occupied.get(piece.position).push({
+                player: parseInt(playerKey),
+                piece: pieceIndex,
+                pieceId: piece.id
+            });
+        });
+    }
+
+    return occupied;
+}
+
+/**
+ * Находит свободную стартовую клетку игрока
+ * @param {number} player - Номер игрока
+ * @param {Map} occupied - Карта занятых клеток
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {string|null} Свободная стартовая клетка или null
+ */
+function findFreeStartingCell(player, occupied, board = DEFAULT_BOARD) {
+    const startingPos = board.startingPositions[`player${player}`];
+    if (!startingPos || !startingPos.coordinates) return null;
+
+    return startingPos.coordinates.find(cell => !occupied.has(cell)) || null;
+}
+
+/**
+ * Вычисляет конечную клетку хода фишки с учетом триггерных клеток тюрьмы и храма
+ * @param {string} from - Текущая позиция фишки
+ * @param {number} steps - Количество ходов
+ * @param {number} player - Номер игрока
+ * @param {Map} occupied - Карта занятых клеток
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {Object|null} Объект {to, triggerCell} или null если ход невозможен
+ */
+function resolveDestination(from, steps, player, occupied, board = DEFAULT_BOARD) {
+    const fromZone = getZoneType(from, player, board);
+
+    // Выход из зоны ожидания на 1 ход ведет на свободную стартовую клетку
+    if (fromZone.type === 'waiting' && steps === 1) {
+        const startingCell = findFreeStartingCell(player, occupied, board);
+        return startingCell ? { to: startingCell, triggerCell: null } : null;
+    }
+
+    const pathCell = getPathPositionAfterSteps(from, steps, player, board);
+    if (!pathCell) return null;
+
+    // Попадание на триггерную клетку переносит фишку в тюрьму или храм
+    const triggered = getTriggerDestination(pathCell, board);
+    if (triggered) {
+        return { to: triggered.target, triggerCell: triggered.trigger };
+    }
+
+    return { to: pathCell, triggerCell: null };
+}
+
+/**
+ * Строит список всех допустимых ходов игрока для заданного броска
+ * @param {Object} gameState - Состояние игры (piecesData)
+ * @param {number} player - Номер игрока (1-4)
+ * @param {Object} dice - Значения кубиков {dice1, dice2}; dice2 можно не указывать для одного кубика
+ * @param {Object} ruleset - Правила игры (варианты кубиков, значения выхода, взятия)
+ * @returns {Array} Массив ходов {player, piece, pieceId, from, to, steps, dieUsed, triggerCell, captures}
+ * @description Каждый ход проверяется тем же validateMove, что и присланные состояния,
+ * поэтому подсветка на клиенте совпадает с серверной валидацией
+ */
+function getLegalMoves(gameState, player, dice, ruleset = DEFAULT_RULESET) {
+    const moves = [];
+    if (!gameState || !gameState.piecesData || !dice) return moves;
+
+    const pieces = gameState.piecesData[player] || gameState.piecesData[String(player)] || [];
+    const occupied = getOccupiedCells(gameState);
+    const diceRolls = [{ dice1: dice.dice1, dice2: dice.dice2 }];
+    const options = getDiceOptions(dice, ruleset.diceOptions);
+    const board = getRulesetBoard(ruleset);
+
+    pieces.forEach((piece, pieceIndex) => {
+        if (!piece || !piece.position) return;
+
+        const seenTargets = new Set();
+
+        for (const option of options) {
+            const destination = resolveDestination(piece.position, option.steps, player, occupied, board);
+            if (!destination || seenTargets.has(destination.to)) continue;
+
+            const movement = {
+                player: player,
+                piece: pieceIndex,
+                pieceId: piece.id,
+                from: piece.position,
+                to: destination.to
+            };
+
+            if (!validateMove(movement, diceRolls, ruleset).isValid) continue;
+
+            // Выход из зоны ожидания и из тюрьмы засчитывается только кубиком с нужным значением (как в validateDiceBudget)
+            const requiredValues = getRequiredDieValues(movement, ruleset);
+            if (requiredValues !== null && !option.values.some(value => requiredValues.includes(value))) continue;
+
+            const occupants = occupied.get(destination.to) || [];
+
+            // В доме на одной клетке может стоять только одна фишка
+            if (getZoneType(destination.to, player, board).type === 'home' && occupants.length > 0) continue;
+
+            seenTargets.add(destination.to);
+            moves.push({
+                ...movement,
+                steps: option.steps,
+                dieUsed: option.dieUsed,
+                triggerCell: destination.triggerCell,
+                // Без взятий по правилам фишки соперников остаются на клетке вместе с пришедшей; партнеров не едят
+                captures: !ruleset.capturesEnabled ? [] : occupants.filter(occupant =>
+                    occupant.player !== player &&
+                    !arePartners(player, occupant.player, ruleset) &&
+                    !isProtectedCell(destination.to, occupant.player, ruleset.captureProtectedZones, board)
+                )
+            });
+        }
+    });
+
+    return moves;
+}
+
+/**
+ * Строит допустимые ходы на кубики, которые еще не использованы в текущем ходе
+ * @param {Object} gameState - Состояние игры
+ * @param {number} player - Номер игрока
+ * @param {Array} unusedDice - Неиспользованные кубики [{key, value}] в порядке броска (см. getUnusedDice)
+ * @param {Object} ruleset - Правила игры
+ * @returns {Array} Ходы из getLegalMoves; dieUsed указывает кубик броска, которым делается ход
+ */
+function getUnusedDiceMoves(gameState, player, unusedDice, ruleset = DEFAULT_RULESET) {
+    if (unusedDice.length === 0) {
+        return [];
+    }
+
+    if (unusedDice.length === 2) {
+        return getLegalMoves(gameState, player, { dice1: unusedDice[0].value, dice2: unusedDice[1].value }, ruleset);
+    }
+
+    // Оставшийся кубик считается как dice1 - возвращаем ходам его настоящий ключ
+    const [die] = unusedDice;
+    return getLegalMoves(gameState, player, { dice1: die.value }, ruleset)
+        .map(move => ({ ...move, dieUsed: die.key }));
+}
+
+/**
+ * Применяет ход к копии состояния: перемещает фишку и отправляет съеденные фишки в зону ожидания
+ * @param {Object} gameState - Состояние игры
+ * @param {Object} move - Ход из getLegalMoves
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {Object} Новое состояние
+ */
+function applyMove(gameState, move, board = DEFAULT_BOARD) {
+    const nextState = structuredClone(gameState);
+    nextState.piecesData[move.player][move.piece].position = move.to;
+
+    move.captures.forEach(captured => {
+        const occupied = getOccupiedCells(nextState);
+        const waitingZone = board.waitingZones[`player${captured.player}`];
+        const freeCell = waitingZone.coordinates.find(cell => !occupied.has(cell));
+        nextState.piecesData[captured.player][captured.piece].position = freeCell;
+    });
+
+    return nextState;
+}
+
+/**
+ * Группирует ходы по фишкам
+ * @param {Object} gameState - Состояние игры
+ * @param {number} player - Номер игрока
+ * @param {Array} moves - Список ходов из getLegalMoves
+ * @returns {Array} Массив {piece, pieceId, position, moves} для каждой фишки игрока
+ */
+function groupMovesByPiece(gameState, player, moves) {
+    const pieces = (gameState && gameState.piecesData && gameState.piecesData[player]) || [];
+
+    return pieces.map((piece, pieceIndex) => ({
+        piece: pieceIndex,
+        pieceId: piece.id,
+        position: piece.position,
+        moves: moves.filter(move => move.piece === pieceIndex)
+    }));
+}
+
+module.exports = {
+    getLegalMoves,
+    getUnusedDiceMoves,
+    groupMovesByPiece,
+    getDiceOptions,
+    getOccupiedCells,
+    applyMove
+};
@@ -0,0 +1,326 @@
+// lobby.js
+// Модуль лобби: открытые игры со свободными местами, вход игрока на место и выход до запуска игры
+
+const { getStorage, loadGame, withGameLock } = require('../storage');
+const { GAME_STATUSES, startGame, describeGame } = require('./gameLifecycle');
+const { resolveGameSettings } = require('./gameSettings');
+const { resolveLocale, translate } = require('../i18n');
+
+/**
+ * Находит свободные места игры: места без бота и без закрепленного игрока
+ * @param {Array} seats - Места игры [{player, bot, userId}]
+ * @returns {Array<number>} Номера свободных мест
+ */
+function getFreeSeats(seats) {
+    return (seats || [])
+        .filter(seat => !seat.bot && !seat.userId)
+        .map(seat => seat.player);
+}
+
+/**
+ * Формирует описание игры для списка лобби
+ * @param {Object} game - Запись игры или ее описание (describeGame)
+ * @returns {Object|null} {chprId, playerCount, seats, freeSeats, ruleset, settings, createdAt}
+ * или null, если игра не ждет игроков (уже запущена или все места заняты)
+ * @description Идентификаторы игроков в лобби не показываются - только занято место или нет
+ */
+function describeLobbyGame(game) {
+    const seats = game.seats || [];
+    const freeSeats = getFreeSeats(seats);
+
+    if (game.status !== GAME_STATUSES.CREATED || freeSeats.length === 0) {
+        return null;
+    }
+
+    const { ruleset, settings } = describeGame(game);
+
+    return {
+        chprId: game.chprId,
+        playerCount: seats.length,
+        seats: seats.map(seat => ({
+            player: seat.player,
+            color: seat.color,
+            bot: seat.bot || null,
+            taken: !freeSeats.includes(seat.player)
+        })),
+        freeSeats: freeSeats,
+        ruleset: ruleset,
+        settings: settings,
+        createdAt: game.createdAt
+    };
+}
+
+/**
+ * Получает список открытых игр лобби
+ * @param {Object} [filters] - Фильтры списка
+ * @param {number} [filters.playerCount] - Только игры на заданное число игроков
+ * @param {Object} [options] - Параметры запроса
+ * @param {string} [options.locale] - Язык ответа из Accept-Language
+ * @returns {Promise<Object>} Объект с результатом: {success, games} - игры в порядке создания
+ */
+async function listOpenGames(filters = {}, options = {}) {
+    const locale = resolveLocale(options.locale);
+
+    try {
+        const playerCount = filters.playerCount !== undefined && filters.playerCount !== null && filters.playerCount !== ''
+            ? Number(filters.playerCount)
+            : null;
+
+        if (playerCount !== null && !Number.isInteger(playerCount)) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.invalidPlayerCount'),
+                error: 'INVALID_PLAYER_COUNT'
+            };
+        }
+
+        const { data, error } = await getStorage().listGames({ status: GAME_STATUSES.CREATED });
+
+        if (error) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.listFailed'),
+                error: error.message
+            };
+        }
+
+        const games = (data || [])
+            .map(describeLobbyGame)
+            .filter(game => game && (playerCount === null || game.playerCount === playerCount));
+
+        return {
+            success: true,
+            games: games
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при получении списка открытых игр:', error);
+        return {
+            success: false,
+            message: translate(locale, 'lobby.unexpectedList'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Сажает игрока на свободное место созданной игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} actor - Игрок {userId} (см. identifyPlayer)
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {number} [options.seat] - Номер места (номер из waitingZones доски игры); по умолчанию первое свободное место
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык игры)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, seat, alreadyJoined, started, game}
+ * @description Повторный вход игрока, уже сидящего за игрой, возвращает его место.
+ * Когда заняты все места, игра запускается автоматически (started: true)
+ */
+async function joinGame(chprId, actor, options = {}) {
+    const joined = await withGameLock(chprId, () => applyJoinGame(chprId, actor, options));
+
+    if (!joined.success || joined.alreadyJoined || getFreeSeats(joined.game.seats).length > 0) {
+        return joined;
+    }
+
+    const started = await startGame(chprId, { locale: options.locale });
+    if (!started.success) {
+        console.error(`Игра ${chprId} заполнена, но не запустилась:`, started.error);
+        return joined;
+    }
+
+    return {
+        ...joined,
+        message: translate(resolveLocale(options.locale, started.game.settings.locale), 'lobby.startedWhenFull'),
+        started: true,
+        game: started.game
+    };
+}
+
+/**
+ * Сажает игрока на место (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} actor - Игрок {userId}
+ * @param {Object} options - Параметры joinGame {seat, locale}
+ * @returns {Promise<Object>} Объект с результатом (см. joinGame)
+ */
+async function applyJoinGame(chprId, actor, options) {
+    let locale = resolveLocale(options.locale);
+
+    try {
+        const loaded = await loadGame(chprId, locale);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        const { record } = loaded;
+        const seats = record.seats || [];
+        locale = resolveLocale(options.locale, resolveGameSettings(record.settings).locale);
+
+        if (record.status !== GAME_STATUSES.CREATED) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.joinNotAllowed', { status: record.status || GAME_STATUSES.ACTIVE }),
+                error: 'INVALID_GAME_STATUS'
+            };
+        }
+
+        const ownSeat = seats.find(seat => seat.userId === actor.userId);
+        if (ownSeat) {
+            return {
+                success: true,
+                message: translate(locale, 'lobby.alreadyJoined', { seat: ownSeat.player }),
+                seat: ownSeat.player,
+                alreadyJoined: true,
+                started: false,
+                game: describeGame(record)
+            };
+        }
+
+        const freeSeats = getFreeSeats(seats);
+        const requestedSeat = options.seat !== undefined && options.seat !== null ? Number(options.seat) : null;
+
+        if (requestedSeat !== null && !seats.some(seat => seat.player === requestedSeat)) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.invalidSeat', { seats: seats.map(seat => seat.player).join(', ') }),
+                error: 'INVALID_SEAT',
+                freeSeats: freeSeats
+            };
+        }
+
+        if (freeSeats.length === 0) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.gameFull'),
+                error: 'GAME_FULL',
+                freeSeats: freeSeats
+            };
+        }
+
+        if (requestedSeat !== null && !freeSeats.includes(requestedSeat)) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.seatTaken', { seat: requestedSeat, freeSeats: freeSeats.join(', ') }),
+                error: 'SEAT_TAKEN',
+                freeSeats: freeSeats
+            };
+        }
+
+        const seatNumber = requestedSeat !== null ? requestedSeat : freeSeats[0];
+        const { data, error } = await getStorage().updateGame(chprId, {
+            seats: seats.map(seat => (seat.player === seatNumber ? { ...seat, userId: actor.userId } : seat)),
+            updatedAt: new Date().toISOString()
+        });
+
+        if (error || !data) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.joinSaveFailed'),
+                error: error ? error.message : 'RECORD_NOT_FOUND'
+            };
+        }
+
+        return {
+            success: true,
+            message: translate(locale, 'lobby.joined', { seat: seatNumber }),
+            seat: seatNumber,
+            alreadyJoined: false,
+            started: false,
+            game: describeGame(data)
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при входе в игру:', error);
+        return {
+            success: false,
+            message: translate(locale, 'lobby.unexpectedJoin'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Освобождает место игрока в созданной игре
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} actor - Игрок {userId}
+ * @param {Object} [options] - Параметры запроса
+ * @param {string} [options.locale] - Язык ответа из Accept-Language (по умолчанию язык игры)
+ * @returns {Promise<Object>} Объект с результатом: {success, message, seat, game}
+ */
+function leaveGame(chprId, actor, options = {}) {
+    return withGameLock(chprId, () => applyLeaveGame(chprId, actor, options));
+}
+
+/**
+ * Освобождает место игрока (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} actor - Игрок {userId}
+ * @param {Object} options - Параметры leaveGame {locale}
+ * @returns {Promise<Object>} Объект с результатом (см. leaveGame)
+ */
+async function applyLeaveGame(chprId, actor, options) {
+    let locale = resolveLocale(options.locale);
+
+    try {
+        const loaded = await loadGame(chprId, locale);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        const { record } = loaded;
+        const seats = record.seats || [];
+        locale = resolveLocale(options.locale, resolveGameSettings(record.settings).locale);
+
+        if (record.status !== GAME_STATUSES.CREATED) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.leaveNotAllowed', { status: record.status || GAME_STATUSES.ACTIVE }),
+                error: 'INVALID_GAME_STATUS'
+            };
+        }
+
+        const ownSeat = seats.find(seat => seat.userId === actor.userId);
+        if (!ownSeat) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.notAPlayer', { chprId }),
+                error: 'NOT_A_PLAYER'
+            };
+        }
+
+        const { data, error } = await getStorage().updateGame(chprId, {
+            seats: seats.map(seat => (seat.userId === actor.userId ? { ...seat, userId: null } : seat)),
+            updatedAt: new Date().toISOString()
+        });
+
+        if (error || !data) {
+            return {
+                success: false,
+                message: translate(locale, 'lobby.leaveSaveFailed'),
+                error: error ? error.message : 'RECORD_NOT_FOUND'
+            };
+        }
+
+        return {
+            success: true,
+            message: translate(locale, 'lobby.left', { seat: ownSeat.player }),
+            seat: ownSeat.player,
+            game: describeGame(data)
+        };
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при выходе из игры:', error);
+        return {
+            success: false,
+            message: translate(locale, 'lobby.unexpectedLeave'),
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    getFreeSeats,
+    describeLobbyGame,
+    listOpenGames,
+    joinGame,
+    leaveGame
+};
@@ -0,0 +1,249 @@
+// matchmaking.js
+// Модуль быстрой игры: очередь игроков по числу игроков и правилам; набрав игроков, сервер создает и запускает игру
+
+const { checkGameOptions, createGame, startGame } = require('./gameLifecycle');
+const { resolveLocale, translate } = require('../i18n');
+
+/**
+ * Число игроков в быстрой игре по умолчанию
+ */
+const DEFAULT_MATCH_PLAYER_COUNT = 2;
+
+/**
+ * Сколько секунд запись очереди живет без подтверждения (постановки или запроса положения в очереди);
+ * 0 - записи не устаревают
+ */
+const QUEUE_ENTRY_TTL_SECONDS = process.env.MATCH_QUEUE_TTL_SECONDS !== undefined
+    ? Number(process.env.MATCH_QUEUE_TTL_SECONDS)
+    : 600;
+
+// Очередь быстрой игры в порядке постановки; живет в памяти процесса
+// Запись: {userId, playerCount, ruleset, queueKey, queuedAt, seenAt}
+const queue = [];
+
+/**
+ * Формирует ключ очереди: вместе играют только игроки с одинаковым числом игроков и правилами
+ * @param {number} playerCount - Число игроков
+ * @param {Object} ruleset - Полные правила игры (resolveRuleset)
+ * @returns {string} Ключ очереди
+ */
+function getQueueKey(playerCount, ruleset) {
+    return `${playerCount}:${JSON.stringify(ruleset)}`;
+}
+
+/**
+ * Описывает положение игрока в очереди
+ * @param {Object} entry - Запись очереди
+ * @returns {Object} {queued, playerCount, ruleset, position, waiting, queuedAt}
+ */
+function describeQueueEntry(entry) {
+    const sameQueue = queue.filter(candidate => candidate.queueKey === entry.queueKey);
+
+    return {
+        queued: true,
+        playerCount: entry.playerCount,
+        ruleset: entry.ruleset,
+        position: sameQueue.indexOf(entry) + 1,
+        waiting: sameQueue.length,
+        queuedAt: entry.queuedAt
+    };
+}
+
+/**
+ * Убирает игрока из очереди
+ * @param {string} userId - Идентификатор игрока
+ * @returns {Object|null} Удаленная запись или null, если игрока в очереди не было
+ */
+function removeFromQueue(userId) {
+    const index = queue.findIndex(entry => entry.userId === userId);
+    return index === -1 ? null : queue.splice(index, 1)[0];
+}
+
+/**
+ * Убирает из очереди записи, которые давно не подтверждались (клиент ушел, не выйдя из очереди)
+ * @param {number} [now] - Текущее время в миллисекундах
+ * @returns {Array} Удаленные записи
+ */
+function removeStaleEntries(now = Date.now()) {
+    if (!(QUEUE_ENTRY_TTL_SECONDS > 0)) {
+        return [];
+    }
+
+    const stale = queue.filter(entry => now - Date.parse(entry.seenAt) > QUEUE_ENTRY_TTL_SECONDS * 1000);
+    stale.forEach(entry => queue.splice(queue.indexOf(entry), 1));
+    return stale;
+}
+
+/**
+ * Ставит игрока в очередь быстрой игры и, если игроков набралось достаточно, создает игру
+ * @param {Object} actor - Игрок {userId} (см. identifyPlayer)
+ * @param {Object} [options] - Предпочтения игрока
+ * @param {number} [options.playerCount] - Число игроков (по умолчанию 2)
+ * @param {Object} [options.ruleset] - Правила игры; не указанные правила берутся по умолчанию
+ * @param {string} [options.locale] - Язык ответа из Accept-Language
+ * @returns {Promise<Object>} {success, message, matched: false, queued, position, waiting, ...} - игрок ждет;
+ * {success, message, matched: true, chprId, game, players: [{userId, seat}]} - игра создана и запущена
+ * @description Повторная постановка заменяет прежние предпочтения игрока. Игроки рассаживаются
+ * в порядке постановки в очередь: первый в очереди получает первое место и ходит первым.
+ * Запись ожидающего игрока устаревает через QUEUE_ENTRY_TTL_SECONDS, если он не запрашивает свое положение в очереди
+ */
+async function enqueuePlayer(actor, options = {}) {
+    const locale = resolveLocale(options.locale);
+
+    try {
+        const playerCount = options.playerCount !== undefined && options.playerCount !== null
+            ? Number(options.playerCount)
+            : DEFAULT_MATCH_PLAYER_COUNT;
+
+        // Правила и число игроков проверяются сразу, а не когда игроки уже набраны
+        const optionsCheck = checkGameOptions({ playerCount, ruleset: options.ruleset }, locale);
+        if (!optionsCheck.success) {
+            return optionsCheck;
+        }
+
+        const { ruleset, seats } = optionsCheck;
+        const queueKey = getQueueKey(playerCount, ruleset);
+
+        removeStaleEntries();
+        removeFromQueue(actor.userId);
+        const queuedAt = new Date().toISOString();
+        const entry = { userId: actor.userId, playerCount, ruleset, queueKey, queuedAt, seenAt: queuedAt };
+        queue.push(entry);
+
+        const sameQueue = queue.filter(candidate => candidate.queueKey === queueKey);
+        if (sameQueue.length < playerCount) {
+            return {
+                success: true,
+                message: translate(locale, 'queue.waiting', { waiting: sameQueue.length, playerCount }),
+                matched: false,
+                ...describeQueueEntry(entry)
+            };
+        }
+
+        // Игроки забираются из очереди до первого await - их не заберет параллельный запрос
+        const players = sameQueue.slice(0, playerCount);
+        players.forEach(player => removeFromQueue(player.userId));
+
+        return await createMatch(players, seats, ruleset, locale);
+
+    } catch (error) {
+        console.error('Неожиданная ошибка при постановке в очередь быстрой игры:', error);
+        return {
+            success: false,
+            message: translate(locale, 'queue.unexpectedEnqueue'),
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Создает игру для набранных игроков и запускает ее
+ * @param {Array} players - Записи очереди в порядке постановки
+ * @param {Array} seats - Места новой игры (checkGameOptions)
+ * @param {Object} ruleset - Полные правила игры
+ * @param {string} locale - Язык ответа
+ * @returns {Promise<Object>} Объект с результатом (см. enqueuePlayer)
+ * @description Места закрепляются за игроками при создании игры, поэтому в лобби она не попадает.
+ * Если игру создать не удалось, игроки возвращаются в начало очереди
+ */
+async function createMatch(players, seats, ruleset, locale) {
+    const userIds = {};
+    seats.forEach((seat, index) => {
+        userIds[seat.player] = players[index].userId;
+    });
+
+    const created = await createGame({ playerCount: seats.length, ruleset, userIds, locale });
+    if (!created.success) {
+        queue.unshift(...players);
+        return created;
+    }
+
+    const { chprId } = created;
+    const matchedPlayers = players.map((player, index) => ({ userId: player.userId, seat: seats[index].player }));
+
+    // Игра уже создана: если запуск не удался, игроки все равно получают ее (запустить можно POST /api/game/:chprId/start)
+    const started = await startGame(chprId, { locale });
+    if (!started.success) {
+        console.error(`Игра ${chprId} из очереди быстрой игры создана, но не запустилась:`, started.error);
+    }
+
+    return {
+        success: true,
+        message: translate(locale, started.success ? 'queue.matchStarted' : 'queue.matchCreated'),
+        matched: true,
+        chprId: chprId,
+        game: started.success ? started.game : created.game,
+        players: matchedPlayers
+    };
+}
+
+/**
+ * Убирает игрока из очереди быстрой игры
+ * @param {Object} actor - Игрок {userId}
+ * @param {Object} [options] - Параметры запроса
+ * @param {string} [options.locale] - Язык ответа из Accept-Language
+ * @returns {Object} Объект с результатом: {success, message, playerCount, ruleset}
+ */
+function dequeuePlayer(actor, options = {}) {
+    const locale = resolveLocale(options.locale);
+    const entry = removeFromQueue(actor.userId);
+
+    if (!entry) {
+        return {
+            success: false,
+            message: translate(locale, 'queue.notQueued'),
+            error: 'NOT_IN_QUEUE'
+        };
+    }
+
+    return {
+        success: true,
+        message: translate(locale, 'queue.left'),
+        playerCount: entry.playerCount,
+        ruleset: entry.ruleset
+    };
+}
+
+/**
+ * Получает положение игрока в очереди быстрой игры и продлевает его запись в очереди
+ * @param {Object} actor - Игрок {userId}
+ * @returns {Object} {success, queued: false} или {success, queued: true, playerCount, ruleset, position, waiting, queuedAt}
+ */
+function getQueueStatus(actor) {
+    removeStaleEntries();
+    const entry = queue.find(candidate => candidate.userId === actor.userId);
+
+    if (!entry) {
+        return { success: true, queued: false };
+    }
+
+    entry.seenAt = new Date().toISOString();
+    return { success: true, ...describeQueueEntry(entry) };
+}
+
+/**
+ * Получает число ожидающих игроков по очередям (для рассылки в лобби)
+ * @returns {Array} Очереди [{playerCount, ruleset, waiting}] в порядке первой постановки
+ */
+function getQueueSummary() {
+    removeStaleEntries();
+    const summary = new Map();
+
+    queue.forEach(entry => {
+        if (!summary.has(entry.queueKey)) {
+            summary.set(entry.queueKey, { playerCount: entry.playerCount, ruleset: entry.ruleset, waiting: 0 });
+        }
+        summary.get(entry.queueKey).waiting += 1;
+    });
+
+    return [...summary.values()];
+}
+
+module.exports = {
+    DEFAULT_MATCH_PLAYER_COUNT,
+    QUEUE_ENTRY_TTL_SECONDS,
+    enqueuePlayer,
+    dequeuePlayer,
+    getQueueStatus,
+    getQueueSummary
+};
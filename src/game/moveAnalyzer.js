@@ -9,19 +9,39 @@ const {
     isPieceCaptured
 } = require('../validation/zoneDetector');
 
-const gameZones = require('../../gameZones.json');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+const { DEFAULT_RULESET } = require('./ruleset');
+const { getTeamOf } = require('./teams');
+const { DEFAULT_BOARD, getRulesetBoard } = require('./boards');
+const { getThrowValues, formatThrow } = require('../../dice');
+
+/**
+ * Типы событий хода для структурированного отчета
+ */
+const MOVE_EVENT_TYPES = {
+    ENTER_BOARD: 'enter_board',
+    MOVE: 'move',
+    ENTER_PRISON: 'enter_prison',
+    LEAVE_PRISON: 'leave_prison',
+    ENTER_TEMPLE: 'enter_temple',
+    TELEPORT: 'teleport',
+    CAPTURED: 'captured',
+    HOME_HIDDEN: 'home_hidden',
+    HOME_ENTERED: 'home_entered'
+};
 
 /**
  * Проверяет занятость последующих клеток в доме
  * @param {Object} gameState - Текущее состояние игры
  * @param {number} player - Номер игрока
  * @param {string} currentPosition - Текущая позиция фишки в доме
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {boolean} true если все последующие клетки заняты
  */
-function areSubsequentHomeCellsOccupied(gameState, player, currentPosition) {
+function areSubsequentHomeCellsOccupied(gameState, player, currentPosition, board = DEFAULT_BOARD) {
     if (!gameState.piecesData) return false;
 
-    const homeZone = gameZones.homeZones[`player${player}`];
+    const homeZone = board.homeZones[`player${player}`];
     if (!homeZone || !homeZone.coordinates) return false;
 
     // Получаем все позиции всех игроков
@@ -47,111 +67,137 @@ function areSubsequentHomeCellsOccupied(gameState, player, currentPosition) {
     return subsequentCells.length > 0 && subsequentCells.every(cell => allPositions.includes(cell));
 }
 
+/**
+ * Формирует локализованное количество ходов с правильной формой множественного числа
+ * @param {string} locale - Язык отчета
+ * @param {number|null} distance - Количество ходов (null - клетка недостижима по пути игрока)
+ * @returns {string} Например, "3 хода" или "3 steps"
+ */
+function formatSteps(locale, distance) {
+    if (distance === null) {
+        return translate(locale, 'units.unreachable');
+    }
+    return translate(locale, 'units.steps', { count: distance });
+}
+
+/**
+ * Переводит цвет игрока: стандартные цвета переводятся, заданные при создании игры остаются как есть
+ * @param {string} locale - Язык отчета
+ * @param {number} player - Номер игрока
+ * @param {string|undefined} color - Цвет игрока из состояния игры
+ * @returns {string|null} Название цвета или null если цвет неизвестен
+ */
+function translatePlayerColor(locale, player, color) {
+    const defaultColor = translate(DEFAULT_LOCALE, `colors.${player}`);
+    const isStandardColor = defaultColor !== `colors.${player}`;
+
+    if (!color || color === defaultColor) {
+        return isStandardColor ? translate(locale, `colors.${player}`) : null;
+    }
+    return color;
+}
+
 /**
  * Анализирует конкретное перемещение фишки и генерирует детальное сообщение
  * @param {Object} movement - Объект с информацией о перемещении
  * @param {Object} gameState - Текущее состояние игры
  * @param {Array} diceRolls - Массив бросков кубиков
+ * @param {string} locale - Язык отчета (см. i18n)
+ * @param {Object} ruleset - Правила игры (prisonExitValues, доска)
  * @returns {string} Детальное сообщение о перемещении
  */
-function analyzePieceMovement(movement, gameState, diceRolls) {
+function analyzePieceMovement(movement, gameState, diceRolls, locale = DEFAULT_LOCALE, ruleset = DEFAULT_RULESET) {
     const { player, piece, pieceId, from, to } = movement;
-    const fromZone = getZoneType(from, player);
-    const toZone = getZoneType(to, player);
+    const board = getRulesetBoard(ruleset);
+    const fromZone = getZoneType(from, player, board);
+    const toZone = getZoneType(to, player, board);
 
-    let message = `Фишка ${pieceId || (piece + 1)}`;
+    const label = translate(locale, 'report.piece', { piece: pieceId || (piece + 1) });
+    const describe = (key, params = {}) => translate(locale, `report.${key}`, { label, from, to, ...params });
+    const steps = (pathFrom, pathTo) => formatSteps(locale, calculateGamePathDistance(pathFrom, pathTo, player, board));
 
     // Анализируем различные типы перемещений
     if (fromZone.type === 'waiting' && toZone.type === 'starting') {
-        return `${message} вышла из зоны ожидания`;
+        return describe('leftWaiting');
     }
 
     if (fromZone.type === 'starting' && toZone.type !== 'starting') {
-        const distance = calculateGamePathDistance(from, to, player);
-        return `${message} вышла со стартовой позиции на поле на ${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'}`;
+        return describe('leftStartToField', { steps: steps(from, to) });
     }
 
     // Обработка выхода из тюрьмы с особой механикой
     if (fromZone.type === 'prison') {
-        const diceSum = diceRolls.length > 0 ? (diceRolls[0].dice1 + diceRolls[0].dice2) : 0;
-        const sourceTrigger = getSourceTriggerCell(from);
+        const dice = diceRolls.length > 0 ? getThrowValues(diceRolls[0]) : [];
+        const diceSum = dice.reduce((total, value) => total + value, 0);
+        const sourceTrigger = getSourceTriggerCell(from, board);
+        const exitValue = ruleset.prisonExitValues.find(value => dice.includes(value));
 
-        if (sourceTrigger && diceSum >= 6) {
-            const remainingMoves = diceSum - 6;
+        if (sourceTrigger && exitValue !== undefined) {
+            const remainingMoves = diceSum - exitValue;
             if (remainingMoves > 0) {
                 // Вычисляем расстояние от триггерной клетки до конечной позиции
-                const distance = calculateGamePathDistance(sourceTrigger.trigger, to, player);
-                return `${message} вышла из тюрьмы на 6 и переместилась с ${sourceTrigger.trigger} на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+                return describe('leftPrisonOnValueAndMoved', { value: exitValue, trigger: sourceTrigger.trigger, steps: steps(sourceTrigger.trigger, to) });
             } else {
-                return `${message} вышла из тюрьмы на 6`;
+                return describe('leftPrisonOnValue', { value: exitValue });
             }
         } else {
-            return `${message} вышла из тюрьмы`;
+            return describe('leftPrison');
         }
     }
 
     // Обработка выхода из храма
     if (fromZone.type === 'temple') {
-        const sourceTrigger = getSourceTriggerCell(from);
+        const sourceTrigger = getSourceTriggerCell(from, board);
         if (sourceTrigger) {
-            const distance = calculateGamePathDistance(sourceTrigger.trigger, to, player);
-            return `${message} вышла из храма и переместилась с ${sourceTrigger.trigger} на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+            return describe('leftTempleFromTrigger', { trigger: sourceTrigger.trigger, steps: steps(sourceTrigger.trigger, to) });
         } else {
-            const distance = calculateGamePathDistance(from, to, player);
-            return `${message} вышла из храма на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+            return describe('leftTemple', { steps: steps(from, to) });
         }
     }
 
     // Обработка входа в тюрьму через триггерную клетку
     if (toZone.type === 'prison') {
-        const triggerData = getTriggerCell(to);
+        const triggerData = getTriggerCell(to, board);
         if (triggerData) {
-            const distance = calculateGamePathDistance(from, triggerData.trigger, player);
-            return `${message} переместилась с ${from} в тюрьму ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+            return describe('enteredPrison', { steps: steps(from, triggerData.trigger) });
         } else {
             // Резервный вариант если триггер не найден
-            const distance = calculateGamePathDistance(from, to, player);
-            return `${message} попала в тюрьму на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+            return describe('landedInPrison', { steps: steps(from, to) });
         }
     }
 
     // Обработка входа в храм через триггерную клетку
     if (toZone.type === 'temple') {
-        const triggerData = getTriggerCell(to);
+        const triggerData = getTriggerCell(to, board);
         if (triggerData) {
-            const distance = calculateGamePathDistance(from, triggerData.trigger, player);
-            return `${message} переместилась с ${from} в храм ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+            return describe('enteredTemple', { steps: steps(from, triggerData.trigger) });
         } else {
             // Резервный вариант если триггер не найден
-            const distance = calculateGamePathDistance(from, to, player);
-            return `${message} попала в храм на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+            return describe('landedInTemple', { steps: steps(from, to) });
         }
     }
 
     if (toZone.type === 'home') {
-        const allSubsequentOccupied = areSubsequentHomeCellsOccupied(gameState, player, to);
+        const allSubsequentOccupied = areSubsequentHomeCellsOccupied(gameState, player, to, board);
         if (allSubsequentOccupied) {
-            return `${message} зашла в дом`;
+            return describe('homeEntered');
         } else {
-            return `${message} спряталась в доме`;
+            return describe('homeHidden');
         }
     }
 
     // Проверяем, является ли начальная позиция зоной ожидания
     if (fromZone.type === 'waiting') {
-        const distance = calculateGamePathDistance(from, to, player);
-        return `${message} переместилась из зоны ожидания с ${from} на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+        return describe('movedFromWaiting', { steps: steps(from, to) });
     }
 
     // Проверяем, является ли начальная позиция стартовой позицией
     if (fromZone.type === 'starting') {
-        const distance = calculateGamePathDistance(from, to, player);
-        return `${message} переместилась со стартовой позиции с ${from} на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+        return describe('movedFromStart', { steps: steps(from, to) });
     }
 
     // Обычное перемещение по полю
-    const distance = calculateGamePathDistance(from, to, player);
-    return `${message} переместилась с ${from} на ${to} (${distance} ${distance === 1 ? 'ход' : distance < 5 ? 'хода' : 'ходов'})`;
+    return describe('moved', { steps: steps(from, to) });
 }
 
 /**
@@ -159,11 +205,14 @@ function analyzePieceMovement(movement, gameState, diceRolls) {
  * @param {Object} differences - Объект с различиями между состояниями
  * @param {Object} gameState - Текущее состояние игры для получения информации об игроках
  * @param {Array} validationErrors - Массив ошибок валидации
+ * @param {Array} captures - Подтвержденные взятия {cell, capturer, captured} (validateCaptures)
+ * @param {string} locale - Язык отчета (см. i18n)
+ * @param {Object} ruleset - Правила игры
  * @returns {string} Детальное сообщение о ходе
  */
-function generateMoveReport(differences, gameState = null, validationErrors = []) {
+function generateMoveReport(differences, gameState = null, validationErrors = [], captures = [], locale = DEFAULT_LOCALE, ruleset = DEFAULT_RULESET) {
     if (!differences.hasChanges) {
-        return 'Изменений в игровом состоянии не обнаружено';
+        return translate(locale, 'report.noChanges');
     }
 
     let report = '';
@@ -174,25 +223,33 @@ function generateMoveReport(differences, gameState = null, validationErrors = []
 
     // Если у нас есть информация о цвете из броска кубиков
     if (differences.diceRolls.length > 0 && differences.diceRolls[0].color) {
-        playerColor = differences.diceRolls[0].color;
         activePlayer = differences.diceRolls[0].player;
+        playerColor = translatePlayerColor(locale, activePlayer, differences.diceRolls[0].color);
     }
     // Иначе пытаемся получить цвет из playersOrder
     else if (gameState && gameState.playersOrder && Array.isArray(gameState.playersOrder)) {
         const playerInfo = gameState.playersOrder.find(p => p.player === activePlayer);
-        playerColor = playerInfo ? playerInfo.color : `Игрок ${activePlayer}`;
+        playerColor = playerInfo ? translatePlayerColor(locale, activePlayer, playerInfo.color) : null;
     }
     // Резервный вариант со стандартными цветами
     else {
-        const playerColors = ['', 'Красный', 'Желтый', 'Зеленый', 'Фиолетовый']; // Индексы 1-4
-        playerColor = playerColors[activePlayer] || `Игрок ${activePlayer}`;
+        playerColor = translatePlayerColor(locale, activePlayer, null);
+    }
+
+    if (!playerColor) {
+        playerColor = translate(locale, 'report.playerFallback', { player: activePlayer });
+    }
+
+    // В командной игре рядом с игроком указываем его команду
+    if (ruleset.teamMode && getTeamOf(activePlayer) !== null) {
+        playerColor = translate(locale, 'report.teamPlayer', { player: playerColor, team: getTeamOf(activePlayer) });
     }
 
     // Добавляем информацию о бросках кубиков
     if (differences.diceRolls.length > 0) {
         const diceDetails = differences.diceRolls.map(roll => {
-            if (typeof roll === 'object' && roll.dice1 !== undefined && roll.dice2 !== undefined) {
-                return `${roll.dice1}+${roll.dice2}=${roll.dice1 + roll.dice2}`;
+            if (typeof roll === 'object' && roll.dice1 !== undefined) {
+                return formatThrow(roll);
             } else if (Array.isArray(roll) && roll.length === 2) {
                 return `${roll[0]}+${roll[1]}=${roll[0] + roll[1]}`;
             } else {
@@ -200,9 +257,9 @@ function generateMoveReport(differences, gameState = null, validationErrors = []
             }
         }).join(', ');
 
-        report += `${playerColor} выбросил на кубиках значения: ${diceDetails}`;
+        report += translate(locale, 'report.diceRolled', { player: playerColor, dice: diceDetails, variant: differences.diceRolls[0].mode });
     } else {
-        report += `${playerColor} сделал ход`;
+        report += translate(locale, 'report.madeMove', { player: playerColor });
     }
 
     // Добавляем информацию о перемещениях фишек с детальным анализом
@@ -211,26 +268,42 @@ function generateMoveReport(differences, gameState = null, validationErrors = []
 
         differences.pieceMovements.forEach(movement => {
             // Проверяем, была ли фишка съедена
-            if (isPieceCaptured(movement)) {
-                // Для съеденных фишек только добавляем сообщение
-                const { pieceId, piece } = movement;
-                detailedMovements.push(`Фишка ${pieceId || (piece + 1)} была съедена`);
+            if (isPieceCaptured(movement, getRulesetBoard(ruleset))) {
+                // Для съеденных фишек указываем, кто и где их съел
+                const { pieceId, piece, player } = movement;
+                const label = translate(locale, 'report.piece', { piece: pieceId || (piece + 1) });
+                const capture = captures.find(entry =>
+                    entry.captured.player === player && entry.captured.piece === piece
+                );
+
+                if (capture) {
+                    const { capturer } = capture;
+                    detailedMovements.push(translate(locale, 'report.capturedBy', {
+                        label: label,
+                        player: player,
+                        cell: capture.cell,
+                        capturerPiece: capturer.pieceId || (capturer.piece + 1),
+                        capturerPlayer: capturer.player
+                    }));
+                } else {
+                    detailedMovements.push(translate(locale, 'report.captured', { label }));
+                }
             } else {
                 // Добавляем описание хода
-                const movementDescription = analyzePieceMovement(movement, gameState, differences.diceRolls);
+                const movementDescription = analyzePieceMovement(movement, gameState, differences.diceRolls, locale, ruleset);
                 detailedMovements.push(movementDescription);
             }
         });
 
         // Если есть ошибки валидации, показываем их
         if (validationErrors.length > 0) {
-            report += `. ОШИБКА ВАЛИДАЦИИ: ${validationErrors.join('; ')}`;
+            report += `. ${translate(locale, 'report.validationFailed', { errors: validationErrors.join('; ') })}`;
         } else {
             // Если валидация прошла успешно, показываем детали ходов
             if (detailedMovements.length === 1) {
                 report += `. ${detailedMovements[0]}`;
             } else {
-                report += `. Выполнены следующие ходы: ${detailedMovements.join('; ')}`;
+                report += `. ${translate(locale, 'report.multipleMoves', { moves: detailedMovements.join('; ') })}`;
             }
         }
     }
@@ -238,8 +311,117 @@ function generateMoveReport(differences, gameState = null, validationErrors = []
     return report;
 }
 
+/**
+ * Определяет тип события и триггерную клетку для перемещения фишки
+ * @param {Object} movement - Объект с информацией о перемещении
+ * @param {Object} gameState - Текущее состояние игры
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {Object} {type, triggerCell}
+ * @description Классификация совпадает с текстовым отчетом analyzePieceMovement
+ */
+function classifyPieceMovement(movement, gameState, board = DEFAULT_BOARD) {
+    const { player, from, to } = movement;
+    const fromZone = getZoneType(from, player, board);
+    const toZone = getZoneType(to, player, board);
+
+    if (isPieceCaptured(movement, board)) {
+        return { type: MOVE_EVENT_TYPES.CAPTURED, triggerCell: null };
+    }
+
+    if (fromZone.type === 'waiting') {
+        return { type: MOVE_EVENT_TYPES.ENTER_BOARD, triggerCell: null };
+    }
+
+    if (fromZone.type === 'prison') {
+        const sourceTrigger = getSourceTriggerCell(from, board);
+        return { type: MOVE_EVENT_TYPES.LEAVE_PRISON, triggerCell: sourceTrigger ? sourceTrigger.trigger : null };
+    }
+
+    if (toZone.type === 'prison' || toZone.type === 'temple') {
+        const triggerData = getTriggerCell(to, board);
+        return {
+            type: toZone.type === 'prison' ? MOVE_EVENT_TYPES.ENTER_PRISON : MOVE_EVENT_TYPES.ENTER_TEMPLE,
+            triggerCell: triggerData ? triggerData.trigger : null
+        };
+    }
+
+    if (fromZone.type === 'teleport') {
+        return { type: MOVE_EVENT_TYPES.TELEPORT, triggerCell: from };
+    }
+
+    if (toZone.type === 'home') {
+        const entered = gameState ? areSubsequentHomeCellsOccupied(gameState, player, to, board) : false;
+        return { type: entered ? MOVE_EVENT_TYPES.HOME_ENTERED : MOVE_EVENT_TYPES.HOME_HIDDEN, triggerCell: null };
+    }
+
+    // Выход из храма - обычное перемещение, отсчитываемое от триггерной клетки храма
+    if (fromZone.type === 'temple') {
+        const sourceTrigger = getSourceTriggerCell(from, board);
+        return { type: MOVE_EVENT_TYPES.MOVE, triggerCell: sourceTrigger ? sourceTrigger.trigger : null };
+    }
+
+    return { type: MOVE_EVENT_TYPES.MOVE, triggerCell: null };
+}
+
+/**
+ * Формирует структурированный список событий хода для клиентов и аналитики
+ * @param {Object} differences - Объект с различиями между состояниями
+ * @param {Object} gameState - Текущее состояние игры
+ * @param {Array} diceAssignments - Распределение кубиков по перемещениям (validateDiceBudget)
+ * @param {Array} captures - Подтвержденные взятия {cell, capturer, captured} (validateCaptures)
+ * @param {Object} ruleset - Правила игры (доска)
+ * @returns {Array} Массив событий {type, player, piece, pieceId, from, to, distance, dieUsed, diceValues, triggerCell}
+ * @description Для съеденных фишек событие дополнительно содержит capturedBy
+ */
+function generateMoveEvents(differences, gameState = null, diceAssignments = [], captures = [], ruleset = DEFAULT_RULESET) {
+    const board = getRulesetBoard(ruleset);
+
+    return differences.pieceMovements.map(movement => {
+        const { player, piece, pieceId, from, to } = movement;
+        const { type, triggerCell } = classifyPieceMovement(movement, gameState, board);
+
+        const event = {
+            type: type,
+            player: player,
+            piece: piece,
+            pieceId: pieceId || null,
+            from: from,
+            to: to,
+            distance: null,
+            dieUsed: null,
+            diceValues: [],
+            triggerCell: triggerCell
+        };
+
+        if (type === MOVE_EVENT_TYPES.CAPTURED) {
+            const capture = captures.find(entry => entry.captured.player === player && entry.captured.piece === piece);
+            event.capturedBy = capture ? capture.capturer : null;
+            return event;
+        }
+
+        // Фишка может пройти за ход несколько отрезков (ход по одной фишке), поэтому отрезок ищется по from и to
+        const assignment = diceAssignments.find(entry =>
+            entry.player === player && entry.piece === piece && entry.from === from && entry.to === to
+        );
+        if (assignment) {
+            event.distance = assignment.steps;
+            event.dieUsed = assignment.dieUsed;
+            event.diceValues = assignment.diceValues;
+        } else {
+            // Без распределения кубиков (например, ход не прошел валидацию) считаем путь по полю
+            const entersZone = type === MOVE_EVENT_TYPES.ENTER_PRISON || type === MOVE_EVENT_TYPES.ENTER_TEMPLE;
+            const distance = calculateGamePathDistance(from, entersZone && triggerCell ? triggerCell : to, player, board);
+            event.distance = Number.isFinite(distance) ? distance : null;
+        }
+
+        return event;
+    });
+}
+
 module.exports = {
+    MOVE_EVENT_TYPES,
     analyzePieceMovement,
+    generateMoveEvents,
     generateMoveReport,
     areSubsequentHomeCellsOccupied
 };
\ No newline at end of file
@@ -0,0 +1,337 @@
+// ruleset.js
+// Модуль правил отдельной игры (хранятся в поле ruleset записи игры и не меняются после запуска)
+
+const {
+    THROW_MODES,
+    COWRIE_COUNTS,
+    DEFAULT_COWRIE_COUNT,
+    isThrowModeSupported,
+    getPossibleThrowValues
+} = require('../../dice');
+const { DEFAULT_BOARD_ID, isBoardAvailable } = require('./boards');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+/**
+ * Способы использования броска: каждый кубик отдельно и сумма двух кубиков
+ */
+const DICE_OPTIONS = {
+    DICE1: 'dice1',
+    DICE2: 'dice2',
+    SUM: 'sum'
+};
+
+/**
+ * Типы зон, которые можно объявить защищенными от взятия (см. getZoneType)
+ */
+const CAPTURE_ZONE_TYPES = ['starting', 'temple', 'home', 'prison', 'movementStart', 'teleport', 'field'];
+
+/**
+ * Что происходит, когда время хода истекло (см. turnTimer)
+ * pass - ход передается следующему игроку
+ * bot - за игрока ходит бот
+ */
+const TURN_TIMEOUT_ACTIONS = {
+    PASS: 'pass',
+    BOT: 'bot'
+};
+
+/**
+ * Допустимое время на ход в секундах (0 - без ограничения)
+ */
+const TURN_TIME_LIMIT_RANGE = { min: 5, max: 86400 };
+
+/**
+ * Правила по умолчанию (классический Чаупар)
+ */
+const DEFAULT_RULESET = {
+    // Чем бросают: два кубика или ракушки каури (см. dice.js)
+    throwMode: THROW_MODES.DICE,
+    // Число ракушек в броске каури
+    cowrieCount: DEFAULT_COWRIE_COUNT,
+    // Игровая доска: классическая или альтернативная из каталога досок (см. boards.js)
+    board: DEFAULT_BOARD_ID,
+    // Значения кубика, с которыми фишка выходит из зоны ожидания
+    waitingExitValues: [1],
+    // Значения кубика, с которыми фишка выходит из тюрьмы
+    prisonExitValues: [6],
+    // Как можно потратить бросок
+    diceOptions: [DICE_OPTIONS.DICE1, DICE_OPTIONS.DICE2, DICE_OPTIONS.SUM],
+    // Дополнительный ход при дубле на кубиках
+    extraTurnOnDoubles: false,
+    // Дополнительный ход после взятия фишки соперника
+    extraTurnOnCapture: false,
+    // Можно ли съедать фишки соперников; без взятия фишки разных игроков стоят на одной клетке
+    capturesEnabled: true,
+    // Зоны, на которых фишку нельзя съесть
+    captureProtectedZones: ['starting', 'temple', 'home'],
+    // Партнеры (места 1 и 2, 3 и 4) делят место: пара финиширует, когда оба завели фишки в дом
+    partnersShareWin: false,
+    // Командная игра вчетвером: партнеры не едят друг друга, могут стоять на одной клетке и побеждают вместе
+    teamMode: false,
+    // Время на ход в секундах; 0 - ход не ограничен по времени
+    turnTimeLimitSeconds: 0,
+    // Что делать, когда время хода истекло: передать ход или сходить ботом за игрока
+    turnTimeoutAction: TURN_TIMEOUT_ACTIONS.PASS,
+    // После стольких истечений времени подряд игрок выбывает из игры; 0 - не выбывает
+    maxTurnTimeouts: 3
+};
+
+/**
+ * Правила по умолчанию, зависящие от режима броска: у каури нет единиц и шестерки выпадают редко,
+ * поэтому фишки выходят на большие броски
+ */
+const THROW_MODE_DEFAULTS = {
+    [THROW_MODES.COWRIE]: {
+        waitingExitValues: [6, 10, 25],
+        prisonExitValues: [25]
+    }
+};
+
+/**
+ * Правила, значения которых зависят от режима броска
+ */
+const THROW_DEPENDENT_RULES = ['waitingExitValues', 'prisonExitValues'];
+
+/**
+ * Правила, которые раньше хранились в настройках игры (settings) - учитываются для старых игр
+ */
+const LEGACY_SETTINGS_RULES = ['extraTurnOnDoubles', 'extraTurnOnCapture', 'captureProtectedZones'];
+
+/**
+ * Получает значения, которые может дать бросок по правилам игры
+ * @param {Object} ruleset - Правила игры (throwMode, cowrieCount)
+ * @returns {Array<number>} Возможные значения одного броска
+ */
+function getRulesetThrowValues(ruleset) {
+    return getPossibleThrowValues(ruleset.throwMode, ruleset);
+}
+
+/**
+ * Проверяет список значений броска
+ * @param {*} values - Проверяемое значение
+ * @param {Object} ruleset - Правила игры (режим броска)
+ * @returns {boolean} true если это непустой массив разных значений, которые может дать бросок
+ */
+function isThrowValueList(values, ruleset) {
+    const possible = getRulesetThrowValues(ruleset);
+
+    return Array.isArray(values) &&
+        values.length > 0 &&
+        new Set(values).size === values.length &&
+        values.every(value => possible.includes(value));
+}
+
+/**
+ * Проверки значений правил и описание ожидаемого значения для сообщения об ошибке
+ * isValid(value, ruleset) получает остальные правила - значения выхода зависят от режима броска.
+ * expected - ключ описания в разделе rulesetExpected каталогов i18n, params(ruleset) - его параметры
+ */
+const RULE_CHECKS = {
+    throwMode: {
+        isValid: value => isThrowModeSupported(value),
+        expected: 'throwMode',
+        params: () => ({ values: Object.values(THROW_MODES).join(', ') })
+    },
+    cowrieCount: {
+        isValid: value => COWRIE_COUNTS.includes(value),
+        expected: 'cowrieCount',
+        params: () => ({ values: COWRIE_COUNTS.join(', ') })
+    },
+    board: {
+        isValid: value => isBoardAvailable(value),
+        expected: 'board'
+    },
+    waitingExitValues: {
+        isValid: isThrowValueList,
+        expected: 'throwValues',
+        params: ruleset => ({ values: getRulesetThrowValues(ruleset).join(', ') })
+    },
+    prisonExitValues: {
+        isValid: isThrowValueList,
+        expected: 'throwValues',
+        params: ruleset => ({ values: getRulesetThrowValues(ruleset).join(', ') })
+    },
+    diceOptions: {
+        // Кубики равноправны: оставшийся после хода кубик всегда считается как dice1
+        isValid: value => Array.isArray(value) &&
+            value.length > 0 &&
+            new Set(value).size === value.length &&
+            value.every(option => Object.values(DICE_OPTIONS).includes(option)) &&
+            value.includes(DICE_OPTIONS.DICE1) === value.includes(DICE_OPTIONS.DICE2),
+        expected: 'diceOptions',
+        params: () => ({ values: Object.values(DICE_OPTIONS).join(', ') })
+    },
+    extraTurnOnDoubles: { isValid: value => typeof value === 'boolean', expected: 'boolean' },
+    extraTurnOnCapture: { isValid: value => typeof value === 'boolean', expected: 'boolean' },
+    capturesEnabled: { isValid: value => typeof value === 'boolean', expected: 'boolean' },
+    captureProtectedZones: {
+        isValid: value => Array.isArray(value) && value.every(zone => CAPTURE_ZONE_TYPES.includes(zone)),
+        expected: 'captureProtectedZones',
+        params: () => ({ values: CAPTURE_ZONE_TYPES.join(', ') })
+    },
+    partnersShareWin: { isValid: value => typeof value === 'boolean', expected: 'boolean' },
+    teamMode: { isValid: value => typeof value === 'boolean', expected: 'boolean' },
+    turnTimeLimitSeconds: {
+        isValid: value => Number.isInteger(value) &&
+            (value === 0 || (value >= TURN_TIME_LIMIT_RANGE.min && value <= TURN_TIME_LIMIT_RANGE.max)),
+        expected: 'turnTimeLimitSeconds',
+        params: () => ({ ...TURN_TIME_LIMIT_RANGE })
+    },
+    turnTimeoutAction: {
+        isValid: value => Object.values(TURN_TIMEOUT_ACTIONS).includes(value),
+        expected: 'turnTimeoutAction',
+        params: () => ({ values: Object.values(TURN_TIMEOUT_ACTIONS).join(', ') })
+    },
+    maxTurnTimeouts: {
+        isValid: value => Number.isInteger(value) && value >= 0,
+        expected: 'maxTurnTimeouts'
+    }
+};
+
+/**
+ * Объединяет сохраненные правила игры с правилами по умолчанию
+ * @param {Object|null} storedRuleset - Правила из поля ruleset
+ * @param {Object|null} legacySettings - Настройки игры (settings), в которых у старых игр хранились часть правил
+ * @returns {Object} Полный объект правил; некорректные сохраненные значения заменяются значениями по умолчанию,
+ * кроме доски: идентификатор незагруженной доски остается в правилах
+ */
+function resolveRuleset(storedRuleset, legacySettings = null) {
+    const legacyRules = {};
+
+    LEGACY_SETTINGS_RULES
+        .filter(key => legacySettings && legacySettings[key] !== undefined)
+        .forEach(key => {
+            legacyRules[key] = legacySettings[key];
+        });
+
+    const merged = { ...legacyRules, ...(storedRuleset || {}) };
+    const ruleset = {};
+
+    // Режим броска идет первым в DEFAULT_RULESET - от него зависят значения по умолчанию и проверки остальных правил
+    Object.keys(DEFAULT_RULESET).forEach(key => {
+        const defaults = { ...DEFAULT_RULESET, ...(THROW_MODE_DEFAULTS[ruleset.throwMode] || {}) };
+        ruleset[key] = merged[key] !== undefined && RULE_CHECKS[key].isValid(merged[key], ruleset)
+            ? merged[key]
+            : defaults[key];
+    });
+
+    // Незагруженная доска не заменяется классической: игра на ней отклоняется (см. validateRulesetBoard)
+    if (typeof merged.board === 'string' && merged.board !== '') {
+        ruleset.board = merged.board;
+    }
+
+    return ruleset;
+}
+
+/**
+ * Применяет изменения к правилам игры
+ * @param {Object} current - Текущие правила
+ * @param {Object} changes - Изменяемые правила
+ * @returns {Object} Правила с изменениями (не проверенные - см. validateRulesetChanges)
+ * @description При смене режима броска значения выхода, не указанные в изменениях,
+ * сбрасываются к значениям по умолчанию для нового режима
+ */
+function applyRulesetChanges(current, changes) {
+    const merged = { ...current, ...changes };
+
+    if (changes.throwMode !== undefined && changes.throwMode !== current.throwMode) {
+        THROW_DEPENDENT_RULES
+            .filter(key => changes[key] === undefined)
+            .forEach(key => {
+                delete merged[key];
+            });
+    }
+
+    return merged;
+}
+
+/**
+ * Получает правила игры по записи из хранилища
+ * @param {Object} record - Запись игры {ruleset, settings}
+ * @returns {Object} Полный объект правил
+ */
+function getGameRuleset(record) {
+    return resolveRuleset(record && record.ruleset, record && record.settings);
+}
+
+/**
+ * Формирует результат неуспешной проверки правил
+ * @param {string} locale - Язык сообщения
+ * @param {string} variant - Вариант сообщения errors.INVALID_RULESET в каталогах i18n
+ * @param {Object} [params] - Параметры сообщения
+ * @returns {Object} Объект {isValid: false, errorMessage, error}
+ */
+function invalidRuleset(locale, variant, params = {}) {
+    return {
+        isValid: false,
+        errorMessage: translate(locale, 'errors.INVALID_RULESET', { ...params, variant }),
+        error: 'INVALID_RULESET'
+    };
+}
+
+/**
+ * Проверяет присланные правила игры
+ * @param {Object} changes - Изменяемые правила
+ * @param {Object} current - Текущие правила игры (по умолчанию - правила новой игры)
+ * @param {string} [locale] - Язык сообщения об ошибке
+ * @returns {Object} Объект с результатом проверки {isValid, errorMessage, error}
+ */
+function validateRulesetChanges(changes, current = DEFAULT_RULESET, locale = DEFAULT_LOCALE) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return invalidRuleset(locale, 'notObject');
+    }
+
+    const unknownKeys = Object.keys(changes).filter(key => !(key in DEFAULT_RULESET));
+    if (unknownKeys.length > 0) {
+        return invalidRuleset(locale, 'unknown', { rules: unknownKeys.join(', ') });
+    }
+
+    // Проверяем правила вместе с оставшимися: смена режима броска может сделать старые значения выхода невозможными
+    const merged = applyRulesetChanges(current, changes);
+    const context = resolveRuleset(merged);
+    const invalidKey = Object.keys(merged).find(key => !RULE_CHECKS[key].isValid(merged[key], context));
+
+    if (invalidKey) {
+        const { expected, params } = RULE_CHECKS[invalidKey];
+        return invalidRuleset(locale, 'invalidRule', {
+            rule: invalidKey,
+            expected: translate(locale, `rulesetExpected.${expected}`, params ? params(context) : {})
+        });
+    }
+
+    return { isValid: true, errorMessage: null, error: null };
+}
+
+/**
+ * Проверяет, что доска сохраненной игры загружена
+ * @param {Object} ruleset - Полные правила игры
+ * @param {string} [locale] - Язык сообщения об ошибке
+ * @returns {Object} Объект с результатом проверки {isValid, errorMessage, error}
+ * @description Правила проверяются при сохранении, но доска могла пропасть позже - при перезапуске
+ * сервера без ее файла. Такую игру нельзя продолжать на другой доске: пути и зоны у нее свои
+ */
+function validateRulesetBoard(ruleset, locale = DEFAULT_LOCALE) {
+    if (isBoardAvailable(ruleset.board)) {
+        return { isValid: true, errorMessage: null, error: null };
+    }
+
+    return {
+        isValid: false,
+        errorMessage: translate(locale, 'errors.BOARD_UNAVAILABLE', { board: ruleset.board }),
+        error: 'BOARD_UNAVAILABLE'
+    };
+}
+
+module.exports = {
+    DICE_OPTIONS,
+    CAPTURE_ZONE_TYPES,
+    TURN_TIMEOUT_ACTIONS,
+    DEFAULT_RULESET,
+    LEGACY_SETTINGS_RULES,
+    resolveRuleset,
+    applyRulesetChanges,
+    getRulesetThrowValues,
+    getGameRuleset,
+    validateRulesetChanges,
+    validateRulesetBoard
+};
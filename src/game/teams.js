@@ -0,0 +1,74 @@
+// teams.js
+// Модуль командной игры: партнерами играют места напротив друг друга
+
+/**
+ * Команды: места 1 и 2, 3 и 4 сидят напротив друг друга (ход идет 1 → 3 → 2 → 4)
+ */
+const TEAMS = [
+    { team: 1, players: [1, 2] },
+    { team: 2, players: [3, 4] }
+];
+
+/**
+ * Находит номер команды игрока
+ * @param {number} player - Номер игрока (1-4)
+ * @returns {number|null} Номер команды или null для неизвестного места
+ */
+function getTeamOf(player) {
+    const entry = TEAMS.find(team => team.players.includes(Number(player)));
+    return entry ? entry.team : null;
+}
+
+/**
+ * Находит партнера игрока
+ * @param {number} player - Номер игрока (1-4)
+ * @returns {number|null} Номер места партнера или null
+ */
+function getPartner(player) {
+    const entry = TEAMS.find(team => team.players.includes(Number(player)));
+    return entry ? entry.players.find(member => member !== Number(player)) : null;
+}
+
+/**
+ * Проверяет, играют ли два игрока в одной команде по правилам игры
+ * @param {number} playerA - Первый игрок
+ * @param {number} playerB - Второй игрок
+ * @param {Object} ruleset - Правила игры (teamMode)
+ * @returns {boolean} true если включена командная игра и игроки - партнеры
+ */
+function arePartners(playerA, playerB, ruleset) {
+    return Boolean(ruleset && ruleset.teamMode) && getPartner(playerA) === Number(playerB);
+}
+
+/**
+ * Проверяет, что за доской сидят обе команды целиком
+ * @param {Array<number>} players - Номера мест игры
+ * @returns {boolean} true если заняты все четыре места
+ */
+function hasFullTeams(players) {
+    return TEAMS.every(team => team.players.every(member => players.includes(member)));
+}
+
+/**
+ * Формирует список команд для ответа API
+ * @param {Array} seats - Места игры [{player, color}]
+ * @returns {Array} Команды [{team, players: [{player, color}]}]
+ */
+function describeTeams(seats) {
+    return TEAMS.map(team => ({
+        team: team.team,
+        players: team.players
+            .map(player => seats.find(seat => seat.player === player))
+            .filter(Boolean)
+            .map(seat => ({ player: seat.player, color: seat.color }))
+    }));
+}
+
+module.exports = {
+    TEAMS,
+    getTeamOf,
+    getPartner,
+    arePartners,
+    hasFullTeams,
+    describeTeams
+};
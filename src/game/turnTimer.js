@@ -0,0 +1,290 @@
+// turnTimer.js
+// Модуль часов хода: когда время хода истекло, сервер передает ход, ходит ботом за игрока
+// или, после нескольких истечений подряд, исключает игрока из игры
+
+const { getStorage, loadGame, updateGameWithHistory, withGameLock } = require('../storage');
+const { buildPassState } = require('./gameStateManager');
+const { updateStandingsAfterForfeit } = require('./winDetector');
+const { GAME_STATUSES, isGameActive, startTurnClock } = require('./gameLifecycle');
+const { resolveGameSettings } = require('./gameSettings');
+const { TURN_TIMEOUT_ACTIONS, getGameRuleset } = require('./ruleset');
+const { playTurnForPlayer, scheduleBotTurn } = require('./botRunner');
+const { translate } = require('../i18n');
+
+/**
+ * Итоги истечения времени хода: действие из правил игры (pass, bot) или выбывание игрока
+ */
+const TURN_TIMEOUT_RESULTS = {
+    ...TURN_TIMEOUT_ACTIONS,
+    FORFEIT: 'forfeit'
+};
+
+// Запланированные таймеры по играм: chprId -> {timer, expiresAt}
+const timers = new Map();
+
+// Обработчики событий истечения времени (рассылка игрокам)
+let handlers = {
+    onTimeout: () => {}
+};
+
+/**
+ * Задает обработчики событий истечения времени хода
+ * @param {Object} options - Обработчики
+ * @param {Function} [options.onTimeout] - (chprId, result) вызывается после обработки истечения времени
+ */
+function initTurnTimer(options = {}) {
+    handlers = { ...handlers, ...options };
+}
+
+/**
+ * Планирует обработку истечения времени по часам хода игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object|null} turnClock - Часы хода {player, startedAt, expiresAt}; null - снять таймер
+ * @description Повторный вызов с теми же часами ничего не делает, с новыми - переставляет таймер.
+ * Таймеры живут в памяти процесса: после перезапуска сервера их восстанавливает resumeTurnTimers,
+ * а уже истекшие часы обрабатываются сразу
+ */
+function scheduleTurnTimer(chprId, turnClock) {
+    const scheduled = timers.get(chprId);
+
+    if (scheduled && turnClock && scheduled.expiresAt === turnClock.expiresAt) return;
+
+    if (scheduled) {
+        clearTimeout(scheduled.timer);
+        timers.delete(chprId);
+    }
+
+    if (!turnClock) return;
+
+    const delay = Math.max(0, Date.parse(turnClock.expiresAt) - Date.now());
+    const timer = setTimeout(async () => {
+        timers.delete(chprId);
+
+        try {
+            await expireTurn(chprId);
+        } catch (error) {
+            console.error('Ошибка при обработке истечения времени хода:', error);
+        }
+    }, delay);
+
+    timers.set(chprId, { timer, expiresAt: turnClock.expiresAt });
+}
+
+/**
+ * Восстанавливает таймеры хода активных игр (выполняется при запуске сервера)
+ * @returns {Promise<Object>} Объект с результатом {success, scheduled} или {success: false, error}
+ * @description Без этого часы игры, в которую после перезапуска никто не заходит, никогда бы не истекли
+ */
+async function resumeTurnTimers() {
+    const { data, error } = await getStorage().listGames({ status: GAME_STATUSES.ACTIVE });
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    const games = (data || []).filter(record => record.turnClock);
+    games.forEach(record => scheduleTurnTimer(record.chprId, record.turnClock));
+
+    return { success: true, scheduled: games.length };
+}
+
+/**
+ * Снимает таймер хода игры (игра завершена или отменена)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ */
+function cancelTurnTimer(chprId) {
+    scheduleTurnTimer(chprId, null);
+}
+
+/**
+ * Обрабатывает истечение времени хода: записывает его, рассылает игрокам и продолжает игру
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object|null>} Результат applyTurnTimeout или null если время хода не истекло
+ * @description При действии bot ход за игрока делается после снятия блокировки игры
+ * теми же шагами, что и ход бота, - с броском, общей валидацией и записью в историю
+ */
+async function expireTurn(chprId) {
+    const expired = await withGameLock(chprId, () => applyTurnTimeout(chprId));
+    if (!expired) {
+        return null;
+    }
+
+    if (!expired.success) {
+        console.error(`Не удалось обработать истечение времени хода в игре ${chprId}:`, expired.error);
+        return expired;
+    }
+
+    handlers.onTimeout(chprId, expired);
+    scheduleTurnTimer(chprId, expired.turnClock);
+
+    if (expired.action === TURN_TIMEOUT_RESULTS.BOT) {
+        const result = await playTurnForPlayer(chprId, expired.player, { timeout: expired.timeout });
+        if (result && result.success) {
+            scheduleTurnTimer(chprId, result.turnClock);
+        }
+    }
+
+    // Следующим может ходить бот
+    scheduleBotTurn(chprId);
+
+    return expired;
+}
+
+/**
+ * Отмечает игрока выбывшим в порядке хода
+ * @param {Array} playersOrder - Порядок игроков из состояния игры
+ * @param {number} player - Выбывший игрок
+ * @returns {Array} Порядок игроков, в котором у выбывшего стоит forfeited: true
+ */
+function markForfeitedInOrder(playersOrder, player) {
+    return (playersOrder || []).map(entry => {
+        const info = typeof entry === 'object' && entry !== null ? entry : { player: entry };
+        return Number(info.player) === player ? { ...info, forfeited: true } : entry;
+    });
+}
+
+/**
+ * Обрабатывает истечение времени хода (выполняется под блокировкой игры)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object|null>} null - часы уже сменились или время еще не истекло;
+ * иначе {success, message, player, action, timeouts, maxTimeouts, timeout, turnClock} и для pass и forfeit -
+ * {version, nextPlayer, gameState, roll, gameFinished}
+ * @description Ход, начатый отдельными перемещениями, при передаче хода не отменяется: принятые перемещения
+ * остаются на доске и попадают в запись истории. Дополнительного хода истечение времени не дает
+ */
+async function applyTurnTimeout(chprId) {
+    const loaded = await loadGame(chprId);
+    if (!loaded.success) {
+        return loaded;
+    }
+
+    const { record } = loaded;
+    const clock = record.turnClock;
+
+    if (!isGameActive(record) || !clock || !record.gameState ||
+        clock.player !== record.gameState.currentPlayer || Date.parse(clock.expiresAt) > Date.now()) {
+        return null;
+    }
+
+    const ruleset = getGameRuleset(record);
+    const locale = resolveGameSettings(record.settings).locale;
+    const storage = getStorage();
+    const now = new Date();
+    const updatedAt = now.toISOString();
+
+    const player = clock.player;
+    const timeouts = ((record.turnTimeouts || {})[player] || 0) + 1;
+    const turnTimeouts = { ...(record.turnTimeouts || {}), [player]: timeouts };
+    const forfeit = ruleset.maxTurnTimeouts > 0 && timeouts >= ruleset.maxTurnTimeouts;
+    const action = forfeit ? TURN_TIMEOUT_RESULTS.FORFEIT : ruleset.turnTimeoutAction;
+    const timeout = { player, timeouts, action, expiredAt: clock.expiresAt };
+
+    const storageFailed = error => (error && error.code === 'HISTORY_WRITE_FAILED'
+        ? { success: false, message: translate(locale, 'messages.historySaveFailed'), error: error.code }
+        : {
+            success: false,
+            message: translate(locale, 'messages.storageUpdateFailed'),
+            error: error ? error.message : 'RECORD_NOT_FOUND'
+        });
+
+    // Ход за игрока сделает бот; пока он не сходил, у игрока идут новые часы
+    if (action === TURN_TIMEOUT_RESULTS.BOT) {
+        const turnClock = startTurnClock(record, player, now);
+        const { data, error } = await storage.updateGame(chprId, { turnClock, turnTimeouts, updatedAt },
+            { expectedVersion: record.version || 0 });
+        if (error || !data) {
+            return storageFailed(error);
+        }
+
+        return {
+            success: true,
+            message: translate(locale, 'messages.turnTimeoutBot', { player }),
+            ...timeout,
+            maxTimeouts: ruleset.maxTurnTimeouts,
+            timeout: timeout,
+            turnClock: turnClock
+        };
+    }
+
+    // Ход передается следующему игроку; брошенные кубики считаются использованными
+    const { turnState, roll, rollActive, pendingTurn } = buildPassState(record, player, ruleset);
+
+    let seats = record.seats || [];
+    let standingsUpdate = { standings: record.standings || [], gameFinished: false };
+
+    if (forfeit) {
+        seats = seats.map(seat => (seat.player === player ? { ...seat, forfeited: true, forfeitedAt: updatedAt } : seat));
+        turnState.playersOrder = markForfeitedInOrder(turnState.playersOrder, player);
+        standingsUpdate = updateStandingsAfterForfeit(seats, record.standings || [], ruleset);
+    }
+
+    const { gameFinished } = standingsUpdate;
+    const version = record.version || 0;
+    const updateFields = {
+        gameState: turnState,
+        version: version + 1,
+        turnClock: gameFinished ? null : startTurnClock({ ...record, seats }, turnState.currentPlayer, now),
+        turnTimeouts: turnTimeouts,
+        updatedAt: updatedAt
+    };
+
+    if (rollActive) {
+        updateFields.currentRoll = { ...roll, usedAt: updatedAt };
+    }
+    if (record.pendingTurn) {
+        updateFields.pendingTurn = null;
+    }
+    if (forfeit) {
+        updateFields.seats = seats;
+    }
+    if (gameFinished) {
+        updateFields.standings = standingsUpdate.standings;
+        updateFields.status = GAME_STATUSES.FINISHED;
+        updateFields.endedAt = updatedAt;
+    }
+
+    const message = forfeit
+        ? translate(locale, 'messages.turnTimeoutForfeit', { player, timeouts })
+        : translate(locale, 'messages.turnTimeoutPass', { player, nextPlayer: turnState.currentPlayer });
+
+    const { data, error } = await updateGameWithHistory(record, updateFields, updated => ({
+        type: forfeit ? 'forfeit' : 'timeout',
+        version: updated.version,
+        player: player,
+        nextPlayer: turnState.currentPlayer,
+        timeout: timeout,
+        message: message,
+        movements: pendingTurn ? pendingTurn.movements : [],
+        gameState: turnState,
+        roll: rollActive ? updateFields.currentRoll : null,
+        gameFinished: gameFinished
+    }), { expectedVersion: version });
+
+    if (error || !data) {
+        return storageFailed(error);
+    }
+
+    return {
+        success: true,
+        message: message,
+        ...timeout,
+        maxTimeouts: ruleset.maxTurnTimeouts,
+        timeout: timeout,
+        version: data.version,
+        nextPlayer: turnState.currentPlayer,
+        gameState: turnState,
+        roll: rollActive ? updateFields.currentRoll : roll || null,
+        turnClock: updateFields.turnClock,
+        gameFinished: gameFinished
+            ? { standings: standingsUpdate.standings, endedAt: updatedAt }
+            : null
+    };
+}
+
+module.exports = {
+    TURN_TIMEOUT_RESULTS,
+    initTurnTimer,
+    scheduleTurnTimer,
+    resumeTurnTimers,
+    cancelTurnTimer,
+    expireTurn
+};
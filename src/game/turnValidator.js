@@ -0,0 +1,324 @@
+// turnValidator.js
+// Модуль для валидации хода целиком (все перемещения фишек за один бросок)
+
+const { validateAllMoves, validateDiceBudget } = require('../validation/moveValidator');
+const { isPieceCaptured } = require('../validation/zoneDetector');
+const { validateCaptures } = require('../validation/captureValidator');
+const { getLegalMoves } = require('./legalMoves');
+const { DEFAULT_RULESET } = require('./ruleset');
+const { getRulesetBoard } = require('./boards');
+const { hasPlayerFinished } = require('./winDetector');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+/**
+ * Получает порядок игроков из состояния игры
+ * @param {Object} gameState - Состояние игры
+ * @param {Array|null} seats - Места из записи игры [{player, forfeited}]
+ * @returns {Array<number>} Номера игроков в порядке хода
+ * @description Игроки, выбывшие по времени (forfeited в playersOrder или на месте в записи игры), в очередь не входят
+ */
+function getPlayersOrder(gameState, seats = null) {
+    const forfeited = new Set((seats || []).filter(seat => seat.forfeited).map(seat => seat.player));
+
+    if (gameState && Array.isArray(gameState.playersOrder) && gameState.playersOrder.length > 0) {
+        return gameState.playersOrder
+            .filter(entry => !(typeof entry === 'object' && entry !== null && entry.forfeited))
+            .map(entry => (typeof entry === 'object' && entry !== null ? entry.player : entry))
+            .map(Number)
+            .filter(player => Number.isInteger(player) && !forfeited.has(player));
+    }
+
+    // Резервный вариант: игроки из piecesData по возрастанию номера
+    if (gameState && gameState.piecesData) {
+        return Object.keys(gameState.piecesData)
+            .map(key => parseInt(key))
+            .filter(player => Number.isInteger(player) && !forfeited.has(player))
+            .sort((a, b) => a - b);
+    }
+
+    return [];
+}
+
+/**
+ * Определяет игрока, который должен ходить следующим
+ * @param {Object} gameState - Состояние игры (playersOrder и позиции фишек)
+ * @param {number} player - Игрок, завершивший ход
+ * @param {Object} ruleset - Правила игры (доска)
+ * @param {Array<number>} [order] - Порядок игроков (по умолчанию из gameState)
+ * @returns {number|null} Номер следующего игрока или null если порядок неизвестен
+ * @description Игроки, все фишки которых уже в доме, пропускаются
+ */
+function getNextPlayer(gameState, player, ruleset = DEFAULT_RULESET, order = getPlayersOrder(gameState)) {
+    const index = order.indexOf(player);
+
+    if (index === -1) return null;
+
+    for (let offset = 1; offset <= order.length; offset++) {
+        const candidate = order[(index + offset) % order.length];
+        if (!hasPlayerFinished(gameState, candidate, getRulesetBoard(ruleset))) {
+            return candidate;
+        }
+    }
+
+    return order[(index + 1) % order.length];
+}
+
+/**
+ * Проверяет, что порядок игроков и отметки о выбывании в новом состоянии не изменились
+ * @param {Object|null} previousState - Предыдущее состояние игры
+ * @param {Object} newState - Новое состояние игры
+ * @returns {Object} Объект с результатом {isValid, errorMessage, error, errorParams}
+ * @description Порядок хода задается при старте игры, а выбывание отмечает только сервер (turnTimer)
+ */
+function validatePlayersOrder(previousState, newState) {
+    if (!previousState) {
+        return { isValid: true, errorMessage: null, error: null };
+    }
+
+    const describeOrder = gameState => JSON.stringify(((gameState && gameState.playersOrder) || []).map(entry => (
+        typeof entry === 'object' && entry !== null
+            ? [entry.player, entry.color || null, Boolean(entry.forfeited)]
+            : [entry, null, false]
+    )));
+
+    if (describeOrder(previousState) !== describeOrder(newState)) {
+        return {
+            isValid: false,
+            errorMessage: translate(DEFAULT_LOCALE, 'errors.PLAYERS_ORDER_CHANGED'),
+            error: 'PLAYERS_ORDER_CHANGED',
+            errorParams: {}
+        };
+    }
+
+    return { isValid: true, errorMessage: null, error: null };
+}
+
+/**
+ * Проверяет, что в новом состоянии у каждого игрока те же фишки, что и в предыдущем
+ * @param {Object|null} previousState - Предыдущее состояние игры
+ * @param {Object} newState - Новое состояние игры
+ * @returns {Object} Объект с результатом {isValid, errorMessage, error, errorParams}
+ * @description Фишки сравниваются по id и порядку: перемещения ищутся по индексу фишки,
+ * а финиш - по всем фишкам игрока, поэтому удаленная или добавленная фишка подделала бы и то и другое
+ */
+function validatePieceSet(previousState, newState) {
+    if (!previousState || !previousState.piecesData) {
+        return { isValid: true, errorMessage: null, error: null };
+    }
+
+    const previousPieces = previousState.piecesData;
+    const newPieces = (newState && newState.piecesData) || {};
+    const players = new Set([...Object.keys(previousPieces), ...Object.keys(newPieces)]);
+    const pieceIds = pieces => (Array.isArray(pieces) ? pieces.map(piece => (piece ? piece.id : null)).join(',') : null);
+
+    for (const player of players) {
+        if (pieceIds(previousPieces[player]) !== pieceIds(newPieces[player])) {
+            const errorParams = { player: player };
+            return {
+                isValid: false,
+                errorMessage: translate(DEFAULT_LOCALE, 'errors.PIECE_SET_CHANGED', errorParams),
+                error: 'PIECE_SET_CHANGED',
+                errorParams: errorParams
+            };
+        }
+    }
+
+    return { isValid: true, errorMessage: null, error: null };
+}
+
+/**
+ * Определяет, заработал ли игрок дополнительный ход по правилам игры
+ * @param {Object} differences - Различия между состояниями
+ * @param {Object} ruleset - Правила игры (extraTurnOnDoubles, extraTurnOnCapture)
+ * @returns {string|null} Причина дополнительного хода ('doubles', 'capture') или null
+ */
+function getExtraTurnReason(differences, ruleset) {
+    const roll = differences.diceRolls[0];
+
+    // Пропуск хода дополнительного хода не дает - иначе игрок без допустимых ходов не смог бы передать ход
+    if (differences.pieceMovements.length === 0) {
+        return null;
+    }
+
+    if (ruleset.extraTurnOnDoubles && roll && roll.dice1 === roll.dice2) {
+        return 'doubles';
+    }
+    if (ruleset.extraTurnOnCapture && differences.pieceMovements.some(movement => isPieceCaptured(movement, getRulesetBoard(ruleset)))) {
+        return 'capture';
+    }
+    return null;
+}
+
+/**
+ * Валидирует очередность хода: фишками ходит только активный игрок, ход передается следующему по playersOrder
+ * @param {Object} differences - Различия между состояниями (compareGameStates)
+ * @param {Object|null} previousState - Предыдущее состояние игры
+ * @param {Object} newState - Новое состояние игры
+ * @param {Object} ruleset - Правила игры (дополнительные ходы)
+ * @param {Array|null} seats - Места из записи игры [{player, forfeited}]
+ * @returns {Object} Объект с результатом {isValid, errorMessages, errors, extraTurn}
+ * @description Порядок и выбывшие игроки берутся из предыдущего состояния и мест игры, а не из присланного состояния
+ */
+function validateTurnOrder(differences, previousState, newState, ruleset = DEFAULT_RULESET, seats = null) {
+    const errors = [];
+
+    if (!previousState) {
+        return { isValid: true, errorMessages: [], errors: [], extraTurn: null };
+    }
+
+    const activePlayer = previousState.currentPlayer;
+    const hasServerRoll = differences.diceRolls.length > 0 && Boolean(differences.diceRolls[0].rollId);
+
+    // Чужими фишками ходить нельзя, кроме возврата съеденных фишек в зону ожидания
+    differences.pieceMovements
+        .filter(movement => movement.player !== activePlayer && !isPieceCaptured(movement, getRulesetBoard(ruleset)))
+        .forEach(movement => {
+            const params = {
+                piece: movement.pieceId || (movement.piece + 1),
+                player: movement.player,
+                activePlayer: activePlayer
+            };
+            errors.push({
+                code: 'NOT_ACTIVE_PLAYER_PIECE',
+                message: translate(DEFAULT_LOCALE, 'errors.NOT_ACTIVE_PLAYER_PIECE', params),
+                params: params,
+                player: movement.player,
+                pieceId: movement.pieceId,
+                from: movement.from,
+                to: movement.to
+            });
+        });
+
+    const turnTaken = hasServerRoll && (differences.pieceMovements.length > 0 || differences.playerChanged);
+    const extraTurn = turnTaken ? getExtraTurnReason(differences, ruleset) : null;
+
+    if (differences.playerChanged && !hasServerRoll) {
+        const params = { player: newState.currentPlayer, activePlayer: activePlayer };
+        errors.push({
+            code: 'TURN_WITHOUT_ROLL',
+            message: translate(DEFAULT_LOCALE, 'errors.TURN_WITHOUT_ROLL', params),
+            params: params
+        });
+    } else if (turnTaken) {
+        const expectedPlayer = extraTurn ? activePlayer : getNextPlayer(newState, activePlayer, ruleset, getPlayersOrder(previousState, seats));
+
+        if (expectedPlayer !== null && newState.currentPlayer !== expectedPlayer) {
+            const isRepeated = newState.currentPlayer === activePlayer;
+            const code = isRepeated ? 'TURN_REPEATED' : (extraTurn ? 'EXTRA_TURN_IGNORED' : 'TURN_SKIPPED');
+            const params = { player: newState.currentPlayer, activePlayer: activePlayer, expectedPlayer: expectedPlayer };
+            errors.push({
+                code: code,
+                message: translate(DEFAULT_LOCALE, `errors.${code}`, params),
+                params: params,
+                expectedPlayer: expectedPlayer,
+                currentPlayer: newState.currentPlayer
+            });
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errorMessages: errors.map(error => error.message),
+        errors: errors,
+        extraTurn: extraTurn
+    };
+}
+
+/**
+ * Проверяет, не остались ли неиспользованные кубики, которыми можно было сходить
+ * @param {Array} unusedDice - Неиспользованные кубики [{key, value}]
+ * @param {Object} gameState - Новое состояние игры (после перемещений)
+ * @param {number} player - Игрок, совершающий ход
+ * @param {Object} ruleset - Правила игры
+ * @returns {Object} Объект с результатом {isValid, errorMessages, errors}
+ */
+function validateUnusedDice(unusedDice, gameState, player, ruleset = DEFAULT_RULESET) {
+    if (unusedDice.length === 0 || !player) {
+        return { isValid: true, errorMessages: [], errors: [] };
+    }
+
+    // Если не использован ни один кубик, учитываем и ход на их сумму
+    const dice = unusedDice.length === 2
+        ? { dice1: unusedDice[0].value, dice2: unusedDice[1].value }
+        : { dice1: unusedDice[0].value };
+
+    const legalMoves = getLegalMoves(gameState, player, dice, ruleset);
+
+    if (legalMoves.length === 0) {
+        return { isValid: true, errorMessages: [], errors: [] };
+    }
+
+    const params = { dice: unusedDice.map(die => die.value).join(', ') };
+    const message = translate(DEFAULT_LOCALE, 'errors.UNUSED_DICE_WITH_LEGAL_MOVES', params);
+
+    return {
+        isValid: false,
+        errorMessages: [message],
+        errors: [{
+            code: 'UNUSED_DICE_WITH_LEGAL_MOVES',
+            message: message,
+            params: params,
+            unusedDice: unusedDice,
+            legalMoves: legalMoves.map(move => ({
+                pieceId: move.pieceId,
+                from: move.from,
+                to: move.to,
+                dieUsed: move.dieUsed
+            }))
+        }]
+    };
+}
+
+/**
+ * Комплексная валидация хода: очередность, каждое перемещение отдельно, взятия и расход кубиков за ход
+ * @param {Object} differences - Различия между состояниями (compareGameStates)
+ * @param {Object} gameState - Новое состояние игры
+ * @param {Object|null} previousState - Предыдущее состояние игры
+ * @param {Object} ruleset - Правила игры (см. ruleset)
+ * @param {Array|null} seats - Места из записи игры [{player, forfeited}]
+ * @returns {Object} Объект с результатом {isValid, errorMessages, errors, captures, diceAssignments, unusedDice, extraTurn}
+ */
+function validateTurn(differences, gameState, previousState = null, ruleset = DEFAULT_RULESET, seats = null) {
+    const { pieceMovements, diceRolls } = differences;
+
+    const turnOrderResult = validateTurnOrder(differences, previousState, gameState, ruleset, seats);
+    const movesResult = validateAllMoves(pieceMovements, diceRolls, ruleset);
+    const capturesResult = validateCaptures(pieceMovements, ruleset);
+    const results = [turnOrderResult, movesResult, capturesResult];
+    let budgetResult = { assignments: [], unusedDice: [] };
+
+    // Расход кубиков имеет смысл проверять, только если каждое перемещение корректно само по себе
+    if (movesResult.isValid) {
+        budgetResult = validateDiceBudget(pieceMovements, diceRolls, ruleset);
+        results.push(budgetResult);
+
+        // Остаток проверяем только по серверному броску
+        if (budgetResult.isValid && diceRolls.length > 0 && diceRolls[0].rollId) {
+            const player = diceRolls[0].player || (pieceMovements[0] && pieceMovements[0].player);
+            results.push(validateUnusedDice(budgetResult.unusedDice, gameState, player, ruleset));
+        }
+    }
+
+    const errorMessages = results.flatMap(result => result.errorMessages);
+
+    return {
+        isValid: errorMessages.length === 0,
+        errorMessages: errorMessages,
+        errors: results.flatMap(result => result.errors),
+        captures: capturesResult.captures,
+        diceAssignments: budgetResult.assignments,
+        unusedDice: budgetResult.unusedDice,
+        extraTurn: turnOrderResult.extraTurn
+    };
+}
+
+module.exports = {
+    validateTurn,
+    validateTurnOrder,
+    getPlayersOrder,
+    getNextPlayer,
+    getExtraTurnReason,
+    validateUnusedDice,
+    validatePieceSet,
+    validatePlayersOrder
+};
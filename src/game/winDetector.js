@@ -0,0 +1,168 @@
+// winDetector.js
+// Модуль для определения окончания игры и итоговых мест игроков
+
+const { DEFAULT_RULESET } = require('./ruleset');
+const { DEFAULT_BOARD, getRulesetBoard } = require('./boards');
+const { getPartner, getTeamOf } = require('./teams');
+
+/**
+ * Проверяет, дошли ли все фишки игрока до домашней зоны
+ * @param {Object} gameState - Состояние игры
+ * @param {number} player - Номер игрока
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {boolean} true если все фишки игрока стоят на клетках homeZones
+ */
+function hasPlayerFinished(gameState, player, board = DEFAULT_BOARD) {
+    const homeZone = board.homeZones[`player${player}`];
+    const pieces = gameState && gameState.piecesData && gameState.piecesData[player];
+
+    if (!homeZone || !homeZone.coordinates || !Array.isArray(pieces) || pieces.length === 0) {
+        return false;
+    }
+
+    return pieces.every(piece => piece && homeZone.coordinates.includes(piece.position));
+}
+
+/**
+ * Разбивает игроков на участников итоговой таблицы: по одному или парами партнеров
+ * @param {Array<number>} players - Номера всех игроков партии
+ * @param {Object} ruleset - Правила игры (partnersShareWin, teamMode)
+ * @returns {Array<Array<number>>} Участники таблицы - массивы номеров игроков
+ * @description Пара образуется, только если оба партнера сидят за доской
+ */
+function getStandingUnits(players, ruleset) {
+    if (!ruleset.partnersShareWin && !ruleset.teamMode) {
+        return players.map(player => [player]);
+    }
+
+    const units = [];
+    const grouped = new Set();
+
+    players.forEach(player => {
+        if (grouped.has(player)) return;
+
+        const partner = getPartner(player);
+        const unit = players.includes(partner) ? [player, partner] : [player];
+        unit.forEach(member => grouped.add(member));
+        units.push(unit);
+    });
+
+    return units;
+}
+
+/**
+ * Обновляет итоговую таблицу по новому состоянию игры
+ * @param {Object} gameState - Новое состояние игры
+ * @param {Array<number>} players - Номера всех игроков партии
+ * @param {Array} standings - Текущая таблица [{player, place, finishedAt}]; в командной игре и {team}
+ * @param {Object} ruleset - Правила игры (partnersShareWin, teamMode)
+ * @returns {Object} {standings, newlyFinished, gameFinished}
+ * @description Места раздаются в порядке завершения. При partnersShareWin и в командной игре пара
+ * партнеров получает одно место, когда оба завели фишки в дом. Когда незавершившим остается не больше одного
+ * участника, он получает последнее место и игра заканчивается
+ */
+function updateStandings(gameState, players, standings = [], ruleset = DEFAULT_RULESET) {
+    const finishedAt = new Date().toISOString();
+    const updated = [...standings];
+    const placed = new Set(updated.map(entry => entry.player));
+    const newlyFinished = [];
+    const units = getStandingUnits(players, ruleset);
+    const board = getRulesetBoard(ruleset);
+    const nextPlace = () => new Set(updated.map(entry => entry.place)).size + 1;
+    const createEntry = (player, place, time) => (ruleset.teamMode
+        ? { player, team: getTeamOf(player), place, finishedAt: time }
+        : { player, place, finishedAt: time });
+
+    units
+        .filter(unit => unit.some(player => !placed.has(player)) && unit.every(player => hasPlayerFinished(gameState, player, board)))
+        .forEach(unit => {
+            const place = nextPlace();
+            unit.filter(player => !placed.has(player)).forEach(player => {
+                const entry = createEntry(player, place, finishedAt);
+                updated.push(entry);
+                placed.add(player);
+                newlyFinished.push(entry);
+            });
+        });
+
+    const remaining = units.filter(unit => unit.some(player => !placed.has(player)));
+    const gameFinished = newlyFinished.length > 0 && remaining.length <= 1;
+
+    if (gameFinished && remaining.length === 1) {
+        const place = nextPlace();
+        remaining[0]
+            .filter(player => !placed.has(player))
+            .forEach(player => updated.push(createEntry(player, place, null)));
+    }
+
+    return {
+        standings: updated,
+        newlyFinished: newlyFinished,
+        gameFinished: gameFinished
+    };
+}
+
+/**
+ * Дописывает в конец итоговой таблицы игроков, выбывших по времени
+ * @param {Array} standings - Таблица участников, доигравших партию
+ * @param {Array} seats - Места игры [{player, forfeited, forfeitedAt}]
+ * @param {Object} ruleset - Правила игры (teamMode)
+ * @returns {Array} Таблица, в которой каждый выбывший получает отдельное место: выбывший позже стоит выше
+ */
+function appendForfeitedStandings(standings, seats, ruleset = DEFAULT_RULESET) {
+    const updated = [...standings];
+    const placed = new Set(updated.map(entry => entry.player));
+
+    (seats || [])
+        .filter(seat => seat.forfeited && !placed.has(seat.player))
+        .sort((a, b) => String(b.forfeitedAt || '').localeCompare(String(a.forfeitedAt || '')))
+        .forEach(seat => {
+            const place = new Set(updated.map(entry => entry.place)).size + 1;
+            const entry = { player: seat.player, place: place, finishedAt: null, forfeited: true };
+            updated.push(ruleset.teamMode ? { ...entry, team: getTeamOf(seat.player) } : entry);
+        });
+
+    return updated;
+}
+
+/**
+ * Обновляет итоговую таблицу после выбывания игрока по времени
+ * @param {Array} seats - Места игры с уже отмеченным выбывшим игроком [{player, forfeited}]
+ * @param {Array} standings - Текущая таблица
+ * @param {Object} ruleset - Правила игры (partnersShareWin, teamMode)
+ * @returns {Object} {standings, gameFinished}
+ * @description Пока играют хотя бы два участника, игра продолжается и таблица не меняется.
+ * Иначе оставшийся участник занимает следующее место, за ним идут выбывшие
+ */
+function updateStandingsAfterForfeit(seats, standings = [], ruleset = DEFAULT_RULESET) {
+    const players = (seats || []).filter(seat => !seat.forfeited).map(seat => seat.player);
+    const placed = new Set(standings.map(entry => entry.player));
+    const remaining = getStandingUnits(players, ruleset).filter(unit => unit.some(player => !placed.has(player)));
+
+    if (remaining.length > 1) {
+        return { standings: standings, gameFinished: false };
+    }
+
+    const updated = [...standings];
+    if (remaining.length === 1) {
+        const place = new Set(updated.map(entry => entry.place)).size + 1;
+        remaining[0]
+            .filter(player => !placed.has(player))
+            .forEach(player => updated.push(ruleset.teamMode
+                ? { player, team: getTeamOf(player), place, finishedAt: null }
+                : { player, place, finishedAt: null }));
+    }
+
+    return {
+        standings: appendForfeitedStandings(updated, seats, ruleset),
+        gameFinished: true
+    };
+}
+
+module.exports = {
+    hasPlayerFinished,
+    getStandingUnits,
+    updateStandings,
+    appendForfeitedStandings,
+    updateStandingsAfterForfeit
+};
@@ -0,0 +1,186 @@
+// index.js
+// Модуль локализации отчетов о ходах и сообщений об ошибках (каталоги ru, en, hi)
+
+const catalogs = {
+    ru: require('./ru.json'),
+    en: require('./en.json'),
+    hi: require('./hi.json')
+};
+
+/**
+ * Язык по умолчанию: на нем написаны исходные сообщения сервера
+ */
+const DEFAULT_LOCALE = 'ru';
+
+/**
+ * Поддерживаемые языки
+ */
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+const pluralRulesCache = {};
+
+/**
+ * Приводит тег языка к поддерживаемому языку ("en-US" -> "en")
+ * @param {string} tag - Тег языка
+ * @returns {string|null} Поддерживаемый язык или null
+ */
+function normalizeLocale(tag) {
+    if (!tag || typeof tag !== 'string') return null;
+
+    const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Выбирает язык из заголовка Accept-Language с учетом весов q
+ * @param {string} header - Значение заголовка Accept-Language
+ * @returns {string|null} Первый поддерживаемый язык или null
+ */
+function parseAcceptLanguage(header) {
+    if (!header || typeof header !== 'string') return null;
+
+    const ranked = header.split(',')
+        .map((part, index) => {
+            const [tag, ...options] = part.trim().split(';');
+            const quality = options
+                .map(option => option.trim())
+                .find(option => option.startsWith('q='));
+            return {
+                locale: normalizeLocale(tag),
+                q: quality ? parseFloat(quality.slice(2)) : 1,
+                index: index
+            };
+        })
+        .filter(entry => entry.locale && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    return ranked.length > 0 ? ranked[0].locale : null;
+}
+
+/**
+ * Определяет язык ответа: первый поддерживаемый из кандидатов или язык по умолчанию
+ * @param {...string} candidates - Языки по убыванию приоритета (запрос, настройки игры)
+ * @returns {string} Поддерживаемый язык
+ */
+function resolveLocale(...candidates) {
+    for (const candidate of candidates) {
+        const locale = normalizeLocale(candidate);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Ищет запись каталога по ключу вида "errors.DICE_MISMATCH"
+ * @param {string} locale - Язык
+ * @param {string} key - Ключ сообщения
+ * @returns {string|Object|undefined} Шаблон, набор форм или undefined
+ */
+function lookup(locale, key) {
+    return key.split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        catalogs[locale]
+    );
+}
+
+/**
+ * Проверяет, есть ли сообщение в каталоге
+ * @param {string} key - Ключ сообщения
+ * @returns {boolean} true если сообщение есть в каталоге языка по умолчанию
+ */
+function hasMessage(key) {
+    return lookup(DEFAULT_LOCALE, key) !== undefined;
+}
+
+/**
+ * Выбирает форму множественного числа по правилам языка (Intl.PluralRules)
+ * @param {string} locale - Язык
+ * @param {number} count - Число
+ * @returns {string} Категория: one, few, many, other и т.д.
+ */
+function selectPluralForm(locale, count) {
+    if (!pluralRulesCache[locale]) {
+        pluralRulesCache[locale] = new Intl.PluralRules(locale);
+    }
+    return pluralRulesCache[locale].select(count);
+}
+
+/**
+ * Возвращает локализованное сообщение с подставленными параметрами
+ * @param {string} locale - Язык
+ * @param {string} key - Ключ сообщения
+ * @param {Object} params - Параметры шаблона ({name} в тексте)
+ * @returns {string} Готовый текст (ключ, если сообщения нет ни в одном каталоге)
+ * @description Если запись - набор форм, форма выбирается по params.variant,
+ * а для чисел - по params.count и правилам множественного числа языка
+ */
+function translate(locale, key, params = {}) {
+    const language = normalizeLocale(locale) || DEFAULT_LOCALE;
+    let entry = lookup(language, key);
+
+    if (entry === undefined) {
+        entry = lookup(DEFAULT_LOCALE, key);
+    }
+    if (entry === undefined) {
+        return key;
+    }
+
+    if (typeof entry === 'object') {
+        if (params.variant !== undefined && entry[params.variant] !== undefined) {
+            entry = entry[params.variant];
+        } else if (typeof params.count === 'number') {
+            entry = entry[selectPluralForm(language, params.count)] || entry.other;
+        } else {
+            entry = entry.other;
+        }
+    }
+
+    return String(entry).replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    );
+}
+
+/**
+ * Локализует структурированную ошибку по ее коду (errors.<code> в каталоге)
+ * @param {Object} error - Ошибка {code, message, params}
+ * @param {string} locale - Язык
+ * @returns {Object} Ошибка с переведенным message; ошибки без записи в каталоге не меняются
+ */
+function localizeError(error, locale) {
+    if (!error || !error.code || !hasMessage(`errors.${error.code}`)) {
+        return error;
+    }
+
+    return {
+        ...error,
+        message: translate(locale, `errors.${error.code}`, error.params || {})
+    };
+}
+
+/**
+ * Локализует результат валидации: ошибки и список сообщений
+ * @param {Object} result - Результат валидации {isValid, errorMessages, errors}
+ * @param {string} locale - Язык
+ * @returns {Object} Результат с переведенными сообщениями
+ */
+function localizeValidationResult(result, locale) {
+    const errors = (result.errors || []).map(error => localizeError(error, locale));
+
+    return {
+        ...result,
+        errors: errors,
+        errorMessages: errors.map(error => error.message)
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    normalizeLocale,
+    parseAcceptLanguage,
+    resolveLocale,
+    hasMessage,
+    translate,
+    localizeError,
+    localizeValidationResult
+};
@@ -0,0 +1,326 @@
+// gameSocket.js
+// Модуль Socket.IO для рассылки событий игры всем подключенным игрокам (одна комната на CHPR_id)
+// и событий лобби (общая комната лобби и личная комната игрока для быстрой игры)
+
+const { Server } = require('socket.io');
+const { getGameSnapshot } = require('../game/gameStateManager');
+const { listOpenGames } = require('../game/lobby');
+const { identifyPlayer } = require('../auth');
+
+/**
+ * События, которые сервер рассылает в комнату игры
+ */
+const GAME_EVENTS = {
+    GAME_STATE: 'gameState',
+    GAME_STATUS: 'gameStatus',
+    DICE_ROLLED: 'diceRolled',
+    MOVE_REPORT: 'moveReport',
+    GAME_FINISHED: 'gameFinished',
+    VALIDATION_FAILED: 'validationFailed',
+    TURN_TIMEOUT: 'turnTimeout',
+    SEATS_UPDATED: 'seatsUpdated'
+};
+
+/**
+ * События, которые сервер рассылает в лобби и лично игрокам
+ */
+const LOBBY_EVENTS = {
+    OPEN_GAMES: 'openGames',
+    LOBBY_GAME: 'lobbyGame',
+    QUEUE_UPDATED: 'queueUpdated',
+    MATCH_FOUND: 'matchFound'
+};
+
+// Комната лобби: все, кто смотрит список открытых игр
+const LOBBY_ROOM = 'lobby';
+
+let io = null;
+
+// Обработчики событий подключений (см. initGameSocket)
+let handlers = {
+    onUserOffline: () => {}
+};
+
+/**
+ * Формирует имя комнаты Socket.IO для игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {string} Имя комнаты
+ */
+function getGameRoom(chprId) {
+    return `game:${chprId}`;
+}
+
+/**
+ * Формирует имя личной комнаты игрока (уведомления быстрой игры)
+ * @param {string} userId - Идентификатор игрока
+ * @returns {string} Имя комнаты
+ */
+function getUserRoom(userId) {
+    return `user:${userId}`;
+}
+
+/**
+ * Отправляет клиенту актуальное состояние игры (при входе и переподключении)
+ * @param {Object} socket - Сокет клиента
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object>} Снимок игры из getGameSnapshot
+ */
+async function sendLatestState(socket, chprId) {
+    const snapshot = await getGameSnapshot(chprId);
+
+    if (snapshot.success) {
+        socket.emit(GAME_EVENTS.GAME_STATE, {
+            chprId: chprId,
+            status: snapshot.status,
+            version: snapshot.version,
+            gameState: snapshot.gameState,
+            roll: snapshot.roll,
+            turnClock: snapshot.turnClock,
+            updatedAt: snapshot.updatedAt
+        });
+    }
+
+    return snapshot;
+}
+
+/**
+ * Подключает Socket.IO к HTTP серверу и настраивает обработчики комнат
+ * @param {Object} httpServer - HTTP сервер, на котором работает Express
+ * @param {Object} [options] - Обработчики событий подключений
+ * @param {Function} [options.onUserOffline] - (userId) вызывается, когда закрыто последнее подключение
+ * опознанного в лобби игрока (например, чтобы убрать его из очереди быстрой игры)
+ * @returns {Object} Экземпляр Socket.IO сервера
+ */
+function initGameSocket(httpServer, options = {}) {
+    handlers = { ...handlers, ...options };
+    io = new Server(httpServer, {
+        cors: { origin: '*' } // Как и для HTTP API, разрешаем всем
+    });
+
+    io.on('connection', (socket) => {
+        // Вход в комнату игры: клиент сразу получает последнее состояние
+        socket.on('joinGame', async (payload = {}, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { chprId } = payload || {};
+
+            if (!chprId || typeof chprId !== 'string') {
+                return respond({
+                    success: false,
+                    message: 'Некорректный параметр chprId. Ожидается непустая строка.',
+                    error: 'INVALID_CHPR_ID'
+                });
+            }
+
+            try {
+                const snapshot = await sendLatestState(socket, chprId);
+
+                if (!snapshot.success) {
+                    return respond({
+                        success: false,
+                        message: snapshot.message,
+                        error: snapshot.error
+                    });
+                }
+
+                socket.join(getGameRoom(chprId));
+                respond({ success: true, chprId: chprId });
+            } catch (error) {
+                console.error('Ошибка при входе в комнату игры:', error);
+                respond({
+                    success: false,
+                    message: 'Внутренняя ошибка сервера при входе в игру',
+                    error: error.message
+                });
+            }
+        });
+
+        socket.on('leaveGame', (payload = {}, ack) => {
+            const { chprId } = payload || {};
+            if (chprId) {
+                socket.leave(getGameRoom(chprId));
+            }
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
+        });
+
+        // Вход в лобби: клиент сразу получает открытые игры. Опознанный игрок (token или userId
+        // при отключенной аутентификации) входит и в личную комнату - туда приходит найденная быстрая игра
+        socket.on('joinLobby', async (payload = {}, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { token, userId } = payload || {};
+
+            try {
+                let identifiedUserId = null;
+
+                if (token || userId) {
+                    const identity = await identifyPlayer(token ? `Bearer ${token}` : undefined, userId);
+                    if (!identity.success) {
+                        return respond({
+                            success: false,
+                            message: identity.message,
+                            error: identity.error
+                        });
+                    }
+                    identifiedUserId = identity.actor.userId;
+                    socket.data.userId = identifiedUserId;
+                    socket.join(getUserRoom(identifiedUserId));
+                }
+
+                const openGames = await listOpenGames();
+                if (!openGames.success) {
+                    return respond({
+                        success: false,
+                        message: openGames.message,
+                        error: openGames.error
+                    });
+                }
+
+                socket.join(LOBBY_ROOM);
+                socket.emit(LOBBY_EVENTS.OPEN_GAMES, { games: openGames.games });
+                respond({ success: true, userId: identifiedUserId, games: openGames.games });
+            } catch (error) {
+                console.error('Ошибка при входе в лобби:', error);
+                respond({
+                    success: false,
+                    message: 'Внутренняя ошибка сервера при входе в лобби',
+                    error: error.message
+                });
+            }
+        });
+
+        socket.on('leaveLobby', (payload = {}, ack) => {
+            socket.leave(LOBBY_ROOM);
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
+        });
+
+        // Игрок ушел, когда закрыто его последнее подключение: к этому моменту сокет уже вышел из комнат
+        socket.on('disconnect', () => {
+            const { userId } = socket.data;
+            if (!userId) return;
+
+            const userRoom = io.sockets.adapter.rooms.get(getUserRoom(userId));
+            if (!userRoom || userRoom.size === 0) {
+                handlers.onUserOffline(userId);
+            }
+        });
+    });
+
+    return io;
+}
+
+/**
+ * Рассылает событие всем игрокам в комнате игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {string} event - Название события (GAME_EVENTS)
+ * @param {Object} payload - Данные события
+ */
+function emitToGame(chprId, event, payload) {
+    if (!io) return;
+
+    io.to(getGameRoom(chprId)).emit(event, { chprId, ...payload });
+}
+
+/**
+ * Рассылает событие всем в лобби
+ * @param {string} event - Название события (LOBBY_EVENTS)
+ * @param {Object} payload - Данные события
+ */
+function emitToLobby(event, payload) {
+    if (!io) return;
+
+    io.to(LOBBY_ROOM).emit(event, payload);
+}
+
+/**
+ * Отправляет событие лично игроку (во все его подключения)
+ * @param {string} userId - Идентификатор игрока
+ * @param {string} event - Название события (LOBBY_EVENTS)
+ * @param {Object} payload - Данные события
+ */
+function emitToUser(userId, event, payload) {
+    if (!io) return;
+
+    io.to(getUserRoom(userId)).emit(event, payload);
+}
+
+/**
+ * Рассылает результат обновления состояния игры: принятое состояние и отчет или ошибки валидации
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} result - Результат updateGameState или submitMove
+ * @param {Object} gameState - Присланное состояние игры
+ */
+function broadcastStateUpdate(chprId, result, gameState) {
+    if (result.success) {
+        emitToGame(chprId, GAME_EVENTS.GAME_STATE, {
+            version: result.version,
+            gameState: gameState,
+            roll: result.roll || null,
+            turnClock: result.turnClock || null
+        });
+        // Перемещение внутри незавершенного хода (POST /api/game/:chprId/move) отчета еще не имеет
+        if (result.moveReport) {
+            emitToGame(chprId, GAME_EVENTS.MOVE_REPORT, {
+                moveReport: result.moveReport,
+                moveEvents: result.moveEvents,
+                validationResult: result.validationResult
+            });
+        }
+        if (result.gameFinished) {
+            emitToGame(chprId, GAME_EVENTS.GAME_FINISHED, result.gameFinished);
+        }
+    } else if (result.validationErrors) {
+        emitToGame(chprId, GAME_EVENTS.VALIDATION_FAILED, {
+            message: result.message,
+            error: result.error,
+            validationErrors: result.validationErrors,
+            moveReport: result.moveReport,
+            moveEvents: result.moveEvents || []
+        });
+    }
+}
+
+/**
+ * Рассылает истечение времени хода и, если ход передан или игрок выбыл, новое состояние игры
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} result - Результат обработки истечения времени (см. turnTimer)
+ */
+function broadcastTurnTimeout(chprId, result) {
+    emitToGame(chprId, GAME_EVENTS.TURN_TIMEOUT, {
+        message: result.message,
+        player: result.player,
+        action: result.action,
+        timeouts: result.timeouts,
+        maxTimeouts: result.maxTimeouts,
+        nextPlayer: result.nextPlayer || null,
+        turnClock: result.turnClock
+    });
+
+    // При действии bot состояние разошлется вместе с ходом бота
+    if (result.gameState) {
+        emitToGame(chprId, GAME_EVENTS.GAME_STATE, {
+            version: result.version,
+            gameState: result.gameState,
+            roll: result.roll,
+            turnClock: result.turnClock
+        });
+    }
+    if (result.gameFinished) {
+        emitToGame(chprId, GAME_EVENTS.GAME_FINISHED, result.gameFinished);
+    }
+}
+
+module.exports = {
+    GAME_EVENTS,
+    LOBBY_EVENTS,
+    initGameSocket,
+    getGameRoom,
+    getUserRoom,
+    emitToGame,
+    emitToLobby,
+    emitToUser,
+    broadcastStateUpdate,
+    broadcastTurnTimeout
+};
@@ -0,0 +1,59 @@
+// fileAdapter.js
+// Хранилище игр в JSON-файле (данные переживают перезапуск сервера без базы данных)
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter } = require('./memoryAdapter');
+
+/**
+ * Читает данные хранилища из файла
+ * @param {string} filePath - Путь к JSON-файлу
+ * @returns {Object} Данные {games, history} или пустой объект если файла нет
+ */
+function readDataFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return content.trim() ? JSON.parse(content) : {};
+}
+
+/**
+ * Создает адаптер хранилища в JSON-файле
+ * @param {Object} options - Параметры адаптера
+ * @param {string} options.filePath - Путь к JSON-файлу с данными
+ * @returns {Object} Адаптер хранилища (интерфейс описан в storage/index.js)
+ * @description Данные держатся в памяти и целиком записываются в файл после каждого изменения.
+ * Запись идет через временный файл, поэтому при сбое файл не остается наполовину записанным
+ */
+function createFileAdapter(options) {
+    const filePath = path.resolve(options.filePath);
+    let writeQueue = Promise.resolve();
+
+    const persist = (data) => {
+        // Записи выполняются строго по очереди, чтобы не перезаписать новые данные старыми
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tempPath, filePath);
+        });
+        return writeQueue;
+    };
+
+    const adapter = createMemoryAdapter({
+        initialData: readDataFile(filePath),
+        onChange: persist
+    });
+
+    return {
+        ...adapter,
+        name: 'file',
+        filePath: filePath
+    };
+}
+
+module.exports = {
+    createFileAdapter
+};
@@ -0,0 +1,199 @@
+// index.js
+// Выбор хранилища игр по конфигурации (переменная окружения GAME_STORAGE)
+
+const { supabase, testConnection } = require('../../supabase');
+const { createSupabaseAdapter } = require('./supabaseAdapter');
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createFileAdapter } = require('./fileAdapter');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+/**
+ * Интерфейс адаптера хранилища. Все методы асинхронные и, как клиент Supabase,
+ * возвращают {data, error}; отсутствие записи - это {data: null, error: null}.
+ *
+ * Запись игры: {chprId, status, seats, version, gameState, currentRoll, settings, ruleset, standings, createdAt, updatedAt},
+ * место: {player, color, bot, userId, forfeited, forfeitedAt} (userId - владелец места из токена игрока,
+ * forfeited - игрок выбыл по времени)
+ * pendingTurn: {rollId, startState, movements} - начало хода, который делается отдельными перемещениями, и принятые перемещения
+ * turnClock: {player, startedAt, expiresAt} - часы текущего хода; turnTimeouts: {номер места: истечений времени подряд}
+ *
+ * getGame(chprId)                -> запись игры
+ * createGame(record)             -> созданная запись (error.code = 'ALREADY_EXISTS' при повторе)
+ * updateGame(chprId, fields, {expectedVersion})
+ *                                -> обновленная запись (меняются только переданные поля);
+ *                                   при expectedVersion запись атомарно проверяет версию,
+ *                                   при расхождении error.code = 'VERSION_CONFLICT'
+ * appendHistory(chprId, entry)   -> сохраненная запись истории
+ * getHistory(chprId)             -> массив записей истории в порядке добавления
+ * listGames({status})            -> записи игр (все или с указанным статусом) в порядке создания
+ */
+
+const STORAGE_TYPES = {
+    SUPABASE: 'supabase',
+    MEMORY: 'memory',
+    FILE: 'file'
+};
+
+const DEFAULT_STORAGE_FILE = './data/games.json';
+
+let storage = null;
+
+// Очереди операций по играм: чтение, проверка и запись одной игры не пересекаются внутри процесса
+const gameLocks = new Map();
+
+/**
+ * Создает адаптер хранилища нужного типа
+ * @param {string} [type] - Тип хранилища: supabase, memory или file (по умолчанию GAME_STORAGE)
+ * @returns {Object} Адаптер хранилища
+ * @description Если тип не задан, используется Supabase при наличии настроек, иначе память
+ */
+function createStorage(type = process.env.GAME_STORAGE) {
+    const storageType = type || (supabase ? STORAGE_TYPES.SUPABASE : STORAGE_TYPES.MEMORY);
+
+    switch (storageType) {
+        case STORAGE_TYPES.SUPABASE:
+            return createSupabaseAdapter(supabase);
+        case STORAGE_TYPES.MEMORY:
+            return createMemoryAdapter();
+        case STORAGE_TYPES.FILE:
+            return createFileAdapter({ filePath: process.env.GAME_STORAGE_FILE || DEFAULT_STORAGE_FILE });
+        default:
+            throw new Error(`Неизвестный тип хранилища GAME_STORAGE="${storageType}". Допустимые значения: ${Object.values(STORAGE_TYPES).join(', ')}`);
+    }
+}
+
+/**
+ * Возвращает хранилище игр, создавая его при первом обращении
+ * @returns {Object} Адаптер хранилища
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+}
+
+/**
+ * Подменяет хранилище игр (например, на хранилище в памяти в автоматических тестах)
+ * @param {Object} adapter - Адаптер хранилища
+ */
+function setStorage(adapter) {
+    storage = adapter;
+}
+
+/**
+ * Загружает запись игры и формирует стандартный ответ об ошибке, если ее нет
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {string} [locale] - Язык сообщения об ошибке
+ * @returns {Promise<Object>} {success: true, record} или {success: false, message, error}
+ */
+async function loadGame(chprId, locale = DEFAULT_LOCALE) {
+    const { data, error } = await getStorage().getGame(chprId);
+
+    if (error) {
+        return {
+            success: false,
+            message: error.code === 'SUPABASE_NOT_CONFIGURED' ? error.message : translate(locale, 'messages.storageReadFailed'),
+            error: error.code === 'SUPABASE_NOT_CONFIGURED' ? error.code : error.message
+        };
+    }
+
+    if (!data) {
+        return {
+            success: false,
+            message: translate(locale, 'errors.RECORD_NOT_FOUND', { chprId }),
+            error: 'RECORD_NOT_FOUND'
+        };
+    }
+
+    return { success: true, record: data };
+}
+
+/**
+ * Записывает изменение игры и запись ее истории как один шаг
+ * @param {Object} record - Запись игры до изменения
+ * @param {Object} fields - Изменяемые поля (как в updateGame)
+ * @param {Function} createEntry - (updated) => запись истории по обновленной записи игры
+ * @param {Object} [options] - Параметры updateGame {expectedVersion}
+ * @returns {Promise<Object>} {data, error} как у updateGame; если историю сохранить не удалось,
+ * изменение игры откатывается и error.code = 'HISTORY_WRITE_FAILED'
+ * @description Выполняется под блокировкой игры (withGameLock); откат записывается с проверкой версии,
+ * поэтому изменение, сделанное после нашего другим процессом, он не затрет
+ */
+async function updateGameWithHistory(record, fields, createEntry, options = {}) {
+    const adapter = getStorage();
+    const { data, error } = await adapter.updateGame(record.chprId, fields, options);
+    if (error || !data) {
+        return { data, error };
+    }
+
+    const { error: historyError } = await adapter.appendHistory(record.chprId, createEntry(data));
+    if (!historyError) {
+        return { data, error: null };
+    }
+
+    console.error('Ошибка при сохранении истории игры:', historyError);
+
+    // Измененным полям возвращаются прежние значения; полей, которых в записи не было, теперь нет (null)
+    const previousFields = Object.fromEntries(
+        Object.keys(fields).map(key => [key, record[key] === undefined ? null : record[key]])
+    );
+    const { error: rollbackError } = await adapter.updateGame(record.chprId, previousFields, { expectedVersion: data.version || 0 });
+    if (rollbackError) {
+        console.error('Не удалось откатить изменение игры после ошибки сохранения истории:', rollbackError);
+    }
+
+    return {
+        data: null,
+        error: { code: 'HISTORY_WRITE_FAILED', message: historyError.message, rolledBack: !rollbackError }
+    };
+}
+
+/**
+ * Выполняет операцию над игрой после завершения предыдущих операций над той же игрой
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Function} operation - Асинхронная функция чтения-проверки-записи
+ * @returns {Promise<*>} Результат операции
+ * @description Защищает от гонок внутри одного процесса; между процессами
+ * от перезаписи защищает проверка версии в updateGame
+ */
+async function withGameLock(chprId, operation) {
+    const previous = gameLocks.get(chprId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => operation());
+
+    gameLocks.set(chprId, current);
+
+    try {
+        return await current;
+    } finally {
+        if (gameLocks.get(chprId) === current) {
+            gameLocks.delete(chprId);
+        }
+    }
+}
+
+/**
+ * Проверяет доступность хранилища при запуске сервера
+ * @returns {Promise<boolean>} true если хранилище доступно
+ */
+async function testStorageConnection() {
+    const adapter = getStorage();
+
+    if (adapter.name === STORAGE_TYPES.SUPABASE) {
+        return testConnection();
+    }
+
+    console.log(`ℹ️  Используется хранилище игр: ${adapter.name}${adapter.filePath ? ` (${adapter.filePath})` : ''}`);
+    return true;
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    createStorage,
+    getStorage,
+    setStorage,
+    loadGame,
+    updateGameWithHistory,
+    withGameLock,
+    testStorageConnection
+};
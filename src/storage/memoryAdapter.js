@@ -0,0 +1,148 @@
+// memoryAdapter.js
+// Хранилище игр в памяти процесса (для локального запуска и автоматических тестов)
+
+/**
+ * Создает копию данных, чтобы вызывающий код не мог изменить хранилище по ссылке
+ * @param {*} value - Копируемое значение
+ * @returns {*} Глубокая копия значения
+ */
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Формирует ошибку конфликта версий
+ * @param {number} actualVersion - Текущая версия записи в хранилище
+ * @returns {Object} Объект ошибки {code, message, actualVersion}
+ */
+function versionConflict(actualVersion) {
+    return {
+        code: 'VERSION_CONFLICT',
+        message: `Версия игры изменилась (текущая версия: ${actualVersion})`,
+        actualVersion: actualVersion
+    };
+}
+
+/**
+ * Создает адаптер хранилища в памяти
+ * @param {Object} options - Параметры адаптера
+ * @param {Object} [options.initialData] - Начальные данные {games, history}
+ * @param {Function} [options.onChange] - Вызывается с полными данными после каждого изменения
+ * @returns {Object} Адаптер хранилища (интерфейс описан в storage/index.js)
+ */
+function createMemoryAdapter(options = {}) {
+    const initialData = options.initialData || {};
+    const games = new Map(Object.entries(initialData.games || {}));
+    const history = new Map(Object.entries(initialData.history || {}));
+    const onChange = options.onChange || (async () => {});
+
+    /**
+     * Возвращает все данные хранилища в виде простого объекта
+     * @returns {Object} Объект {games, history}
+     */
+    function exportData() {
+        return {
+            games: Object.fromEntries(games),
+            history: Object.fromEntries(history)
+        };
+    }
+
+    /**
+     * Сообщает об изменении данных (например, для записи в файл)
+     * @returns {Promise<Object|null>} Ошибка сохранения или null
+     */
+    async function notifyChange() {
+        try {
+            await onChange(exportData());
+            return null;
+        } catch (error) {
+            console.error('Ошибка при сохранении данных хранилища:', error);
+            return { code: 'STORAGE_WRITE_FAILED', message: error.message };
+        }
+    }
+
+    // Если сохранить изменение не удалось, оно откатывается: иначе память разойдется с файлом.
+    // Откат не трогает запись, которую уже заменило более позднее изменение
+    return {
+        name: 'memory',
+
+        async getGame(chprId) {
+            return { data: clone(games.get(chprId)) || null, error: null };
+        },
+
+        async createGame(record) {
+            if (games.has(record.chprId)) {
+                return {
+                    data: null,
+                    error: { code: 'ALREADY_EXISTS', message: `Игра с CHPR_id "${record.chprId}" уже существует` }
+                };
+            }
+
+            const now = new Date().toISOString();
+            const stored = { createdAt: now, updatedAt: now, ...clone(record) };
+            games.set(record.chprId, stored);
+            const error = await notifyChange();
+
+            if (error && games.get(record.chprId) === stored) {
+                games.delete(record.chprId);
+            }
+
+            return { data: error ? null : clone(stored), error };
+        },
+
+        async updateGame(chprId, fields, options = {}) {
+            const existing = games.get(chprId);
+            if (!existing) {
+                return { data: null, error: null };
+            }
+
+            // Проверка версии и запись выполняются без await между ними, поэтому атомарны
+            if (options.expectedVersion !== undefined && (existing.version || 0) !== options.expectedVersion) {
+                return { data: null, error: versionConflict(existing.version || 0) };
+            }
+
+            const stored = { ...existing, ...clone(fields) };
+            games.set(chprId, stored);
+            const error = await notifyChange();
+
+            if (error && games.get(chprId) === stored) {
+                games.set(chprId, existing);
+            }
+
+            return { data: error ? null : clone(stored), error };
+        },
+
+        async appendHistory(chprId, entry) {
+            if (!history.has(chprId)) {
+                history.set(chprId, []);
+            }
+
+            const stored = { createdAt: new Date().toISOString(), ...clone(entry) };
+            const entries = history.get(chprId);
+            entries.push(stored);
+            const error = await notifyChange();
+
+            if (error && entries.includes(stored)) {
+                entries.splice(entries.indexOf(stored), 1);
+            }
+
+            return { data: error ? null : clone(stored), error };
+        },
+
+        async getHistory(chprId) {
+            return { data: clone(history.get(chprId)) || [], error: null };
+        },
+
+        async listGames(filters = {}) {
+            const records = [...games.values()]
+                .filter(record => !filters.status || record.status === filters.status)
+                .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+            return { data: clone(records), error: null };
+        }
+    };
+}
+
+module.exports = {
+    createMemoryAdapter
+};
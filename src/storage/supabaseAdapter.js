@@ -0,0 +1,216 @@
+// supabaseAdapter.js
+// Хранилище игр в Supabase (таблицы saved_games и game_history)
+// Схема таблиц: supabase/migrations/20261018000000_game_storage.sql
+
+/**
+ * Поля записи игры, название колонки которых отличается от snake_case
+ */
+const COLUMN_OVERRIDES = {
+    chprId: 'CHPR_id',
+    gameState: 'new_game_state'
+};
+
+const FIELD_OVERRIDES = Object.fromEntries(
+    Object.entries(COLUMN_OVERRIDES).map(([field, column]) => [column, field])
+);
+
+/**
+ * Преобразует поле записи в название колонки saved_games
+ * @param {string} field - Поле записи в camelCase (например, currentRoll)
+ * @returns {string} Название колонки (например, current_roll)
+ */
+function toColumnName(field) {
+    return COLUMN_OVERRIDES[field] || field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Преобразует колонку saved_games в поле записи
+ * @param {string} column - Название колонки (например, current_roll)
+ * @returns {string} Поле записи в camelCase (например, currentRoll)
+ */
+function toFieldName(column) {
+    return FIELD_OVERRIDES[column] || column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Преобразует строку таблицы в запись игры
+ * @param {Object|null} row - Строка таблицы saved_games
+ * @returns {Object|null} Запись игры
+ */
+function rowToRecord(row) {
+    if (!row) return null;
+    return Object.fromEntries(Object.entries(row).map(([column, value]) => [toFieldName(column), value]));
+}
+
+/**
+ * Преобразует поля записи игры в колонки таблицы
+ * @param {Object} fields - Поля записи игры
+ * @returns {Object} Объект для insert/update в saved_games
+ */
+function recordToRow(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([field, value]) => [toColumnName(field), value]));
+}
+
+/**
+ * Создает адаптер хранилища Supabase
+ * @param {Object|null} supabase - Клиент Supabase (null если не настроен)
+ * @returns {Object} Адаптер хранилища (интерфейс описан в storage/index.js)
+ */
+function createSupabaseAdapter(supabase) {
+    const notConfigured = {
+        data: null,
+        error: { code: 'SUPABASE_NOT_CONFIGURED', message: 'Supabase не настроен. Проверьте переменные окружения.' }
+    };
+
+    const adapter = {
+        name: 'supabase',
+
+        async getGame(chprId) {
+            if (!supabase) return notConfigured;
+
+            const { data, error } = await supabase
+                .from('saved_games')
+                .select('*')
+                .eq('CHPR_id', chprId)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    return { data: null, error: null }; // Запись не найдена
+                }
+                return { data: null, error };
+            }
+
+            return { data: rowToRecord(data), error: null };
+        },
+
+        async createGame(record) {
+            if (!supabase) return notConfigured;
+
+            const now = new Date().toISOString();
+            const { data, error } = await supabase
+                .from('saved_games')
+                .insert(recordToRow({ createdAt: now, updatedAt: now, ...record }))
+                .select('*')
+                .single();
+
+            if (error) {
+                // 23505 - нарушение уникальности CHPR_id
+                if (error.code === '23505') {
+                    return {
+                        data: null,
+                        error: { code: 'ALREADY_EXISTS', message: `Игра с CHPR_id "${record.chprId}" уже существует` }
+                    };
+                }
+                return { data: null, error };
+            }
+
+            return { data: rowToRecord(data), error: null };
+        },
+
+        async updateGame(chprId, fields, options = {}) {
+            if (!supabase) return notConfigured;
+
+            let query = supabase
+                .from('saved_games')
+                .update(recordToRow(fields))
+                .eq('CHPR_id', chprId);
+
+            // Условие на версию делает проверку и запись одним атомарным UPDATE
+            if (options.expectedVersion !== undefined) {
+                query = options.expectedVersion === 0
+                    ? query.or('version.is.null,version.eq.0')
+                    : query.eq('version', options.expectedVersion);
+            }
+
+            const { data, error } = await query.select('*').single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    if (options.expectedVersion === undefined) {
+                        return { data: null, error: null };
+                    }
+
+                    // Ни одна строка не обновилась: либо записи нет, либо версия уже другая
+                    const { data: current, error: readError } = await adapter.getGame(chprId);
+                    if (readError || !current) {
+                        return { data: null, error: readError };
+                    }
+                    return {
+                        data: null,
+                        error: {
+                            code: 'VERSION_CONFLICT',
+                            message: `Версия игры изменилась (текущая версия: ${current.version || 0})`,
+                            actualVersion: current.version || 0
+                        }
+                    };
+                }
+                return { data: null, error };
+            }
+
+            return { data: rowToRecord(data), error: null };
+        },
+
+        async appendHistory(chprId, entry) {
+            if (!supabase) return notConfigured;
+
+            const { data, error } = await supabase
+                .from('game_history')
+                .insert({ CHPR_id: chprId, entry: entry, created_at: new Date().toISOString() })
+                .select('entry, created_at')
+                .single();
+
+            if (error) {
+                return { data: null, error };
+            }
+
+            return { data: { createdAt: data.created_at, ...data.entry }, error: null };
+        },
+
+        async getHistory(chprId) {
+            if (!supabase) return notConfigured;
+
+            const { data, error } = await supabase
+                .from('game_history')
+                .select('entry, created_at')
+                .eq('CHPR_id', chprId)
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true });
+
+            if (error) {
+                return { data: null, error };
+            }
+
+            return { data: data.map(row => ({ createdAt: row.created_at, ...row.entry })), error: null };
+        },
+
+        async listGames(filters = {}) {
+            if (!supabase) return notConfigured;
+
+            let query = supabase
+                .from('saved_games')
+                .select('*')
+                .order('created_at', { ascending: true });
+
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                return { data: null, error };
+            }
+
+            return { data: data.map(rowToRecord), error: null };
+        }
+    };
+
+    return adapter;
+}
+
+module.exports = {
+    createSupabaseAdapter,
+    rowToRecord,
+    recordToRow
+};
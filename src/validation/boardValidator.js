@@ -0,0 +1,265 @@
+// boardValidator.js
+// Модуль проверки описания игровой доски (формат gameZones.json)
+
+/**
+ * Разделы доски, которые задаются для каждого игрока
+ */
+const PLAYER_SECTIONS = ['waitingZones', 'startingPositions', 'movementStart', 'homeZones', 'teleportZones', 'playerPaths'];
+
+/**
+ * Разбирает размер доски из metadata.boardSize
+ * @param {*} boardSize - Размер доски, например "15x15" (столбцы x строки)
+ * @returns {Object|null} {columns, rows} или null если формат неверный
+ */
+function parseBoardSize(boardSize) {
+    const match = typeof boardSize === 'string' ? boardSize.match(/^(\d+)x(\d+)$/) : null;
+    if (!match) return null;
+
+    const columns = parseInt(match[1]);
+    const rows = parseInt(match[2]);
+
+    // Столбцы обозначаются одной латинской буквой
+    if (columns < 1 || columns > 26 || rows < 1) return null;
+
+    return { columns, rows };
+}
+
+/**
+ * Разбирает координату клетки
+ * @param {*} cell - Клетка, например "K1"
+ * @returns {Object|null} {column, row} (столбец и строка с 1) или null если формат неверный
+ */
+function parseCell(cell) {
+    const match = typeof cell === 'string' ? cell.match(/^([A-Z])(\d+)$/) : null;
+    if (!match) return null;
+
+    return {
+        column: match[1].charCodeAt(0) - 'A'.charCodeAt(0) + 1,
+        row: parseInt(match[2])
+    };
+}
+
+/**
+ * Проверяет, что клетки соседние по горизонтали или вертикали
+ * @param {string} cellA - Первая клетка
+ * @param {string} cellB - Вторая клетка
+ * @returns {boolean} true если клетки соседние
+ */
+function areAdjacentCells(cellA, cellB) {
+    const a = parseCell(cellA);
+    const b = parseCell(cellB);
+    if (!a || !b) return false;
+
+    return Math.abs(a.column - b.column) + Math.abs(a.row - b.row) === 1;
+}
+
+/**
+ * Проверяет, что значение - непустой массив клеток
+ * @param {*} value - Проверяемое значение
+ * @returns {boolean} true если это непустой массив строк
+ */
+function isCellList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(cell => typeof cell === 'string');
+}
+
+/**
+ * Проверяет структуру доски: разделы, игроков и форму записей
+ * @param {Object} board - Описание доски
+ * @returns {Array<string>} Сообщения об ошибках
+ */
+function validateBoardStructure(board) {
+    const errors = [];
+
+    if (!board || typeof board !== 'object' || Array.isArray(board)) {
+        return ['Описание доски должно быть объектом JSON'];
+    }
+
+    if (!board.metadata || !parseBoardSize(board.metadata.boardSize)) {
+        errors.push('metadata.boardSize должен иметь вид "<столбцы>x<строки>", например "15x15" (до 26 столбцов)');
+    }
+
+    const missingSections = PLAYER_SECTIONS.filter(section =>
+        !board[section] || typeof board[section] !== 'object' || Array.isArray(board[section])
+    );
+    if (missingSections.length > 0) {
+        errors.push(`Отсутствуют разделы доски: ${missingSections.join(', ')}`);
+        return errors;
+    }
+
+    ['prison', 'temple'].forEach(zone => {
+        const entries = board.specialZones && board.specialZones[zone];
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            errors.push(`Отсутствует раздел specialZones.${zone}`);
+            return;
+        }
+        Object.entries(entries)
+            .filter(([, data]) => !data || typeof data.teleportTo !== 'string')
+            .forEach(([trigger]) => errors.push(`specialZones.${zone}.${trigger}: не указана клетка teleportTo`));
+    });
+
+    const playerKeys = Object.keys(board.playerPaths);
+    if (playerKeys.length === 0 || playerKeys.some(key => !/^player\d+$/.test(key))) {
+        errors.push('playerPaths должен содержать игроков с ключами вида player1, player2, ...');
+        return errors;
+    }
+
+    // Все разделы игроков описывают один и тот же набор игроков
+    PLAYER_SECTIONS.forEach(section => {
+        const keys = Object.keys(board[section]);
+        const missing = playerKeys.filter(key => !keys.includes(key));
+        const extra = keys.filter(key => !playerKeys.includes(key));
+        if (missing.length > 0 || extra.length > 0) {
+            errors.push(`${section}: набор игроков не совпадает с playerPaths (${[...missing, ...extra].join(', ')})`);
+        }
+    });
+
+    playerKeys.forEach(playerKey => {
+        ['waitingZones', 'startingPositions', 'homeZones']
+            .filter(section => board[section][playerKey] && !isCellList(board[section][playerKey].coordinates))
+            .forEach(section => errors.push(`${section}.${playerKey}: coordinates должен быть непустым массивом клеток`));
+
+        ['movementStart', 'teleportZones']
+            .filter(section => board[section][playerKey] && typeof board[section][playerKey].position !== 'string')
+            .forEach(section => errors.push(`${section}.${playerKey}: не указана клетка position`));
+
+        if (!isCellList(board.playerPaths[playerKey].path)) {
+            errors.push(`playerPaths.${playerKey}: path должен быть непустым массивом клеток`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Собирает все клетки, упомянутые в описании доски
+ * @param {Object} board - Описание доски (структура уже проверена)
+ * @returns {Array} Массив {cell, source} - клетка и место, где она указана
+ */
+function collectBoardCells(board) {
+    const cells = [];
+
+    Object.keys(board.playerPaths).forEach(playerKey => {
+        ['waitingZones', 'startingPositions', 'homeZones'].forEach(section => {
+            board[section][playerKey].coordinates.forEach(cell => cells.push({ cell, source: `${section}.${playerKey}` }));
+        });
+        ['movementStart', 'teleportZones'].forEach(section => {
+            cells.push({ cell: board[section][playerKey].position, source: `${section}.${playerKey}` });
+        });
+        board.playerPaths[playerKey].path.forEach(cell => cells.push({ cell, source: `playerPaths.${playerKey}` }));
+    });
+
+    ['prison', 'temple'].forEach(zone => {
+        Object.entries(board.specialZones[zone]).forEach(([trigger, data]) => {
+            cells.push({ cell: trigger, source: `specialZones.${zone}` });
+            cells.push({ cell: data.teleportTo, source: `specialZones.${zone}.${trigger}` });
+        });
+    });
+
+    return cells;
+}
+
+/**
+ * Проверяет согласованность путей и зон игроков
+ * @param {Object} board - Описание доски (структура уже проверена)
+ * @returns {Array<string>} Сообщения об ошибках
+ */
+function validateBoardConsistency(board) {
+    const errors = [];
+    const size = parseBoardSize(board.metadata.boardSize);
+    const playerKeys = Object.keys(board.playerPaths);
+    const allPathCells = new Set(playerKeys.flatMap(playerKey => board.playerPaths[playerKey].path));
+
+    // Все клетки лежат в пределах доски
+    collectBoardCells(board).forEach(({ cell, source }) => {
+        const parsed = parseCell(cell);
+        if (!parsed || parsed.column > size.columns || parsed.row < 1 || parsed.row > size.rows) {
+            errors.push(`${source}: клетка ${cell} вне доски ${board.metadata.boardSize}`);
+        }
+    });
+
+    playerKeys.forEach(playerKey => {
+        const path = board.playerPaths[playerKey].path;
+        const homeCells = board.homeZones[playerKey].coordinates;
+        const waitingCells = board.waitingZones[playerKey].coordinates;
+
+        // Путь непрерывный и не проходит дважды через одну клетку
+        if (new Set(path).size !== path.length) {
+            errors.push(`playerPaths.${playerKey}: путь проходит через одну клетку несколько раз`);
+        }
+        path.slice(1).forEach((cell, index) => {
+            if (!areAdjacentCells(path[index], cell)) {
+                errors.push(`playerPaths.${playerKey}: разрыв пути между ${path[index]} и ${cell}`);
+            }
+        });
+
+        if (board.movementStart[playerKey].position !== path[0]) {
+            errors.push(`movementStart.${playerKey}: клетка ${board.movementStart[playerKey].position} не совпадает с началом пути ${path[0]}`);
+        }
+
+        // Дом - последние клетки пути игрока
+        const pathEnd = path.slice(-homeCells.length);
+        if (homeCells.length > path.length || homeCells.some(cell => !pathEnd.includes(cell)) || new Set(homeCells).size !== homeCells.length) {
+            errors.push(`homeZones.${playerKey}: клетки дома (${homeCells.join(', ')}) должны совпадать с последними ${homeCells.length} клетками пути (${pathEnd.join(', ')})`);
+        }
+
+        // В доме должно хватать клеток для всех фишек игрока (по одной на клетку зоны ожидания)
+        if (homeCells.length < waitingCells.length) {
+            errors.push(`homeZones.${playerKey}: ${homeCells.length} клеток дома на ${waitingCells.length} фишек`);
+        }
+
+        if (!path.includes(board.teleportZones[playerKey].position)) {
+            errors.push(`teleportZones.${playerKey}: телепорт ${board.teleportZones[playerKey].position} не лежит на пути игрока`);
+        }
+
+        // Расстояния отсчитываются от зоны ожидания и стартовых позиций, поэтому их клеток на путях быть не должно
+        ['waitingZones', 'startingPositions'].forEach(section => {
+            const onPath = board[section][playerKey].coordinates.filter(cell => allPathCells.has(cell));
+            if (onPath.length > 0) {
+                errors.push(`${section}.${playerKey}: клетки ${onPath.join(', ')} лежат на пути`);
+            }
+        });
+    });
+
+    const specialTargets = [];
+    ['prison', 'temple'].forEach(zone => {
+        Object.entries(board.specialZones[zone]).forEach(([trigger, data]) => {
+            if (!allPathCells.has(trigger)) {
+                errors.push(`specialZones.${zone}: триггерная клетка ${trigger} не лежит ни на одном пути`);
+            }
+            // По клетке тюрьмы или храма находится ее триггер, поэтому она не может лежать на пути и повторяться
+            if (allPathCells.has(data.teleportTo)) {
+                errors.push(`specialZones.${zone}.${trigger}: клетка ${data.teleportTo} лежит на пути`);
+            }
+            if (specialTargets.includes(data.teleportTo)) {
+                errors.push(`specialZones.${zone}.${trigger}: клетка ${data.teleportTo} уже используется другой триггерной клеткой`);
+            }
+            specialTargets.push(data.teleportTo);
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Проверяет описание игровой доски
+ * @param {Object} board - Описание доски в формате gameZones.json
+ * @returns {Object} Объект с результатом {isValid, errorMessages}
+ * @description Проверяются структура разделов, размеры доски, непрерывность путей, положение дома в конце пути,
+ * телепортов и триггерных клеток тюрьмы и храма на путях
+ */
+function validateBoard(board) {
+    const structureErrors = validateBoardStructure(board);
+    const errorMessages = structureErrors.length > 0 ? structureErrors : validateBoardConsistency(board);
+
+    return {
+        isValid: errorMessages.length === 0,
+        errorMessages: errorMessages
+    };
+}
+
+module.exports = {
+    validateBoard,
+    parseBoardSize,
+    parseCell,
+    areAdjacentCells
+};
@@ -0,0 +1,136 @@
+// captureValidator.js
+// Модуль для проверки взятия фишек: съеденная фишка должна быть сбита фишкой соперника
+
+const { getZoneType, isPieceCaptured } = require('./zoneDetector');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+const { DEFAULT_RULESET } = require('../game/ruleset');
+const { arePartners } = require('../game/teams');
+const { DEFAULT_BOARD, getRulesetBoard } = require('../game/boards');
+
+/**
+ * Проверяет, защищена ли клетка от взятия для фишки игрока
+ * @param {string} position - Позиция фишки
+ * @param {number} player - Владелец фишки
+ * @param {Array<string>} protectedZones - Типы защищенных зон (см. getZoneType)
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {boolean} true если фишку на этой клетке съесть нельзя
+ */
+function isProtectedCell(position, player, protectedZones = DEFAULT_RULESET.captureProtectedZones, board = DEFAULT_BOARD) {
+    return protectedZones.includes(getZoneType(position, player, board).type);
+}
+
+/**
+ * Валидирует все взятия в обновлении: для каждой съеденной фишки ищется фишка соперника,
+ * которая в этом же обновлении встала на ее клетку
+ * @param {Array} movements - Массив объектов с информацией о перемещениях
+ * @param {Object} ruleset - Правила игры (capturesEnabled, captureProtectedZones, teamMode)
+ * @returns {Object} Объект с результатом {isValid, errorMessages, errors, captures}
+ * @description captures содержит пары {cell, capturer, captured} для отчета о ходе.
+ * В командной игре партнер фишку не ест - он встает на клетку рядом с ней
+ */
+function validateCaptures(movements, ruleset = DEFAULT_RULESET) {
+    const errors = [];
+    const captures = [];
+
+    const board = getRulesetBoard(ruleset);
+    const capturedMovements = movements.filter(movement => isPieceCaptured(movement, board));
+    const activeMovements = movements.filter(movement => !isPieceCaptured(movement, board));
+
+    capturedMovements.forEach(captured => {
+        const params = {
+            piece: captured.pieceId || (captured.piece + 1),
+            player: captured.player,
+            cell: captured.from
+        };
+        const capturer = activeMovements.find(movement =>
+            movement.player !== captured.player &&
+            !arePartners(movement.player, captured.player, ruleset) &&
+            movement.to === captured.from
+        );
+        const partner = activeMovements.find(movement =>
+            arePartners(movement.player, captured.player, ruleset) && movement.to === captured.from
+        );
+
+        if (!capturer && partner) {
+            const partnerParams = { ...params, partner: partner.player };
+            errors.push({
+                code: 'CAPTURE_BY_PARTNER',
+                message: translate(DEFAULT_LOCALE, 'errors.CAPTURE_BY_PARTNER', partnerParams),
+                params: partnerParams,
+                player: captured.player,
+                pieceId: captured.pieceId,
+                from: captured.from,
+                to: captured.to
+            });
+            return;
+        }
+
+        if (!capturer) {
+            errors.push({
+                code: 'CAPTURE_WITHOUT_CAPTURER',
+                message: translate(DEFAULT_LOCALE, 'errors.CAPTURE_WITHOUT_CAPTURER', params),
+                params: params,
+                player: captured.player,
+                pieceId: captured.pieceId,
+                from: captured.from,
+                to: captured.to
+            });
+            return;
+        }
+
+        if (!ruleset.capturesEnabled) {
+            errors.push({
+                code: 'CAPTURES_DISABLED',
+                message: translate(DEFAULT_LOCALE, 'errors.CAPTURES_DISABLED', params),
+                params: params,
+                player: captured.player,
+                pieceId: captured.pieceId,
+                from: captured.from,
+                to: captured.to
+            });
+            return;
+        }
+
+        if (isProtectedCell(captured.from, captured.player, ruleset.captureProtectedZones, board)) {
+            const protectedParams = { ...params, zone: getZoneType(captured.from, captured.player, board).type };
+            errors.push({
+                code: 'CAPTURE_ON_PROTECTED_CELL',
+                message: translate(DEFAULT_LOCALE, 'errors.CAPTURE_ON_PROTECTED_CELL', protectedParams),
+                params: protectedParams,
+                player: captured.player,
+                pieceId: captured.pieceId,
+                from: captured.from,
+                to: captured.to
+            });
+            return;
+        }
+
+        captures.push({
+            cell: captured.from,
+            capturer: {
+                player: capturer.player,
+                piece: capturer.piece,
+                pieceId: capturer.pieceId,
+                from: capturer.from
+            },
+            captured: {
+                player: captured.player,
+                piece: captured.piece,
+                pieceId: captured.pieceId,
+                to: captured.to
+            }
+        });
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errorMessages: errors.map(error => error.message),
+        errors: errors,
+        captures: captures
+    };
+}
+
+module.exports = {
+    isProtectedCell,
+    validateCaptures
+};
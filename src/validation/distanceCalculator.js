@@ -1,95 +1,165 @@
 // distanceCalculator.js
 // Модуль для расчета расстояний по игровому полю
 
-const gameZones = require('../../gameZones.json');
 const { getZoneType, getTriggerCell, getSourceTriggerCell } = require('./zoneDetector');
+const { DEFAULT_RULESET } = require('../game/ruleset');
+const { DEFAULT_BOARD } = require('../game/boards');
 
 /**
- * Вычисляет расстояние между двумя позициями по игровому пути
+ * Причины, по которым конечная клетка недостижима по пути игрока
+ * Значения совпадают с вариантами сообщения errors.MOVE_UNREACHABLE в каталогах i18n
+ */
+const UNREACHABLE_REASONS = {
+    // Для игрока на доске нет пути
+    NO_PATH: 'noPath',
+    // Начальная клетка не лежит на пути игрока и не относится к его зонам до начала пути
+    FROM_OFF_PATH: 'fromOffPath',
+    // Конечная клетка не лежит на пути игрока
+    TO_OFF_PATH: 'toOffPath',
+    // Конечная клетка лежит на пути раньше начальной
+    BACKWARD: 'backward'
+};
+
+/**
+ * Измеряет расстояние между двумя позициями по игровому пути
  * @param {string} from - Начальная позиция
  * @param {string} to - Конечная позиция
  * @param {number} player - Номер игрока (1-4) для определения пути
- * @returns {number} Расстояние в ходах по игровому маршруту
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {Object} {reachable, distance, reason}: для недостижимой клетки distance - null,
+ * reason - одна из UNREACHABLE_REASONS
  */
-function calculateGamePathDistance(from, to, player) {
+function measureGamePathDistance(from, to, player, board = DEFAULT_BOARD) {
     const playerKey = `player${player}`;
-    const playerPath = gameZones.playerPaths && gameZones.playerPaths[playerKey] && gameZones.playerPaths[playerKey].path;
+    const playerPath = board.playerPaths && board.playerPaths[playerKey] && board.playerPaths[playerKey].path;
+    const unreachable = reason => ({ reachable: false, distance: null, reason: reason });
 
     if (!playerPath) {
-        // Fallback к манхэттенскому расстоянию если путь не найден
-        return calculateManhattanDistance(from, to);
+        return unreachable(UNREACHABLE_REASONS.NO_PATH);
+    }
+
+    const fromZone = getZoneType(from, player, board);
+    const toZone = getZoneType(to, player, board);
+
+    // Перемещение из зоны ожидания в стартовую зону - всегда 1 ход, внутри стартовой зоны - 0 ходов
+    if (fromZone.type === 'waiting' && toZone.type === 'starting') {
+        return { reachable: true, distance: 1, reason: null };
+    }
+    if (fromZone.type === 'starting' && toZone.type === 'starting') {
+        return { reachable: true, distance: 0, reason: null };
     }
 
-    // Проверяем специальные зоны для начальной позиции
+    // Позиция начальной клетки на пути; зоны до начала пути получают отрицательный индекс
     let fromIndex = playerPath.indexOf(from);
-    let toIndex = playerPath.indexOf(to);
 
-    // Обработка перехода из зоны ожидания или стартовой зоны
     if (fromIndex === -1) {
-        const fromZone = getZoneType(from, player);
-        const toZone = getZoneType(to, player);
-
         if (fromZone.type === 'waiting') {
-            // Перемещение из зоны ожидания в стартовую зону - всегда 1 ход
-            if (toZone.type === 'starting') {
-                return 1;
-            }
-            // Из зоны ожидания через стартовую зону к началу игрового пути
-            // 1 ход: зона ожидания → стартовая позиция
-            // 1 ход: стартовая позиция → начало движения (I1)
-            // Итого: fromIndex = -2 (чтобы добавить 2 хода к расчету)
+            // 1 ход: зона ожидания → стартовая позиция, 1 ход: стартовая позиция → начало движения (I1)
             fromIndex = -2;
         } else if (fromZone.type === 'starting') {
-            // Перемещение внутри стартовой зоны - 0 ходов
-            if (toZone.type === 'starting') {
-                return 0;
-            }
             // Из стартовой зоны на игровое поле требуется 1 ход
             fromIndex = -1;
         } else if (fromZone.type === 'prison' || fromZone.type === 'temple') {
-            // Для тюрьмы/храма ищем соответствующую триггерную клетку
-            const sourceTrigger = getSourceTriggerCell(from);
-            if (sourceTrigger) {
-                fromIndex = playerPath.indexOf(sourceTrigger.trigger);
+            // Из тюрьмы/храма отсчитываем от соответствующей триггерной клетки
+            const sourceTrigger = getSourceTriggerCell(from, board);
+            const triggerIndex = sourceTrigger ? playerPath.indexOf(sourceTrigger.trigger) : -1;
+            if (triggerIndex === -1) {
+                return unreachable(UNREACHABLE_REASONS.FROM_OFF_PATH);
             }
+            fromIndex = triggerIndex;
+        } else {
+            return unreachable(UNREACHABLE_REASONS.FROM_OFF_PATH);
         }
     }
 
-    // Обработка перехода в специальные зоны для конечной позиции
+    let toIndex = playerPath.indexOf(to);
+
+    // В тюрьму/храм фишка попадает через триггерную клетку
+    if (toIndex === -1 && (toZone.type === 'prison' || toZone.type === 'temple')) {
+        const triggerData = getTriggerCell(to, board);
+        toIndex = triggerData ? playerPath.indexOf(triggerData.trigger) : -1;
+    }
+
     if (toIndex === -1) {
-        const toZone = getZoneType(to, player);
+        return unreachable(UNREACHABLE_REASONS.TO_OFF_PATH);
+    }
 
-        if (toZone.type === 'prison' || toZone.type === 'temple') {
-            // Для тюрьмы/храма ищем соответствующую триггерную клетку
-            const triggerData = getTriggerCell(to);
-            if (triggerData) {
-                toIndex = playerPath.indexOf(triggerData.trigger);
-            }
-        } else if (toZone.type === 'home') {
-            // Для дома ищем позицию в игровом пути
-            toIndex = playerPath.indexOf(to);
-        }
+    if (toIndex < fromIndex) {
+        return unreachable(UNREACHABLE_REASONS.BACKWARD);
+    }
+
+    return { reachable: true, distance: toIndex - fromIndex, reason: null };
+}
+
+/**
+ * Вычисляет расстояние между двумя позициями по игровому пути
+ * @param {string} from - Начальная позиция
+ * @param {string} to - Конечная позиция
+ * @param {number} player - Номер игрока (1-4) для определения пути
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {number|null} Расстояние в ходах по игровому маршруту или null, если клетка недостижима
+ * (причину возвращает measureGamePathDistance)
+ */
+function calculateGamePathDistance(from, to, player, board = DEFAULT_BOARD) {
+    return measureGamePathDistance(from, to, player, board).distance;
+}
+
+/**
+ * Находит клетку игрового пути, на которую попадет фишка, пройдя заданное число ходов
+ * @param {string} from - Начальная позиция
+ * @param {number} steps - Количество ходов
+ * @param {number} player - Номер игрока (1-4) для определения пути
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {string|null} Клетка игрового пути или null если ход выходит за пределы пути
+ * @description Обратная операция к calculateGamePathDistance. Переход из зоны ожидания
+ * в стартовую зону (1 ход) не обрабатывается, так как конечная клетка зависит от занятости
+ */
+function getPathPositionAfterSteps(from, steps, player, board = DEFAULT_BOARD) {
+    const playerKey = `player${player}`;
+    const playerPath = board.playerPaths && board.playerPaths[playerKey] && board.playerPaths[playerKey].path;
+
+    if (!playerPath || !Number.isInteger(steps) || steps <= 0) {
+        return null;
     }
 
-    // Если все еще не найдены позиции, используем манхэттенское расстояние
-    if ((fromIndex < -2 || (fromIndex === -1 && getZoneType(from, player).type === 'field')) || toIndex === -1) {
-        return calculateManhattanDistance(from, to);
+    let targetIndex;
+    const fromIndex = playerPath.indexOf(from);
+
+    if (fromIndex !== -1) {
+        targetIndex = fromIndex + steps;
+    } else {
+        const fromZone = getZoneType(from, player, board);
+
+        if (fromZone.type === 'waiting') {
+            // 1 ход до стартовой позиции + 1 ход до начала движения
+            targetIndex = steps - 2;
+        } else if (fromZone.type === 'starting') {
+            targetIndex = steps - 1;
+        } else if (fromZone.type === 'prison' || fromZone.type === 'temple') {
+            // Из тюрьмы/храма отсчитываем от триггерной клетки
+            const sourceTrigger = getSourceTriggerCell(from, board);
+            if (!sourceTrigger) {
+                return null;
+            }
+            const triggerIndex = playerPath.indexOf(sourceTrigger.trigger);
+            if (triggerIndex === -1) {
+                return null;
+            }
+            targetIndex = triggerIndex + steps;
+        } else {
+            return null;
+        }
     }
 
-    // Специальная обработка для зон ожидания и стартовых зон
-    if (fromIndex === -2) {
-        // fromIndex = -2 означает переход из зоны ожидания (1 единица + 1 ход + путь до toIndex)
-        return 2 + toIndex;
-    } else if (fromIndex === -1) {
-        // fromIndex = -1 означает переход из стартовой зоны (1 ход + путь до toIndex)
-        return 1 + toIndex;
+    if (targetIndex < 0 || targetIndex >= playerPath.length) {
+        return null;
     }
 
-    return Math.abs(toIndex - fromIndex);
+    return playerPath[targetIndex];
 }
 
 /**
- * Вычисляет манхэттенское расстояние между двумя позициями (резервная функция)
+ * Вычисляет манхэттенское расстояние между двумя позициями (без учета пути игрока)
  * @param {string} from - Начальная позиция
  * @param {string} to - Конечная позиция
  * @returns {number} Манхэттенское расстояние в ходах
@@ -103,13 +173,20 @@ function calculateManhattanDistance(from, to) {
     return Math.abs(fromCol - toCol) + Math.abs(fromRow - toRow);
 }
 
+let calculateDistanceWarned = false;
+
 /**
  * Вычисляет расстояние между двумя позициями (совместимость с существующим кодом)
  * @param {string} from - Начальная позиция
  * @param {string} to - Конечная позиция
- * @returns {number} Расстояние в ходах
+ * @returns {number} Манхэттенское расстояние в ходах
+ * @deprecated Не учитывает путь игрока - используйте calculateGamePathDistance или measureGamePathDistance
  */
 function calculateDistance(from, to) {
+    if (!calculateDistanceWarned) {
+        calculateDistanceWarned = true;
+        console.warn('⚠️  calculateDistance устарела: она считает манхэттенское расстояние без учета пути игрока. Используйте calculateGamePathDistance.');
+    }
     return calculateManhattanDistance(from, to);
 }
 
@@ -118,17 +195,25 @@ function calculateDistance(from, to) {
  * @param {number} actualSteps - Фактическое количество ходов
  * @param {number} dice1 - Значение первого кубика
  * @param {number} dice2 - Значение второго кубика
+ * @param {Array<string>} diceOptions - Разрешенные правилами варианты: dice1, dice2, sum
  * @returns {boolean} true если расстояние соответствует кубикам
  */
-function validateDistanceWithDice(actualSteps, dice1, dice2) {
-    const diceSum = dice1 + dice2;
-    const validSteps = [dice1, dice2, diceSum];
+function validateDistanceWithDice(actualSteps, dice1, dice2, diceOptions = DEFAULT_RULESET.diceOptions) {
+    const stepsByOption = {
+        dice1: dice1,
+        dice2: dice2,
+        sum: dice1 + dice2
+    };
+    const validSteps = diceOptions.map(option => stepsByOption[option]);
 
     return validSteps.includes(actualSteps);
 }
 
 module.exports = {
+    UNREACHABLE_REASONS,
+    measureGamePathDistance,
     calculateGamePathDistance,
+    getPathPositionAfterSteps,
     calculateManhattanDistance,
     calculateDistance,
     validateDistanceWithDice
@@ -1,7 +1,7 @@
 // moveValidator.js
 // Модуль для валидации ходов в игре Чаупар
 
-const { calculateGamePathDistance, validateDistanceWithDice } = require('./distanceCalculator');
+const { measureGamePathDistance, calculateGamePathDistance, validateDistanceWithDice } = require('./distanceCalculator');
 const {
     isWaitingZoneExit,
     isPrisonExit,
@@ -9,121 +9,177 @@ const {
     getPlayerTeleport,
     isPieceCaptured
 } = require('./zoneDetector');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+const { DEFAULT_RULESET } = require('../game/ruleset');
+const { getRulesetBoard } = require('../game/boards');
+const { formatThrow } = require('../../dice');
+
+/**
+ * Формирует результат проваленной проверки: код, параметры и текст на языке по умолчанию
+ * @param {string} errorCode - Код ошибки (ключ errors.<code> в каталогах i18n)
+ * @param {Object} errorParams - Параметры сообщения для локализации
+ * @returns {Object} Объект {isValid: false, errorCode, errorParams, errorMessage}
+ */
+function failedCheck(errorCode, errorParams) {
+    return {
+        isValid: false,
+        errorCode: errorCode,
+        errorParams: errorParams,
+        errorMessage: translate(DEFAULT_LOCALE, `errors.${errorCode}`, errorParams)
+    };
+}
+
+/**
+ * Валидирует путь хода: конечная клетка должна быть достижима по пути игрока вперед
+ * @param {Object} movement - Объект с информацией о перемещении
+ * @param {Object} ruleset - Правила игры (доска)
+ * @returns {Object} Объект с результатом валидации
+ */
+function validateMoveReachability(movement, ruleset = DEFAULT_RULESET) {
+    const { player, piece, pieceId, from, to } = movement;
+    const measured = measureGamePathDistance(from, to, player, getRulesetBoard(ruleset));
+
+    if (!measured.reachable) {
+        return failedCheck('MOVE_UNREACHABLE', {
+            variant: measured.reason,
+            piece: pieceId || (piece + 1),
+            player: player,
+            from: from,
+            to: to
+        });
+    }
+
+    return {
+        isValid: true,
+        errorCode: null,
+        errorMessage: null
+    };
+}
 
 /**
  * Валидирует длину хода относительно значений кубиков
  * @param {Object} movement - Объект с информацией о перемещении
  * @param {Array} diceRolls - Массив бросков кубиков
+ * @param {Object} ruleset - Правила игры (diceOptions)
  * @returns {Object} Объект с результатом валидации
+ * @description Недостижимые клетки проверяет validateMoveReachability, здесь они пропускаются
  */
-function validateMoveDistance(movement, diceRolls) {
+function validateMoveDistance(movement, diceRolls, ruleset = DEFAULT_RULESET) {
     const { player, piece, pieceId, from, to } = movement;
 
     if (diceRolls.length === 0) {
-        return { isValid: true, errorMessage: null };
+        return { isValid: true, errorCode: null, errorMessage: null };
     }
 
     const dice1 = diceRolls[0].dice1;
     const dice2 = diceRolls[0].dice2;
-    const diceValues = `${dice1}+${dice2}=${dice1 + dice2}`;
+    const diceValues = formatThrow(diceRolls[0]);
 
     // Вычисляем фактическое расстояние хода
-    const actualSteps = calculateGamePathDistance(from, to, player);
+    const actualSteps = calculateGamePathDistance(from, to, player, getRulesetBoard(ruleset));
+
+    if (actualSteps === null) {
+        return { isValid: true, errorCode: null, errorMessage: null };
+    }
 
     // Проверяем соответствие
-    const isValid = validateDistanceWithDice(actualSteps, dice1, dice2);
+    const isValid = validateDistanceWithDice(actualSteps, dice1, dice2, ruleset.diceOptions);
 
     if (!isValid) {
-        return {
-            isValid: false,
-            errorMessage: `Некорректный ход фишки ${pieceId || (piece + 1)}. Выпало: ${diceValues}, перемещено: ${actualSteps}`
-        };
+        return failedCheck('MOVE_DISTANCE_MISMATCH', {
+            piece: pieceId || (piece + 1),
+            dice: diceValues,
+            moved: actualSteps
+        });
     }
 
     return {
         isValid: true,
+        errorCode: null,
         errorMessage: null
     };
 }
 
 /**
- * Валидирует выход из зоны ожидания (требуется единица на кубике)
+ * Валидирует выход из зоны ожидания (требуется одно из значений waitingExitValues на кубике)
  * @param {Object} movement - Объект с информацией о перемещении
  * @param {Array} diceRolls - Массив бросков кубиков
+ * @param {Object} ruleset - Правила игры (waitingExitValues)
  * @returns {Object} Объект с результатом валидации
  */
-function validateWaitingZoneExit(movement, diceRolls) {
+function validateWaitingZoneExit(movement, diceRolls, ruleset = DEFAULT_RULESET) {
     const { player, piece, pieceId, from, to } = movement;
 
     // Проверяем, является ли это выходом из зоны ожидания
-    if (!isWaitingZoneExit(from, to, player)) {
-        return { isValid: true, errorMessage: null };
+    if (!isWaitingZoneExit(from, to, player, getRulesetBoard(ruleset))) {
+        return { isValid: true, errorCode: null, errorMessage: null };
     }
 
     if (diceRolls.length === 0) {
-        return {
-            isValid: false,
-            errorMessage: `Выход из зоны ожидания фишки ${pieceId || (piece + 1)} без информации о кубиках`
-        };
+        return failedCheck('DICE_ROLL_MISSING', { variant: 'waiting', piece: pieceId || (piece + 1) });
     }
 
     const dice1 = diceRolls[0].dice1;
     const dice2 = diceRolls[0].dice2;
-    const diceValues = `${dice1}+${dice2}`;
-
-    // Для выхода из зоны ожидания требуется хотя бы одна единица
-    const hasOne = dice1 === 1 || dice2 === 1;
-
-    if (!hasOne) {
-        return {
-            isValid: false,
-            errorMessage: `Выход из зоны ожидания фишки ${pieceId || (piece + 1)} без единицы на кубиках. Выпало: ${diceValues}`
-        };
+    const diceValues = formatThrow(diceRolls[0]);
+
+    // Для выхода из зоны ожидания на одном из кубиков должно выпасть значение из правил (классически - единица)
+    const required = ruleset.waitingExitValues;
+    const hasExitValue = required.includes(dice1) || required.includes(dice2);
+
+    if (!hasExitValue) {
+        return failedCheck('WAITING_EXIT_REQUIRES_ONE', {
+            piece: pieceId || (piece + 1),
+            dice: diceValues,
+            required: required.join(', ')
+        });
     }
 
     return {
         isValid: true,
+        errorCode: null,
         errorMessage: null
     };
 }
 
 /**
- * Валидирует выход из тюрьмы (требуется шестерка на кубике)
+ * Валидирует выход из тюрьмы (требуется одно из значений prisonExitValues на кубике)
  * @param {Object} movement - Объект с информацией о перемещении
  * @param {Array} diceRolls - Массив бросков кубиков
+ * @param {Object} ruleset - Правила игры (prisonExitValues)
  * @returns {Object} Объект с результатом валидации
  */
-function validatePrisonExit(movement, diceRolls) {
+function validatePrisonExit(movement, diceRolls, ruleset = DEFAULT_RULESET) {
     const { player, piece, pieceId, from, to } = movement;
 
     // Проверяем, является ли это выходом из тюрьмы
-    if (!isPrisonExit(from, to, player)) {
-        return { isValid: true, errorMessage: null };
+    if (!isPrisonExit(from, to, player, getRulesetBoard(ruleset))) {
+        return { isValid: true, errorCode: null, errorMessage: null };
     }
 
     if (diceRolls.length === 0) {
-        return {
-            isValid: false,
-            errorMessage: `Выход из тюрьмы фишки ${pieceId || (piece + 1)} без информации о кубиках`
-        };
+        return failedCheck('DICE_ROLL_MISSING', { variant: 'prison', piece: pieceId || (piece + 1) });
     }
 
     const dice1 = diceRolls[0].dice1;
     const dice2 = diceRolls[0].dice2;
-    const diceValues = `${dice1}+${dice2}`;
-
-    // Для выхода из тюрьмы требуется хотя бы одна шестерка
-    const hasSix = dice1 === 6 || dice2 === 6;
-
-    if (!hasSix) {
-        return {
-            isValid: false,
-            errorMessage: `Выход из тюрьмы фишки ${pieceId || (piece + 1)} без шестерки на кубиках. Выпало: ${diceValues}`
-        };
+    const diceValues = formatThrow(diceRolls[0]);
+
+    // Для выхода из тюрьмы на одном из кубиков должно выпасть значение из правил (классически - шестерка)
+    const required = ruleset.prisonExitValues;
+    const hasExitValue = required.includes(dice1) || required.includes(dice2);
+
+    if (!hasExitValue) {
+        return failedCheck('PRISON_EXIT_REQUIRES_SIX', {
+            piece: pieceId || (piece + 1),
+            dice: diceValues,
+            required: required.join(', ')
+        });
     }
 
     return {
         isValid: true,
+        errorCode: null,
         errorMessage: null
     };
 }
@@ -132,28 +188,33 @@ function validatePrisonExit(movement, diceRolls) {
  * Валидирует использование телепорта (телепорт должен принадлежать игроку)
  * @param {Object} movement - Объект с информацией о перемещении
  * @param {Array} diceRolls - Массив бросков кубиков
+ * @param {Object} ruleset - Правила игры (доска)
  * @returns {Object} Объект с результатом валидации
  */
-function validateTeleportUsage(movement, diceRolls) {
+function validateTeleportUsage(movement, diceRolls, ruleset = DEFAULT_RULESET) {
     const { player, piece, pieceId, from, to } = movement;
+    const board = getRulesetBoard(ruleset);
 
     // Проверяем, является ли это использованием телепорта
-    if (!isTeleportMove(from, to, player)) {
-        return { isValid: true, errorMessage: null };
+    if (!isTeleportMove(from, to, player, board)) {
+        return { isValid: true, errorCode: null, errorMessage: null };
     }
 
     // Получаем телепорт игрока
-    const playerTeleport = getPlayerTeleport(player);
+    const playerTeleport = getPlayerTeleport(player, board);
 
     if (!playerTeleport || from !== playerTeleport) {
-        return {
-            isValid: false,
-            errorMessage: `Фишка ${pieceId || (piece + 1)} игрока ${player} использует чужой телепорт. Позиция: ${from}, ожидается: ${playerTeleport}`
-        };
+        return failedCheck('FOREIGN_TELEPORT', {
+            piece: pieceId || (piece + 1),
+            player: player,
+            from: from,
+            expected: playerTeleport
+        });
     }
 
     return {
         isValid: true,
+        errorCode: null,
         errorMessage: null
     };
 }
@@ -162,31 +223,168 @@ function validateTeleportUsage(movement, diceRolls) {
  * Комплексная валидация хода
  * @param {Object} movement - Объект с информацией о перемещении
  * @param {Array} diceRolls - Массив бросков кубиков
- * @returns {Object} Объект с результатом валидации {isValid, errorMessages}
+ * @param {Object} ruleset - Правила игры
+ * @returns {Object} Объект с результатом валидации {isValid, errorMessages, errors}
  */
-function validateMove(movement, diceRolls) {
+function validateMove(movement, diceRolls, ruleset = DEFAULT_RULESET) {
     // Пропускаем валидацию для съеденных фишек
-    if (isPieceCaptured(movement)) {
+    if (isPieceCaptured(movement, getRulesetBoard(ruleset))) {
         return {
             isValid: true,
-            errorMessages: []
+            errorMessages: [],
+            errors: []
         };
     }
 
     const validations = [
-        validateMoveDistance(movement, diceRolls),
-        validateWaitingZoneExit(movement, diceRolls),
-        validatePrisonExit(movement, diceRolls),
-        validateTeleportUsage(movement, diceRolls)
+        validateMoveReachability(movement, ruleset),
+        validateMoveDistance(movement, diceRolls, ruleset),
+        validateWaitingZoneExit(movement, diceRolls, ruleset),
+        validatePrisonExit(movement, diceRolls, ruleset),
+        validateTeleportUsage(movement, diceRolls, ruleset)
     ];
 
-    const errors = validations
-        .filter(result => !result.isValid)
-        .map(result => result.errorMessage);
+    const failed = validations.filter(result => !result.isValid);
+
+    // Структурированные ошибки для клиента: код, фишка и перемещение
+    const errors = failed.map(result => ({
+        code: result.errorCode,
+        message: result.errorMessage,
+        params: result.errorParams,
+        player: movement.player,
+        pieceId: movement.pieceId,
+        from: movement.from,
+        to: movement.to
+    }));
 
     return {
         isValid: errors.length === 0,
-        errorMessages: errors
+        errorMessages: failed.map(result => result.errorMessage),
+        errors: errors
+    };
+}
+
+/**
+ * Определяет значения кубика, одно из которых обязательно для перемещения (выход из зоны ожидания и из тюрьмы)
+ * @param {Object} movement - Объект с информацией о перемещении
+ * @param {Object} ruleset - Правила игры (waitingExitValues, prisonExitValues)
+ * @returns {Array<number>|null} Допустимые значения кубика или null, если перемещение их не требует
+ */
+function getRequiredDieValues(movement, ruleset = DEFAULT_RULESET) {
+    const { player, from, to } = movement;
+    const board = getRulesetBoard(ruleset);
+
+    if (isWaitingZoneExit(from, to, player, board)) {
+        return ruleset.waitingExitValues;
+    }
+    if (isPrisonExit(from, to, player, board)) {
+        return ruleset.prisonExitValues;
+    }
+    return null;
+}
+
+/**
+ * Валидирует расход кубиков за весь ход: каждый кубик можно использовать не более одного раза
+ * @param {Array} movements - Массив объектов с информацией о перемещениях
+ * @param {Array} diceRolls - Массив бросков кубиков
+ * @param {Object} ruleset - Правила игры (diceOptions, значения выхода)
+ * @returns {Object} Объект с результатом {isValid, errorMessages, errors, assignments, unusedDice}
+ * @description Перемещения распределяются между разрешенными правилами вариантами: dice1, dice2 и их суммой
+ * (sum занимает оба кубика). assignments показывает, какой кубик использовал каждый ход, unusedDice - оставшиеся кубики
+ */
+function validateDiceBudget(movements, diceRolls, ruleset = DEFAULT_RULESET) {
+    const board = getRulesetBoard(ruleset);
+    const activeMovements = movements.filter(movement => !isPieceCaptured(movement, board));
+
+    if (diceRolls.length === 0) {
+        return { isValid: true, errorMessages: [], errors: [], assignments: [], unusedDice: [] };
+    }
+
+    const dice = [
+        { key: 'dice1', value: diceRolls[0].dice1 },
+        { key: 'dice2', value: diceRolls[0].dice2 }
+    ].filter(die => Number.isInteger(die.value));
+
+    // Для каждого перемещения собираем подходящие комбинации кубиков
+    const candidates = activeMovements.map(movement => {
+        const steps = calculateGamePathDistance(movement.from, movement.to, movement.player, board);
+        const requiredValues = getRequiredDieValues(movement, ruleset);
+        const combos = [];
+
+        dice.forEach(die => combos.push({ dieUsed: die.key, keys: [die.key], values: [die.value] }));
+        if (dice.length === 2) {
+            combos.push({ dieUsed: 'sum', keys: dice.map(die => die.key), values: dice.map(die => die.value) });
+        }
+
+        return {
+            movement,
+            steps,
+            combos: combos.filter(combo =>
+                ruleset.diceOptions.includes(combo.dieUsed) &&
+                combo.values.reduce((total, value) => total + value, 0) === steps &&
+                (requiredValues === null || combo.values.some(value => requiredValues.includes(value)))
+            )
+        };
+    });
+
+    // Перебор с возвратом: ищем распределение, при котором кубики не повторяются
+    const assign = (index, usedKeys) => {
+        if (index === candidates.length) return [];
+
+        for (const combo of candidates[index].combos) {
+            if (combo.keys.some(key => usedKeys.has(key))) continue;
+
+            const nextUsed = new Set([...usedKeys, ...combo.keys]);
+            const rest = assign(index + 1, nextUsed);
+            if (rest) return [combo, ...rest];
+        }
+
+        return null;
+    };
+
+    const combos = assign(0, new Set());
+
+    if (!combos) {
+        const params = { dice: dice.map(die => die.value).join('+') };
+        const message = translate(DEFAULT_LOCALE, 'errors.DICE_BUDGET_EXCEEDED', params);
+
+        return {
+            isValid: false,
+            errorMessages: [message],
+            errors: [{
+                code: 'DICE_BUDGET_EXCEEDED',
+                message: message,
+                params: params,
+                movements: candidates.map(candidate => ({
+                    player: candidate.movement.player,
+                    pieceId: candidate.movement.pieceId,
+                    from: candidate.movement.from,
+                    to: candidate.movement.to,
+                    steps: candidate.steps
+                }))
+            }],
+            assignments: [],
+            unusedDice: []
+        };
+    }
+
+    const usedKeys = new Set(combos.flatMap(combo => combo.keys));
+
+    return {
+        isValid: true,
+        errorMessages: [],
+        errors: [],
+        assignments: combos.map((combo, index) => ({
+            player: candidates[index].movement.player,
+            piece: candidates[index].movement.piece,
+            pieceId: candidates[index].movement.pieceId,
+            from: candidates[index].movement.from,
+            to: candidates[index].movement.to,
+            steps: candidates[index].steps,
+            dieUsed: combo.dieUsed,
+            diceValues: combo.values
+        })),
+        unusedDice: dice.filter(die => !usedKeys.has(die.key))
     };
 }
 
@@ -194,29 +392,36 @@ function validateMove(movement, diceRolls) {
  * Валидирует все ходы в списке перемещений
  * @param {Array} movements - Массив объектов с информацией о перемещениях
  * @param {Array} diceRolls - Массив бросков кубиков
- * @returns {Object} Объект с результатом валидации {isValid, errorMessages}
+ * @param {Object} ruleset - Правила игры
+ * @returns {Object} Объект с результатом валидации {isValid, errorMessages, errors}
  */
-function validateAllMoves(movements, diceRolls) {
+function validateAllMoves(movements, diceRolls, ruleset = DEFAULT_RULESET) {
     const allErrors = [];
+    const allStructuredErrors = [];
 
     for (const movement of movements) {
-        const result = validateMove(movement, diceRolls);
+        const result = validateMove(movement, diceRolls, ruleset);
         if (!result.isValid) {
             allErrors.push(...result.errorMessages);
+            allStructuredErrors.push(...result.errors);
         }
     }
 
     return {
         isValid: allErrors.length === 0,
-        errorMessages: allErrors
+        errorMessages: allErrors,
+        errors: allStructuredErrors
     };
 }
 
 module.exports = {
+    validateMoveReachability,
     validateMoveDistance,
     validateWaitingZoneExit,
     validatePrisonExit,
     validateTeleportUsage,
     validateMove,
-    validateAllMoves
+    validateAllMoves,
+    validateDiceBudget,
+    getRequiredDieValues
 };
\ No newline at end of file
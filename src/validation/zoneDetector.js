@@ -1,55 +1,56 @@
 // zoneDetector.js
 // Модуль для определения типов зон и специальных перемещений
 
-const gameZones = require('../../gameZones.json');
+const { DEFAULT_BOARD } = require('../game/boards');
 
 /**
  * Определяет к какой зоне принадлежит позиция
  * @param {string} position - Позиция на доске (например, "K1")
  * @param {number} player - Номер игрока (1-4)
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {Object} Объект с типом зоны и дополнительной информацией
  */
-function getZoneType(position, player) {
+function getZoneType(position, player, board = DEFAULT_BOARD) {
     const playerKey = `player${player}`;
 
     // Проверка зоны ожидания
-    const waitingZone = gameZones.waitingZones[playerKey];
+    const waitingZone = board.waitingZones[playerKey];
     if (waitingZone && waitingZone.coordinates && waitingZone.coordinates.includes(position)) {
         return { type: 'waiting', zone: 'waitingZone' };
     }
 
     // Проверка стартовых позиций
-    const startingPos = gameZones.startingPositions[playerKey];
+    const startingPos = board.startingPositions[playerKey];
     if (startingPos && startingPos.coordinates && startingPos.coordinates.includes(position)) {
         return { type: 'starting', zone: 'startingPosition' };
     }
 
     // Проверка домашней зоны
-    const homeZone = gameZones.homeZones[playerKey];
+    const homeZone = board.homeZones[playerKey];
     if (homeZone && homeZone.coordinates && homeZone.coordinates.includes(position)) {
         return { type: 'home', zone: 'homeZone' };
     }
 
     // Проверка тюрьмы
-    const prisonCells = Object.values(gameZones.specialZones.prison).map(p => p.teleportTo);
+    const prisonCells = Object.values(board.specialZones.prison).map(p => p.teleportTo);
     if (prisonCells.includes(position)) {
         return { type: 'prison', zone: 'prison' };
     }
 
     // Проверка храма
-    const templeCells = Object.values(gameZones.specialZones.temple).map(t => t.teleportTo);
+    const templeCells = Object.values(board.specialZones.temple).map(t => t.teleportTo);
     if (templeCells.includes(position)) {
         return { type: 'temple', zone: 'temple' };
     }
 
     // Позиция начала движения
-    const movementStart = gameZones.movementStart[playerKey];
+    const movementStart = board.movementStart[playerKey];
     if (movementStart && position === movementStart.position) {
         return { type: 'movementStart', zone: 'movementStart' };
     }
 
     // Проверка телепорта
-    const teleportZone = gameZones.teleportZones[playerKey];
+    const teleportZone = board.teleportZones[playerKey];
     if (teleportZone && position === teleportZone.position) {
         return { type: 'teleport', zone: 'teleport' };
     }
@@ -62,11 +63,12 @@ function getZoneType(position, player) {
  * @param {string} from - Начальная позиция
  * @param {string} to - Конечная позиция
  * @param {number} player - Номер игрока
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {boolean} true если это выход из зоны ожидания
  */
-function isWaitingZoneExit(from, to, player) {
-    const fromZone = getZoneType(from, player);
-    const toZone = getZoneType(to, player);
+function isWaitingZoneExit(from, to, player, board = DEFAULT_BOARD) {
+    const fromZone = getZoneType(from, player, board);
+    const toZone = getZoneType(to, player, board);
 
     return fromZone.type === 'waiting' && toZone.type !== 'waiting';
 }
@@ -76,10 +78,11 @@ function isWaitingZoneExit(from, to, player) {
  * @param {string} from - Начальная позиция
  * @param {string} to - Конечная позиция
  * @param {number} player - Номер игрока
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {boolean} true если это выход из тюрьмы
  */
-function isPrisonExit(from, to, player) {
-    const fromZone = getZoneType(from, player);
+function isPrisonExit(from, to, player, board = DEFAULT_BOARD) {
+    const fromZone = getZoneType(from, player, board);
     return fromZone.type === 'prison';
 }
 
@@ -88,39 +91,42 @@ function isPrisonExit(from, to, player) {
  * @param {string} from - Начальная позиция
  * @param {string} to - Конечная позиция
  * @param {number} player - Номер игрока
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {boolean} true если это использование телепорта
  */
-function isTeleportMove(from, to, player) {
-    const fromZone = getZoneType(from, player);
+function isTeleportMove(from, to, player, board = DEFAULT_BOARD) {
+    const fromZone = getZoneType(from, player, board);
     return fromZone.type === 'teleport';
 }
 
 /**
  * Получает телепорт игрока
  * @param {number} player - Номер игрока
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {string|null} Позиция телепорта или null
  */
-function getPlayerTeleport(player) {
+function getPlayerTeleport(player, board = DEFAULT_BOARD) {
     const playerKey = `player${player}`;
-    const teleportZone = gameZones.teleportZones[playerKey];
+    const teleportZone = board.teleportZones[playerKey];
     return teleportZone ? teleportZone.position : null;
 }
 
 /**
  * Получает триггерную клетку для тюрьмы или храма
  * @param {string} targetPosition - Конечная позиция (тюрьма/храм)
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {Object|null} Объект с типом и триггерной позицией или null
  */
-function getTriggerCell(targetPosition) {
+function getTriggerCell(targetPosition, board = DEFAULT_BOARD) {
     // Поиск в тюрьмах
-    for (const [triggerCell, data] of Object.entries(gameZones.specialZones.prison)) {
+    for (const [triggerCell, data] of Object.entries(board.specialZones.prison)) {
         if (data.teleportTo === targetPosition) {
             return { type: 'prison', trigger: triggerCell, target: targetPosition };
         }
     }
 
     // Поиск в храмах
-    for (const [triggerCell, data] of Object.entries(gameZones.specialZones.temple)) {
+    for (const [triggerCell, data] of Object.entries(board.specialZones.temple)) {
         if (data.teleportTo === targetPosition) {
             return { type: 'temple', trigger: triggerCell, target: targetPosition };
         }
@@ -132,18 +138,19 @@ function getTriggerCell(targetPosition) {
 /**
  * Получает исходную триггерную клетку для выхода из тюрьмы или храма
  * @param {string} currentPosition - Текущая позиция (тюрьма/храм)
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {Object|null} Объект с типом и триггерной позицией или null
  */
-function getSourceTriggerCell(currentPosition) {
+function getSourceTriggerCell(currentPosition, board = DEFAULT_BOARD) {
     // Поиск в тюрьмах
-    for (const [triggerCell, data] of Object.entries(gameZones.specialZones.prison)) {
+    for (const [triggerCell, data] of Object.entries(board.specialZones.prison)) {
         if (data.teleportTo === currentPosition) {
             return { type: 'prison', trigger: triggerCell, source: currentPosition };
         }
     }
 
     // Поиск в храмах
-    for (const [triggerCell, data] of Object.entries(gameZones.specialZones.temple)) {
+    for (const [triggerCell, data] of Object.entries(board.specialZones.temple)) {
         if (data.teleportTo === currentPosition) {
             return { type: 'temple', trigger: triggerCell, source: currentPosition };
         }
@@ -152,15 +159,36 @@ function getSourceTriggerCell(currentPosition) {
     return null;
 }
 
+/**
+ * Получает клетку тюрьмы или храма, в которую переносит триггерная клетка
+ * @param {string} triggerPosition - Позиция, на которую встала фишка
+ * @param {Object} board - Описание доски (см. boards.js)
+ * @returns {Object|null} Объект с типом, триггерной и конечной позицией или null если клетка не триггерная
+ */
+function getTriggerDestination(triggerPosition, board = DEFAULT_BOARD) {
+    const prison = board.specialZones.prison[triggerPosition];
+    if (prison) {
+        return { type: 'prison', trigger: triggerPosition, target: prison.teleportTo };
+    }
+
+    const temple = board.specialZones.temple[triggerPosition];
+    if (temple) {
+        return { type: 'temple', trigger: triggerPosition, target: temple.teleportTo };
+    }
+
+    return null;
+}
+
 /**
  * Проверяет, была ли фишка съедена (возврат с поля в зону ожидания)
  * @param {Object} movement - Объект с информацией о перемещении
+ * @param {Object} board - Описание доски (см. boards.js)
  * @returns {boolean} true, если фишка была съедена
  */
-function isPieceCaptured(movement) {
+function isPieceCaptured(movement, board = DEFAULT_BOARD) {
     const { player, from, to } = movement;
-    const fromZone = getZoneType(from, player);
-    const toZone = getZoneType(to, player);
+    const fromZone = getZoneType(from, player, board);
+    const toZone = getZoneType(to, player, board);
 
     // Фишка съедена, если она перемещается с любого места (кроме зоны ожидания) в зону ожидания
     return toZone.type === 'waiting' && fromZone.type !== 'waiting';
@@ -174,5 +202,6 @@ module.exports = {
     getPlayerTeleport,
     getTriggerCell,
     getSourceTriggerCell,
+    getTriggerDestination,
     isPieceCaptured
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+-- 20261018000000_game_storage.sql
+-- Схема хранилища игр Supabase (GAME_STORAGE=supabase, см. src/storage/supabaseAdapter.js)
+--
+-- Миграция повторяема: существующая таблица saved_games (CHPR_id, new_game_state, updated_at)
+-- дополняется новыми колонками, уже сохраненные игры не меняются. Записи без status
+-- сервер считает активными играми, записи без version - версией 0
+
+create table if not exists saved_games (
+    id bigserial primary key,
+    "CHPR_id" text not null,
+    new_game_state jsonb,
+    updated_at timestamptz default now()
+);
+
+-- Жизненный цикл и версия игры (оптимистичная блокировка updateGame)
+alter table saved_games add column if not exists status text;
+alter table saved_games add column if not exists version integer not null default 0;
+alter table saved_games add column if not exists created_at timestamptz not null default now();
+alter table saved_games add column if not exists started_at timestamptz;
+alter table saved_games add column if not exists ended_at timestamptz;
+
+-- Места, настройки и правила игры
+alter table saved_games add column if not exists seats jsonb not null default '[]'::jsonb;
+alter table saved_games add column if not exists settings jsonb not null default '{}'::jsonb;
+alter table saved_games add column if not exists ruleset jsonb;
+
+-- Текущий ход: серверный бросок, ход отдельными перемещениями, часы хода
+alter table saved_games add column if not exists current_roll jsonb;
+alter table saved_games add column if not exists pending_turn jsonb;
+alter table saved_games add column if not exists turn_clock jsonb;
+alter table saved_games add column if not exists turn_timeouts jsonb not null default '{}'::jsonb;
+
+-- Итоговые места игроков
+alter table saved_games add column if not exists standings jsonb not null default '[]'::jsonb;
+
+-- Повтор CHPR_id адаптер распознает по нарушению уникальности (23505)
+create unique index if not exists saved_games_chpr_id_key on saved_games ("CHPR_id");
+-- Лобби выбирает созданные игры по статусу в порядке создания
+create index if not exists saved_games_status_created_at_idx on saved_games (status, created_at);
+
+-- История игры: по записи на запуск, ход, истечение времени и завершение
+create table if not exists game_history (
+    id bigserial primary key,
+    "CHPR_id" text not null,
+    entry jsonb not null,
+    created_at timestamptz not null default now()
+);
+
+-- История читается целиком по игре в порядке добавления
+create index if not exists game_history_chpr_id_idx on game_history ("CHPR_id", created_at, id);
@@ -0,0 +1,51 @@
+// auth.test.js
+// Проверка JWT игрока: подпись и срок действия токена
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyJwt } = require('../src/auth');
+
+const SECRET = 'test-secret';
+
+/**
+ * Подписывает JWT с алгоритмом HS256
+ * @param {Object} claims - Поля токена
+ * @param {string} [secret] - Секрет подписи
+ * @returns {string} Токен
+ */
+function signJwt(claims, secret = SECRET) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const payload = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    return `${payload}.${crypto.createHmac('sha256', secret).update(payload).digest('base64url')}`;
+}
+
+describe('verifyJwt', () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    it('принимает подписанный токен со сроком действия', () => {
+        const result = verifyJwt(signJwt({ sub: 'user-1', exp: now + 60 }), SECRET);
+
+        assert.equal(result.success, true);
+        assert.equal(result.userId, 'user-1');
+    });
+
+    it('не принимает токен без срока действия', () => {
+        const result = verifyJwt(signJwt({ sub: 'user-1' }), SECRET, 'en');
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'INVALID_TOKEN');
+    });
+
+    it('не принимает истекший токен', () => {
+        const result = verifyJwt(signJwt({ sub: 'user-1', exp: now - 1 }), SECRET);
+
+        assert.equal(result.error, 'TOKEN_EXPIRED');
+    });
+
+    it('не принимает токен с чужой подписью', () => {
+        const result = verifyJwt(signJwt({ sub: 'user-1', exp: now + 60 }, 'other-secret'), SECRET);
+
+        assert.equal(result.error, 'INVALID_TOKEN');
+    });
+});
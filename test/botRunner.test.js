@@ -0,0 +1,97 @@
+// botRunner.test.js
+// Ходы ботов: возобновление после перезапуска и передача хода, если ход бота не записывается
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resumeBotTurns } = require('../src/game/botRunner');
+const { HISTORY_ENTRY_TYPES } = require('../src/game/gameHistory');
+const { getStorage } = require('../src/storage');
+const { useMemoryStorage, startTestGame, getRecord } = require('./helpers');
+
+/**
+ * Ждет, пока запись игры не будет удовлетворять условию
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Function} condition - (record) => boolean
+ * @returns {Promise<Object>} Запись игры
+ */
+async function waitForRecord(chprId, condition) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const record = await getRecord(chprId);
+        if (condition(record)) {
+            return record;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    throw new Error('Запись игры не дождалась ожидаемого состояния');
+}
+
+/**
+ * Запускает игру человека с ботом и отдает ход боту, как будто сервер перезапустился посреди игры
+ * @returns {Promise<Object>} Запись игры
+ */
+async function startGameOnBotTurn() {
+    const record = await startTestGame({ bots: { 2: 'random' } });
+    const { data } = await getStorage().updateGame(record.chprId, {
+        gameState: { ...record.gameState, currentPlayer: 2 }
+    });
+    return data;
+}
+
+describe('ходы ботов', () => {
+    let previousDelay;
+
+    before(() => {
+        previousDelay = process.env.BOT_MOVE_DELAY_MS;
+        process.env.BOT_MOVE_DELAY_MS = '0';
+    });
+
+    after(() => {
+        if (previousDelay === undefined) {
+            delete process.env.BOT_MOVE_DELAY_MS;
+        } else {
+            process.env.BOT_MOVE_DELAY_MS = previousDelay;
+        }
+    });
+
+    beforeEach(() => {
+        useMemoryStorage();
+    });
+
+    it('после перезапуска продолжает игру, в которой очередь дошла до бота', async () => {
+        const { chprId, version } = await startGameOnBotTurn();
+
+        const result = await resumeBotTurns();
+        assert.deepEqual(result, { success: true, scheduled: 1 });
+
+        // Бот может заработать дополнительный ход, поэтому ждем, пока ход не вернется к человеку
+        const record = await waitForRecord(chprId, current => current.gameState.currentPlayer === 1);
+        assert.ok(record.version > version);
+    });
+
+    it('передает ход без перемещений, если ход бота раз за разом не удается записать', async () => {
+        const { chprId } = await startGameOnBotTurn();
+
+        // Первые три записи состояния (все попытки хода бота) завершаются ошибкой хранилища
+        const adapter = getStorage();
+        const updateGame = adapter.updateGame;
+        let failures = 3;
+        adapter.updateGame = async (id, fields, options) => {
+            if (fields.gameState && failures > 0) {
+                failures -= 1;
+                return { data: null, error: { code: 'STORAGE_WRITE_FAILED', message: 'disk full' } };
+            }
+            return updateGame(id, fields, options);
+        };
+
+        await resumeBotTurns();
+
+        const record = await waitForRecord(chprId, current => current.gameState.currentPlayer === 1);
+        const { data: history } = await adapter.getHistory(chprId);
+
+        assert.equal(failures, 0);
+        assert.equal(history[history.length - 1].type, HISTORY_ENTRY_TYPES.PASS);
+        assert.equal(history[history.length - 1].player, 2);
+        assert.ok(record.currentRoll.usedAt);
+    });
+});
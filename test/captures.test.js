@@ -0,0 +1,86 @@
+// captures.test.js
+// Взятие фишек: защищенные зоны, отключенные взятия и командная игра
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCaptures } = require('../src/validation/captureValidator');
+const { DEFAULT_RULESET } = require('../src/game/ruleset');
+const { submitMove, getLegalMovesForGame } = require('../src/game/gameStateManager');
+const { useMemoryStorage, startTestGame, placePieces, setRoll, getRecord, getPiecePosition } = require('./helpers');
+
+describe('validateCaptures', () => {
+    const capturer = { player: 1, piece: 0, pieceId: '1-1', from: 'I2', to: 'I5' };
+    const captured = { player: 3, piece: 0, pieceId: '3-1', from: 'I5', to: 'N13' };
+
+    it('засчитывает взятие фишкой соперника', () => {
+        const result = validateCaptures([capturer, captured]);
+
+        assert.equal(result.isValid, true);
+        assert.equal(result.captures.length, 1);
+        assert.equal(result.captures[0].cell, 'I5');
+        assert.equal(result.captures[0].capturer.pieceId, '1-1');
+    });
+
+    it('не засчитывает возврат фишки без сбившей ее фишки', () => {
+        const result = validateCaptures([captured]);
+
+        assert.equal(result.isValid, false);
+        assert.equal(result.errors[0].code, 'CAPTURE_WITHOUT_CAPTURER');
+    });
+
+    it('не засчитывает взятие, если взятия отключены', () => {
+        const result = validateCaptures([capturer, captured], { ...DEFAULT_RULESET, capturesEnabled: false });
+
+        assert.equal(result.errors[0].code, 'CAPTURES_DISABLED');
+    });
+
+    it('не засчитывает взятие на стартовой клетке', () => {
+        const onStart = { player: 2, piece: 0, pieceId: '2-1', from: 'E12', to: 'A14' };
+        const result = validateCaptures([{ ...capturer, to: 'E12' }, onStart]);
+
+        assert.equal(result.errors[0].code, 'CAPTURE_ON_PROTECTED_CELL');
+    });
+
+    it('в командной игре не дает партнеру съесть фишку', () => {
+        const partnerPiece = { player: 2, piece: 0, pieceId: '2-1', from: 'I5', to: 'A14' };
+        const result = validateCaptures([capturer, partnerPiece], { ...DEFAULT_RULESET, teamMode: true });
+
+        assert.equal(result.errors[0].code, 'CAPTURE_BY_PARTNER');
+    });
+});
+
+describe('взятие в командной игре', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+        ({ chprId } = await startTestGame({ playerCount: 4, ruleset: { teamMode: true } }));
+        // Партнер игрока 1 - игрок 2, соперник - игрок 3
+        await placePieces(chprId, { 1: { 1: 'I2' }, 2: { 1: 'I4' }, 3: { 1: 'I5' } });
+        await setRoll(chprId, 2, 3);
+    });
+
+    it('отправляет фишку соперника в зону ожидания', async () => {
+        const result = await submitMove(chprId, { pieceId: '1-1', from: 'I2', to: 'I5', dieUsed: 'dice2' });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.captures, [{ player: 3, piece: 0, pieceId: '3-1' }]);
+
+        const { gameState } = await getRecord(chprId);
+        assert.equal(getPiecePosition(gameState, '1-1'), 'I5');
+        assert.equal(getPiecePosition(gameState, '3-1'), 'N13');
+    });
+
+    it('оставляет фишку партнера на месте, когда на ее клетку встает партнер', async () => {
+        const legalMoves = await getLegalMovesForGame(chprId);
+        const toPartner = legalMoves.moves.find(candidate => candidate.pieceId === '1-1' && candidate.to === 'I4');
+        assert.deepEqual(toPartner.captures, []);
+
+        const result = await submitMove(chprId, { pieceId: '1-1', from: 'I2', to: 'I4', dieUsed: 'dice1' });
+        assert.equal(result.success, true);
+
+        const { gameState } = await getRecord(chprId);
+        assert.equal(getPiecePosition(gameState, '1-1'), 'I4');
+        assert.equal(getPiecePosition(gameState, '2-1'), 'I4');
+    });
+});
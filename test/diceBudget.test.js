@@ -0,0 +1,55 @@
+// diceBudget.test.js
+// Расход кубиков за ход: перебор с возвратом по всем назначениям кубиков
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDiceBudget } = require('../src/validation/moveValidator');
+const { DEFAULT_RULESET } = require('../src/game/ruleset');
+
+const move = (pieceId, from, to) => ({ player: Number(pieceId[0]), piece: Number(pieceId.slice(2)) - 1, pieceId, from, to });
+
+describe('validateDiceBudget', () => {
+    it('распределяет кубики между перемещениями независимо от их порядка', () => {
+        const result = validateDiceBudget([move('1-1', 'I1', 'I3'), move('1-2', 'N1', 'K1')], [{ dice1: 1, dice2: 2 }]);
+
+        assert.equal(result.isValid, true);
+        assert.deepEqual(result.assignments.map(entry => entry.dieUsed), ['dice2', 'dice1']);
+        assert.deepEqual(result.unusedDice, []);
+    });
+
+    it('отдает второму перемещению оставшийся кубик при дубле', () => {
+        const result = validateDiceBudget([move('1-1', 'I1', 'I3'), move('1-2', 'I2', 'I4')], [{ dice1: 2, dice2: 2 }]);
+
+        assert.equal(result.isValid, true);
+        assert.deepEqual(result.assignments.map(entry => entry.dieUsed), ['dice1', 'dice2']);
+    });
+
+    it('не дает использовать один кубик дважды', () => {
+        const result = validateDiceBudget([move('1-1', 'M1', 'K1'), move('1-2', 'N1', 'K1')], [{ dice1: 1, dice2: 2 }]);
+
+        assert.equal(result.isValid, false);
+        assert.equal(result.errors[0].code, 'DICE_BUDGET_EXCEEDED');
+        assert.equal(result.errors[0].movements.length, 2);
+    });
+
+    it('считает сумму занявшей оба кубика', () => {
+        const result = validateDiceBudget([move('1-1', 'I2', 'I5'), move('1-2', 'N1', 'K1')], [{ dice1: 1, dice2: 2 }]);
+
+        assert.equal(result.isValid, false);
+        assert.equal(result.errors[0].code, 'DICE_BUDGET_EXCEEDED');
+    });
+
+    it('не использует сумму, если ее нет в правилах', () => {
+        const ruleset = { ...DEFAULT_RULESET, diceOptions: ['dice1', 'dice2'] };
+        const result = validateDiceBudget([move('1-1', 'I2', 'I5')], [{ dice1: 1, dice2: 2 }], ruleset);
+
+        assert.equal(result.isValid, false);
+    });
+
+    it('возвращает неиспользованные кубики', () => {
+        const result = validateDiceBudget([move('1-1', 'I1', 'I3')], [{ dice1: 1, dice2: 2 }]);
+
+        assert.equal(result.isValid, true);
+        assert.deepEqual(result.unusedDice, [{ key: 'dice1', value: 1 }]);
+    });
+});
@@ -0,0 +1,40 @@
+// diceRoll.test.js
+// Серверный бросок кубиков: повтор до хода и язык сообщений
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { rollDiceForGame } = require('../src/game/diceRollManager');
+const { useMemoryStorage, startTestGame } = require('./helpers');
+
+describe('бросок кубиков', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+        ({ chprId } = await startTestGame());
+    });
+
+    it('возвращает тот же бросок до хода и отвечает на языке запроса', async () => {
+        const first = await rollDiceForGame(chprId, 1, { locale: 'en' });
+        const second = await rollDiceForGame(chprId, 1, { locale: 'en' });
+
+        assert.equal(first.message, 'The dice are rolled!');
+        assert.equal(second.alreadyRolled, true);
+        assert.equal(second.roll.rollId, first.roll.rollId);
+        assert.equal(second.message, 'The dice have already been rolled this turn.');
+    });
+
+    it('не дает бросать игроку, чей сейчас не ход', async () => {
+        const result = await rollDiceForGame(chprId, 2, { locale: 'en' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'NOT_ACTIVE_PLAYER');
+        assert.equal(result.message, "It is player 1's turn, player 2 cannot roll the dice.");
+    });
+
+    it('по умолчанию отвечает на языке игры', async () => {
+        const result = await rollDiceForGame(chprId, 1);
+
+        assert.equal(result.message, 'Кубики брошены!');
+    });
+});
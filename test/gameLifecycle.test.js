@@ -0,0 +1,39 @@
+// gameLifecycle.test.js
+// Создание игры: создатель занимает одно место, остальные места - боты или свободные
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('../src/game/gameLifecycle');
+const { useMemoryStorage } = require('./helpers');
+
+const creator = { userId: 'user-1' };
+
+describe('создание игры', () => {
+    beforeEach(() => {
+        useMemoryStorage();
+    });
+
+    it('сажает создателя на первое место без бота', async () => {
+        const result = await createGame({ playerCount: 2, bots: { 1: 'random' }, creator });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.game.seats.map(({ player, bot, userId }) => ({ player, bot, userId })), [
+            { player: 1, bot: 'random', userId: null },
+            { player: 2, bot: null, userId: 'user-1' }
+        ]);
+    });
+
+    it('сажает создателя на выбранное место', async () => {
+        const result = await createGame({ playerCount: 4, creator, creatorSeat: 2 });
+
+        assert.deepEqual(result.game.seats.filter(seat => seat.userId).map(seat => seat.player), [2]);
+    });
+
+    it('не сажает создателя на место бота', async () => {
+        const result = await createGame({ playerCount: 2, bots: { 2: 'random' }, creator, creatorSeat: 2, locale: 'en' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'INVALID_SEATS');
+        assert.equal(result.message, 'Invalid creator seat: expected a free game seat without a bot.');
+    });
+});
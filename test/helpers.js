@@ -0,0 +1,111 @@
+// helpers.js
+// Общие шаги тестов: хранилище в памяти, создание и запуск игры, серверный бросок с заданными кубиками
+
+const crypto = require('crypto');
+const { getStorage, setStorage } = require('../src/storage');
+const { createMemoryAdapter } = require('../src/storage/memoryAdapter');
+const { createGame, startGame } = require('../src/game/gameLifecycle');
+
+/**
+ * Подключает чистое хранилище в памяти (вызывается перед каждым тестом)
+ * @returns {Object} Адаптер хранилища
+ */
+function useMemoryStorage() {
+    const adapter = createMemoryAdapter();
+    setStorage(adapter);
+    return adapter;
+}
+
+/**
+ * Получает запись игры из хранилища
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @returns {Promise<Object>} Запись игры
+ */
+async function getRecord(chprId) {
+    const { data } = await getStorage().getGame(chprId);
+    return data;
+}
+
+/**
+ * Создает и запускает игру
+ * @param {Object} [options] - Параметры игры (см. createGame)
+ * @returns {Promise<Object>} Запись запущенной игры
+ */
+async function startTestGame(options = {}) {
+    const created = await createGame({ playerCount: 2, ...options });
+    if (!created.success) {
+        throw new Error(created.message);
+    }
+
+    const started = await startGame(created.chprId);
+    if (!started.success) {
+        throw new Error(started.message);
+    }
+
+    return getRecord(created.chprId);
+}
+
+/**
+ * Расставляет фишки: позиции задаются как {'<игрок>': {'<номер фишки с 1>': клетка}}
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {Object} positions - Новые позиции фишек
+ * @returns {Promise<Object>} Запись игры после расстановки
+ */
+async function placePieces(chprId, positions) {
+    const record = await getRecord(chprId);
+    const gameState = JSON.parse(JSON.stringify(record.gameState));
+
+    Object.entries(positions).forEach(([player, pieces]) => {
+        Object.entries(pieces).forEach(([piece, cell]) => {
+            gameState.piecesData[player][Number(piece) - 1].position = cell;
+        });
+    });
+
+    const { data } = await getStorage().updateGame(chprId, { gameState });
+    return data;
+}
+
+/**
+ * Сохраняет серверный бросок с заданными кубиками для активного игрока (вместо случайного броска)
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number} dice1 - Первый кубик
+ * @param {number} dice2 - Второй кубик
+ * @returns {Promise<Object>} Сохраненный бросок
+ */
+async function setRoll(chprId, dice1, dice2) {
+    const record = await getRecord(chprId);
+    const previousRoll = record.currentRoll;
+    const roll = {
+        rollId: crypto.randomUUID(),
+        player: record.gameState.currentPlayer,
+        turnNumber: previousRoll && previousRoll.turnNumber ? previousRoll.turnNumber + 1 : 1,
+        mode: 'dice',
+        dice1: dice1,
+        dice2: dice2,
+        createdAt: new Date().toISOString(),
+        usedAt: null
+    };
+
+    await getStorage().updateGame(chprId, { currentRoll: roll });
+    return roll;
+}
+
+/**
+ * Находит позицию фишки в состоянии игры
+ * @param {Object} gameState - Состояние игры
+ * @param {string} pieceId - Идентификатор фишки ("<игрок>-<номер>")
+ * @returns {string} Клетка фишки
+ */
+function getPiecePosition(gameState, pieceId) {
+    const [player] = pieceId.split('-');
+    return gameState.piecesData[player].find(piece => piece.id === pieceId).position;
+}
+
+module.exports = {
+    useMemoryStorage,
+    getRecord,
+    startTestGame,
+    placePieces,
+    setRoll,
+    getPiecePosition
+};
@@ -0,0 +1,79 @@
+// lobby.test.js
+// Лобби: вход на свободные места, автоматический запуск заполненной игры и выход до запуска
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_STATUSES, createGame } = require('../src/game/gameLifecycle');
+const { listOpenGames, joinGame, leaveGame } = require('../src/game/lobby');
+const { useMemoryStorage, getRecord } = require('./helpers');
+
+describe('лобби', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+        ({ chprId } = await createGame({ playerCount: 2 }));
+    });
+
+    it('показывает созданную игру со свободными местами', async () => {
+        const result = await listOpenGames();
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.games.map(game => [game.chprId, game.freeSeats]), [[chprId, [1, 2]]]);
+    });
+
+    it('сажает игрока на первое свободное место и возвращает его же место при повторном входе', async () => {
+        const joined = await joinGame(chprId, { userId: 'alice' });
+
+        assert.equal(joined.success, true);
+        assert.equal(joined.seat, 1);
+        assert.equal(joined.started, false);
+
+        const again = await joinGame(chprId, { userId: 'alice' });
+        assert.equal(again.alreadyJoined, true);
+        assert.equal(again.seat, 1);
+    });
+
+    it('не дает занять чужое место', async () => {
+        await joinGame(chprId, { userId: 'alice' }, { seat: 2 });
+        const result = await joinGame(chprId, { userId: 'bob' }, { seat: 2 });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'SEAT_TAKEN');
+        assert.deepEqual(result.freeSeats, [1]);
+    });
+
+    it('запускает игру, когда заняты все места, и убирает ее из лобби', async () => {
+        await joinGame(chprId, { userId: 'alice' });
+        const result = await joinGame(chprId, { userId: 'bob' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.started, true);
+        assert.equal(result.game.status, GAME_STATUSES.ACTIVE);
+
+        const record = await getRecord(chprId);
+        assert.deepEqual(record.seats.map(seat => seat.userId), ['alice', 'bob']);
+        assert.deepEqual((await listOpenGames()).games, []);
+
+        const late = await joinGame(chprId, { userId: 'carol' });
+        assert.equal(late.error, 'INVALID_GAME_STATUS');
+    });
+
+    it('освобождает место до запуска игры', async () => {
+        await joinGame(chprId, { userId: 'alice' });
+        const result = await leaveGame(chprId, { userId: 'alice' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.seat, 1);
+        assert.equal((await getRecord(chprId)).seats[0].userId, null);
+
+        const again = await leaveGame(chprId, { userId: 'alice' });
+        assert.equal(again.error, 'NOT_A_PLAYER');
+    });
+
+    it('отвечает на языке запроса', async () => {
+        const result = await joinGame(chprId, { userId: 'alice' }, { locale: 'en' });
+
+        assert.equal(result.message, 'You took seat 1.');
+    });
+});
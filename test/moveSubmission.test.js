@@ -0,0 +1,71 @@
+// moveSubmission.test.js
+// Ход по одной фишке: очередность перемещений в пределах одного броска
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { submitMove, updateGameState } = require('../src/game/gameStateManager');
+const { useMemoryStorage, startTestGame, placePieces, setRoll, getRecord, getPiecePosition } = require('./helpers');
+
+describe('ход по одной фишке', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+        ({ chprId } = await startTestGame());
+        await placePieces(chprId, { 1: { 1: 'I1' } });
+        await setRoll(chprId, 1, 2);
+    });
+
+    it('оставляет ход за игроком, пока у него есть ходы на оставшийся кубик', async () => {
+        const first = await submitMove(chprId, { pieceId: '1-1', from: 'I1', to: 'I3', dieUsed: 'dice2' });
+
+        assert.equal(first.success, true);
+        assert.equal(first.turnComplete, false);
+        assert.deepEqual(first.unusedDice, [{ key: 'dice1', value: 1 }]);
+        assert.ok(first.legalMoves.every(candidate => candidate.dieUsed === 'dice1'));
+
+        const second = await submitMove(chprId, { pieceId: '1-2', from: 'N1', to: 'K1', dieUsed: 'dice1' });
+
+        assert.equal(second.success, true);
+        assert.equal(second.turnComplete, true);
+
+        const record = await getRecord(chprId);
+        assert.equal(record.gameState.currentPlayer, 2);
+        assert.equal(getPiecePosition(record.gameState, '1-1'), 'I3');
+        assert.equal(getPiecePosition(record.gameState, '1-2'), 'K1');
+        assert.ok(record.currentRoll.usedAt);
+        assert.equal(record.pendingTurn, null);
+    });
+
+    it('отклоняет перемещение на уже использованный кубик', async () => {
+        await submitMove(chprId, { pieceId: '1-1', from: 'I1', to: 'I3', dieUsed: 'dice2' });
+        const result = await submitMove(chprId, { pieceId: '1-1', from: 'I3', to: 'I5', dieUsed: 'dice2' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'MOVE_NOT_LEGAL');
+    });
+
+    it('не принимает ход после того, как бросок использован', async () => {
+        await submitMove(chprId, { pieceId: '1-1', from: 'I1', to: 'I3', dieUsed: 'dice2' });
+        await submitMove(chprId, { pieceId: '1-2', from: 'N1', to: 'K1', dieUsed: 'dice1' });
+        const result = await submitMove(chprId, { pieceId: '2-1', from: 'A14', to: 'E12', dieUsed: 'dice1' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'ROLL_REQUIRED');
+    });
+
+    it('отклоняет состояние, в котором кубик использован дважды, и не меняет игру', async () => {
+        const before = await getRecord(chprId);
+        const gameState = JSON.parse(JSON.stringify(before.gameState));
+        gameState.piecesData[1][1].position = 'K1';
+        gameState.piecesData[1][2].position = 'K1';
+        gameState.currentPlayer = 2;
+
+        const result = await updateGameState(chprId, gameState, before.version);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'MOVE_VALIDATION_FAILED');
+        assert.ok(result.validationErrors.some(error => error.code === 'DICE_BUDGET_EXCEEDED'));
+        assert.equal((await getRecord(chprId)).version, before.version);
+    });
+});
@@ -0,0 +1,118 @@
+// replay.test.js
+// Повтор игры по истории: состояние на любом ходе совпадает с сохраненными снимками
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { submitMove, getLegalMovesForGame } = require('../src/game/gameStateManager');
+const { HISTORY_ENTRY_TYPES, getGameHistory, replayGame } = require('../src/game/gameHistory');
+const { getStorage } = require('../src/storage');
+const { useMemoryStorage, startTestGame, setRoll, getRecord } = require('./helpers');
+
+/**
+ * Играет ход активного игрока: на заданный бросок делает первые допустимые перемещения, пока ход не закончится
+ * @param {string} chprId - Уникальный идентификатор CHPR_id игры
+ * @param {number} dice1 - Первый кубик
+ * @param {number} dice2 - Второй кубик
+ * @returns {Promise<Object>} Результат последнего перемещения
+ */
+async function playTurn(chprId, dice1, dice2) {
+    await setRoll(chprId, dice1, dice2);
+
+    for (;;) {
+        const { moves } = await getLegalMovesForGame(chprId);
+        const [{ pieceId, from, to, dieUsed }] = moves;
+        const result = await submitMove(chprId, { pieceId, from, to, dieUsed });
+        assert.equal(result.success, true, result.message);
+
+        if (result.turnComplete) {
+            return result;
+        }
+    }
+}
+
+/**
+ * Собирает позиции фишек состояния для сравнения
+ * @param {Object} gameState - Состояние игры
+ * @returns {Object} {'<игрок>': [клетки фишек]}
+ */
+function positions(gameState) {
+    return Object.fromEntries(Object.entries(gameState.piecesData)
+        .map(([player, pieces]) => [player, pieces.map(piece => piece.position)]));
+}
+
+describe('replayGame', () => {
+    let chprId;
+    let initialState;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+        ({ chprId, gameState: initialState } = await startTestGame());
+        await playTurn(chprId, 1, 2);
+        await playTurn(chprId, 1, 3);
+        await playTurn(chprId, 1, 5);
+    });
+
+    it('приходит к сохраненному состоянию игры', async () => {
+        const replay = await replayGame(chprId);
+        const record = await getRecord(chprId);
+
+        assert.equal(replay.success, true);
+        assert.equal(replay.totalTurns, 3);
+        assert.equal(replay.consistent, true);
+        assert.equal(replay.mismatchAt, null);
+        assert.deepEqual(positions(replay.gameState), positions(record.gameState));
+    });
+
+    it('восстанавливает каждый ход по снимкам истории', async () => {
+        const history = await getGameHistory(chprId);
+        const turns = history.entries.filter(entry => entry.type === HISTORY_ENTRY_TYPES.MOVE);
+        assert.equal(turns.length, 3);
+
+        for (const entry of turns) {
+            const replay = await replayGame(chprId, entry.turn);
+            assert.equal(replay.consistent, true);
+            assert.deepEqual(positions(replay.gameState), positions(entry.gameState));
+        }
+    });
+
+    it('на ходе 0 возвращает начальную расстановку', async () => {
+        const replay = await replayGame(chprId, 0);
+
+        assert.equal(replay.success, true);
+        assert.deepEqual(positions(replay.gameState), positions(initialState));
+    });
+
+    it('отклоняет номер хода за пределами истории', async () => {
+        const replay = await replayGame(chprId, 4);
+
+        assert.equal(replay.success, false);
+        assert.equal(replay.error, 'INVALID_TURN');
+    });
+});
+
+describe('запись хода вместе с историей', () => {
+    beforeEach(() => {
+        useMemoryStorage();
+    });
+
+    it('откатывает ход, если его не удалось записать в историю', async () => {
+        const { chprId } = await startTestGame();
+        await setRoll(chprId, 1, 2);
+        const before = await getRecord(chprId);
+
+        const adapter = getStorage();
+        adapter.appendHistory = async () => ({ error: { code: 'STORAGE_WRITE_FAILED', message: 'disk full' } });
+
+        const { moves: [{ pieceId, from, to, dieUsed }] } = await getLegalMovesForGame(chprId);
+        await submitMove(chprId, { pieceId, from, to, dieUsed });
+        const { moves: [next] } = await getLegalMovesForGame(chprId);
+        const result = await submitMove(chprId, { pieceId: next.pieceId, from: next.from, to: next.to, dieUsed: next.dieUsed });
+        const after = await getRecord(chprId);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'HISTORY_WRITE_FAILED');
+        assert.equal(after.gameState.currentPlayer, before.gameState.currentPlayer);
+        assert.equal(after.version, before.version + 1);
+        assert.equal(after.currentRoll.usedAt, before.currentRoll.usedAt);
+    });
+});
@@ -0,0 +1,125 @@
+// standings.test.js
+// Итоговые места: финиш игроков и команд, окончание игры
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateStandings } = require('../src/game/winDetector');
+const { DEFAULT_RULESET } = require('../src/game/ruleset');
+const { GAME_STATUSES } = require('../src/game/gameLifecycle');
+const { submitMove, updateGameState } = require('../src/game/gameStateManager');
+const { useMemoryStorage, startTestGame, placePieces, setRoll, getRecord } = require('./helpers');
+
+const HOME = {
+    1: ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'],
+    2: ['H10', 'H11', 'H12', 'H13', 'H14', 'H15']
+};
+
+/**
+ * Формирует состояние игры, в котором фишки перечисленных игроков стоят в доме
+ * @param {Array<number>} players - Игроки в игре
+ * @param {Array<number>} finished - Игроки, закончившие игру
+ * @returns {Object} Состояние игры
+ */
+function buildState(players, finished) {
+    const piecesData = {};
+    players.forEach(player => {
+        piecesData[player] = Array.from({ length: 6 }, (_, index) => ({
+            id: `${player}-${index + 1}`,
+            position: finished.includes(player) ? HOME[player][index] : 'I7'
+        }));
+    });
+    return { piecesData };
+}
+
+describe('updateStandings', () => {
+    it('завершает игру вдвоем, когда один игрок завел все фишки в дом', () => {
+        const result = updateStandings(buildState([1, 2], [1]), [1, 2]);
+
+        assert.equal(result.gameFinished, true);
+        assert.deepEqual(result.standings.map(({ player, place }) => ({ player, place })), [
+            { player: 1, place: 1 },
+            { player: 2, place: 2 }
+        ]);
+        assert.equal(result.standings[1].finishedAt, null);
+    });
+
+    it('не завершает игру, пока ведут игру хотя бы двое', () => {
+        const result = updateStandings(buildState([1, 2, 3], [1]), [1, 2, 3]);
+
+        assert.equal(result.gameFinished, false);
+        assert.deepEqual(result.newlyFinished.map(entry => entry.player), [1]);
+    });
+
+    it('не повторяет место игрока, уже записанного в итоги', () => {
+        const first = updateStandings(buildState([1, 2, 3], [1]), [1, 2, 3]);
+        const second = updateStandings(buildState([1, 2, 3], [1]), [1, 2, 3], first.standings);
+
+        assert.equal(second.standings.length, 1);
+        assert.deepEqual(second.newlyFinished, []);
+    });
+
+    it('в командной игре дает место команде, только когда финишировали оба партнера', () => {
+        const ruleset = { ...DEFAULT_RULESET, teamMode: true };
+        const players = [1, 2, 3, 4];
+        const state = buildState(players, [1]);
+
+        assert.deepEqual(updateStandings(state, players, [], ruleset).standings, []);
+
+        state.piecesData[2] = buildState([2], [2]).piecesData[2];
+        const result = updateStandings(state, players, [], ruleset);
+
+        assert.equal(result.gameFinished, true);
+        assert.deepEqual(result.standings.map(({ player, team, place }) => ({ player, team, place })), [
+            { player: 1, team: 1, place: 1 },
+            { player: 2, team: 1, place: 1 },
+            { player: 3, team: 2, place: 2 },
+            { player: 4, team: 2, place: 2 }
+        ]);
+    });
+});
+
+describe('окончание игры', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+    });
+
+    it('записывает итоги и закрывает игру, когда последняя фишка дошла до дома', async () => {
+        ({ chprId } = await startTestGame());
+        await placePieces(chprId, { 1: { 1: 'H1', 2: 'H2', 3: 'H3', 4: 'H5', 5: 'H6', 6: 'G1' } });
+        await setRoll(chprId, 1, 3);
+
+        const result = await submitMove(chprId, { pieceId: '1-6', from: 'G1', to: 'H4', dieUsed: 'sum' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.turnComplete, true);
+        assert.ok(result.gameFinished);
+
+        const record = await getRecord(chprId);
+        assert.equal(record.status, GAME_STATUSES.FINISHED);
+        assert.deepEqual(record.standings.map(({ player, place }) => ({ player, place })), [
+            { player: 1, place: 1 },
+            { player: 2, place: 2 }
+        ]);
+    });
+
+    it('не засчитывает финиш по состоянию, из которого убраны фишки', async () => {
+        ({ chprId } = await startTestGame());
+        await setRoll(chprId, 1, 5);
+        const before = await getRecord(chprId);
+        const gameState = JSON.parse(JSON.stringify(before.gameState));
+        gameState.piecesData[1] = [{ ...gameState.piecesData[1][0], position: 'H6' }];
+        gameState.currentPlayer = 2;
+
+        const result = await updateGameState(chprId, gameState, before.version);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'PIECE_SET_CHANGED');
+
+        const record = await getRecord(chprId);
+        assert.equal(record.status, GAME_STATUSES.ACTIVE);
+        assert.equal(record.version, before.version);
+        assert.deepEqual(record.standings || [], []);
+    });
+});
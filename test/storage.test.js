@@ -0,0 +1,76 @@
+// storage.test.js
+// Хранилище игр в памяти: проверка версии, откат неудачной записи, история и выборка игр
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter } = require('../src/storage/memoryAdapter');
+
+describe('хранилище в памяти', () => {
+    it('не создает игру с уже занятым CHPR_id', async () => {
+        const adapter = createMemoryAdapter();
+        await adapter.createGame({ chprId: 'CHPR_1', status: 'waiting', version: 0 });
+
+        const { data, error } = await adapter.createGame({ chprId: 'CHPR_1', status: 'waiting', version: 0 });
+
+        assert.equal(data, null);
+        assert.equal(error.code, 'ALREADY_EXISTS');
+    });
+
+    it('обновляет игру только при совпадении ожидаемой версии', async () => {
+        const adapter = createMemoryAdapter();
+        await adapter.createGame({ chprId: 'CHPR_1', status: 'active', version: 1 });
+
+        const updated = await adapter.updateGame('CHPR_1', { version: 2 }, { expectedVersion: 1 });
+        const conflict = await adapter.updateGame('CHPR_1', { version: 3 }, { expectedVersion: 1 });
+
+        assert.equal(updated.data.version, 2);
+        assert.equal(updated.data.status, 'active');
+        assert.equal(conflict.error.code, 'VERSION_CONFLICT');
+        assert.equal(conflict.error.actualVersion, 2);
+        assert.equal((await adapter.getGame('CHPR_1')).data.version, 2);
+    });
+
+    it('откатывает изменение, которое не удалось сохранить', async () => {
+        let failWrites = false;
+        const adapter = createMemoryAdapter({
+            onChange: async () => {
+                if (failWrites) {
+                    throw new Error('disk full');
+                }
+            }
+        });
+        await adapter.createGame({ chprId: 'CHPR_1', status: 'active', version: 1 });
+
+        failWrites = true;
+        const update = await adapter.updateGame('CHPR_1', { version: 2 });
+        const history = await adapter.appendHistory('CHPR_1', { type: 'move' });
+
+        assert.equal(update.error.code, 'STORAGE_WRITE_FAILED');
+        assert.equal(history.error.code, 'STORAGE_WRITE_FAILED');
+        assert.equal((await adapter.getGame('CHPR_1')).data.version, 1);
+        assert.deepEqual((await adapter.getHistory('CHPR_1')).data, []);
+    });
+
+    it('возвращает историю в порядке добавления и копии записей', async () => {
+        const adapter = createMemoryAdapter();
+        await adapter.appendHistory('CHPR_1', { turnNumber: 1 });
+        await adapter.appendHistory('CHPR_1', { turnNumber: 2 });
+
+        const { data } = await adapter.getHistory('CHPR_1');
+        data[0].turnNumber = 99;
+
+        assert.deepEqual((await adapter.getHistory('CHPR_1')).data.map(entry => entry.turnNumber), [1, 2]);
+    });
+
+    it('отбирает игры по статусу', async () => {
+        const adapter = createMemoryAdapter();
+        await adapter.createGame({ chprId: 'CHPR_1', status: 'active' });
+        await adapter.createGame({ chprId: 'CHPR_2', status: 'waiting' });
+        await adapter.createGame({ chprId: 'CHPR_3', status: 'active' });
+
+        const { data } = await adapter.listGames({ status: 'active' });
+
+        assert.deepEqual(data.map(record => record.chprId), ['CHPR_1', 'CHPR_3']);
+        assert.equal((await adapter.listGames()).data.length, 3);
+    });
+});
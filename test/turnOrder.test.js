@@ -0,0 +1,68 @@
+// turnOrder.test.js
+// Очередность хода: порядок игроков и выбывание задает сервер, а не присланное состояние
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateGameState } = require('../src/game/gameStateManager');
+const { getStorage } = require('../src/storage');
+const { useMemoryStorage, startTestGame, setRoll, getRecord } = require('./helpers');
+
+/**
+ * Готовит состояние, в котором игрок 1 без допустимых ходов передает ход
+ * @param {Object} record - Запись игры
+ * @param {number} nextPlayer - Игрок, которому передается ход
+ * @returns {Object} Новое состояние игры
+ */
+function passTurn(record, nextPlayer) {
+    const gameState = JSON.parse(JSON.stringify(record.gameState));
+    gameState.currentPlayer = nextPlayer;
+    return gameState;
+}
+
+describe('порядок хода', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+        // Порядок хода втроем: 1, 3, 2; на 2+3 из зоны ожидания не выйти
+        ({ chprId } = await startTestGame({ playerCount: 3 }));
+        await setRoll(chprId, 2, 3);
+    });
+
+    it('отклоняет состояние, в котором клиент исключил соперника', async () => {
+        const before = await getRecord(chprId);
+        const gameState = passTurn(before, 2);
+        gameState.playersOrder = gameState.playersOrder.map(entry => (entry.player === 3 ? { ...entry, forfeited: true } : entry));
+
+        const result = await updateGameState(chprId, gameState, before.version);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'PLAYERS_ORDER_CHANGED');
+        assert.equal((await getRecord(chprId)).version, before.version);
+    });
+
+    it('отклоняет состояние с переставленным порядком игроков', async () => {
+        const before = await getRecord(chprId);
+        const gameState = passTurn(before, 2);
+        gameState.playersOrder = [...gameState.playersOrder].reverse();
+
+        const result = await updateGameState(chprId, gameState, before.version);
+
+        assert.equal(result.error, 'PLAYERS_ORDER_CHANGED');
+    });
+
+    it('передает ход по порядку из записи игры, пропуская выбывших', async () => {
+        const record = await getRecord(chprId);
+        await getStorage().updateGame(chprId, {
+            seats: record.seats.map(seat => (seat.player === 3 ? { ...seat, forfeited: true } : seat))
+        });
+
+        const skipped = await updateGameState(chprId, passTurn(record, 3), record.version);
+        assert.equal(skipped.success, false);
+        assert.ok(skipped.validationErrors.some(error => error.code === 'TURN_SKIPPED'));
+
+        const passed = await updateGameState(chprId, passTurn(record, 2), record.version);
+        assert.equal(passed.success, true);
+        assert.equal((await getRecord(chprId)).gameState.currentPlayer, 2);
+    });
+});
@@ -0,0 +1,63 @@
+// turnTimer.test.js
+// Выбывание игрока по времени хода: итоговые места и окончание игры
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateStandingsAfterForfeit } = require('../src/game/winDetector');
+const { GAME_STATUSES } = require('../src/game/gameLifecycle');
+const { expireTurn, cancelTurnTimer } = require('../src/game/turnTimer');
+const { getStorage } = require('../src/storage');
+const { useMemoryStorage, startTestGame, getRecord } = require('./helpers');
+
+describe('updateStandingsAfterForfeit', () => {
+    it('продолжает игру, если осталось больше одного игрока', () => {
+        const seats = [{ player: 1, forfeited: true }, { player: 2 }, { player: 3 }];
+
+        assert.equal(updateStandingsAfterForfeit(seats, []).gameFinished, false);
+    });
+
+    it('отдает первое место оставшемуся игроку, а выбывшего ставит после него', () => {
+        const seats = [{ player: 1, forfeited: true, forfeitedAt: '2026-10-18T10:00:00.000Z' }, { player: 2 }];
+        const result = updateStandingsAfterForfeit(seats, []);
+
+        assert.equal(result.gameFinished, true);
+        assert.deepEqual(result.standings, [
+            { player: 2, place: 1, finishedAt: null },
+            { player: 1, place: 2, finishedAt: null, forfeited: true }
+        ]);
+    });
+});
+
+describe('время хода', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+    });
+
+    afterEach(() => {
+        cancelTurnTimer(chprId);
+    });
+
+    it('исключает игрока, у которого время хода истекло слишком много раз', async () => {
+        ({ chprId } = await startTestGame({ ruleset: { turnTimeLimitSeconds: 5, maxTurnTimeouts: 1 } }));
+        const record = await getRecord(chprId);
+        await getStorage().updateGame(chprId, {
+            turnClock: { ...record.turnClock, expiresAt: new Date(Date.now() - 1000).toISOString() }
+        });
+
+        const result = await expireTurn(chprId);
+
+        assert.equal(result.success, true);
+        assert.equal(result.action, 'forfeit');
+        assert.ok(result.gameFinished);
+
+        const finished = await getRecord(chprId);
+        assert.equal(finished.status, GAME_STATUSES.FINISHED);
+        assert.equal(finished.seats.find(seat => seat.player === 1).forfeited, true);
+        assert.deepEqual(finished.standings.map(({ player, place, forfeited }) => ({ player, place, forfeited })), [
+            { player: 2, place: 1, forfeited: undefined },
+            { player: 1, place: 2, forfeited: true }
+        ]);
+    });
+});
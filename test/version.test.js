@@ -0,0 +1,77 @@
+// version.test.js
+// Оптимистичная блокировка: состояние принимается только от актуальной версии игры
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateGameState, updateGameSettings } = require('../src/game/gameStateManager');
+const { getStorage, withGameLock } = require('../src/storage');
+const { useMemoryStorage, startTestGame, setRoll, getRecord } = require('./helpers');
+
+describe('версия состояния', () => {
+    let chprId;
+
+    beforeEach(async () => {
+        useMemoryStorage();
+        ({ chprId } = await startTestGame());
+        await setRoll(chprId, 2, 3);
+    });
+
+    it('не принимает состояние без версии', async () => {
+        const before = await getRecord(chprId);
+
+        const result = await updateGameState(chprId, { ...before.gameState, currentPlayer: 2 });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'VERSION_REQUIRED');
+        assert.equal((await getRecord(chprId)).version, before.version);
+    });
+
+    it('возвращает актуальное состояние, если клиент ходил от устаревшей версии', async () => {
+        const before = await getRecord(chprId);
+        const gameState = { ...before.gameState, currentPlayer: 2 };
+
+        const accepted = await updateGameState(chprId, gameState, before.version);
+        const conflict = await updateGameState(chprId, gameState, before.version);
+
+        assert.equal(accepted.success, true);
+        assert.equal(conflict.error, 'VERSION_CONFLICT');
+        assert.equal(conflict.version, before.version + 1);
+        assert.equal(conflict.gameState.currentPlayer, 2);
+    });
+
+    it('изменяет настройки только после того, как игра освободится', async () => {
+        let settled = false;
+        let pending;
+
+        await withGameLock(chprId, async () => {
+            pending = updateGameSettings(chprId, { locale: 'en' }).then(result => {
+                settled = true;
+                return result;
+            });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            assert.equal(settled, false);
+        });
+
+        assert.equal((await pending).success, true);
+        assert.equal((await getRecord(chprId)).settings.locale, 'en');
+    });
+
+    it('не записывает настройки поверх изменившейся версии игры', async () => {
+        const before = await getRecord(chprId);
+        const adapter = getStorage();
+        const getGame = adapter.getGame;
+        // Настройки прочитаны до хода, записанного в обход блокировки (например, другим сервером)
+        adapter.getGame = async id => {
+            const { data, error } = await getGame(id);
+            await getStorage().updateGame(id, { version: data.version + 1 });
+            return { data, error };
+        };
+
+        const result = await updateGameSettings(chprId, { locale: 'en' });
+        adapter.getGame = getGame;
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'VERSION_CONFLICT');
+        assert.deepEqual((await getRecord(chprId)).settings, before.settings);
+    });
+});